@@ -3,15 +3,34 @@
  */
 import EnhancedTrie from './enhanced-trie.js';
 import FuzzyMatcher from './fuzzy-matcher.js';
-import DataManager from './data-manae ger.js';
+import DataManager from './data-manager.js';
 import TrieVisualizer from './trie-visualizer.js';
+import { createDecayScorer } from './scorers.js';
+import { splitTextIntoSentences } from './sentence-splitter.js';
+import { ingestFiles } from './file-ingest.js';
+import { createAutocomplete } from './autocomplete.js';
+import { runQuery } from './autocomplete-engine.js';
+import { appendHighlightedText } from './match-spans.js';
+import { summarizeDiff } from './dictionary-history.js';
+import OperationJournal from './operation-journal.js';
 
 class AppManager {
-    constructor() {
+    /**
+     * Constructor
+     * @param {Object} options - Options
+     * @param {Object|string} options.storage - Storage adapter (or type) for dictionaries, passed to DataManager
+     * @param {Object|string} options.preferenceStorage - Storage adapter (or type) for preferences
+     * @param {Worker|null} options.worker - Worker hosting the autocomplete engine, passed to createAutocomplete
+     */
+    constructor(options = {}) {
         // Initialize components
         this.trie = new EnhancedTrie();
         this.fuzzyMatcher = new FuzzyMatcher(2);
-        this.dataManager = new DataManager();
+        this.dataManager = new DataManager(options);
+        
+        // Queries run in a worker holding a copy of the trie; this.trie stays the copy that
+        // is edited, visualized and saved, and edits reach the worker as engine messages
+        this.engine = createAutocomplete({ worker: options.worker });
         
         // UI elements
         this.prefixInput = document.getElementById('prefixInput');
@@ -21,10 +40,30 @@ class AppManager {
         
         // Initialize state
         this.currentDictionary = null;
-        this.preferences = this.dataManager.loadPreferences();
+        // Changes to the active saved dictionary are appended here and only periodically compacted
+        this.journal = null;
+        this.preferences = this.dataManager.getDefaultPreferences();
         this.currentPage = 0;
-        this.resultsPerPage = this.preferences.maxSuggestions || 5;
         this.uploadedFiles = [];
+        this.ingestController = null;
+        this.nextWords = [];
+        this.customScorers = new Map();
+        this.dictionaries = [];
+        // Ids of saved dictionaries loaded into the engine to search alongside the active one
+        this.federatedSources = new Set();
+        
+        // Preferences may come from asynchronous storage, so the UI is built once they are loaded
+        this.ready = this.initialize();
+    }
+    
+    /**
+     * Load preferences, then build the UI and load dictionaries
+     * @returns {Promise} - Promise resolving when the app is ready
+     */
+    async initialize() {
+        this.preferences = await this.dataManager.loadPreferences();
+        this.resultsPerPage = this.preferences.maxSuggestions || 5;
+        this.applyTriePreferences();
         
         // Initialize UI
         this.initUI();
@@ -32,7 +71,7 @@ class AppManager {
         this.initVisualizer();
         
         // Load dictionaries
-        this.loadDictionaries();
+        await this.loadDictionaries();
     }
     
     /**
@@ -68,6 +107,12 @@ class AppManager {
                     </select>
                 </div>
                 
+                <div class="form-group">
+                    <label>Search Dictionaries</label>
+                    <div id="federatedDictionaryList" class="federated-dictionary-list"></div>
+                    <small class="form-text text-muted">Suggestions from every checked dictionary are merged; a higher weight ranks a dictionary's suggestions higher.</small>
+                </div>
+                
                 <div class="btn-group mt-2 mb-3 d-flex">
                     <button id="newDictionaryBtn" class="btn btn-primary flex-grow-1">
                         <i class="fas fa-plus"></i> New
@@ -83,10 +128,54 @@ class AppManager {
                     </button>
                 </div>
                 
+                <div class="form-group">
+                    <label for="entryInput">Edit Entry</label>
+                    <input type="text" id="entryInput" class="form-control" placeholder="Enter a sentence from the dictionary">
+                </div>
+                
+                <div class="btn-group mt-2 mb-3 d-flex">
+                    <button id="removeEntryBtn" class="btn btn-danger flex-grow-1">
+                        <i class="fas fa-eraser"></i> Remove
+                    </button>
+                    <button id="decrementEntryBtn" class="btn btn-secondary flex-grow-1">
+                        <i class="fas fa-minus"></i> Decrement
+                    </button>
+                    <button id="updateEntryBtn" class="btn btn-secondary flex-grow-1">
+                        <i class="fas fa-edit"></i> Update
+                    </button>
+                </div>
+                
                 <div class="dictionary-info">
                     <div class="dictionary-words-count">Words: <span id="dictionaryWordsCount">0</span></div>
                     <div class="dictionary-last-modified">Last modified: <span id="dictionaryLastModified">Never</span></div>
                 </div>
+                
+                <div class="form-group mt-3">
+                    <label for="historySelect">History</label>
+                    <select id="historySelect" class="form-control custom-select" disabled>
+                        <option value="">No earlier versions</option>
+                    </select>
+                </div>
+                
+                <div class="btn-group mt-2 d-flex">
+                    <button id="compareSnapshotBtn" class="btn btn-secondary flex-grow-1">
+                        <i class="fas fa-code-compare"></i> Compare
+                    </button>
+                    <button id="restoreSnapshotBtn" class="btn btn-warning flex-grow-1">
+                        <i class="fas fa-clock-rotate-left"></i> Restore
+                    </button>
+                </div>
+                <div id="historyDiff" class="history-diff mt-2"></div>
+                
+                <div id="uploadProgress" class="upload-progress mt-3 d-none">
+                    <div class="d-flex justify-content-between align-items-center">
+                        <small id="uploadProgressLabel" class="text-muted"></small>
+                        <button id="cancelUploadBtn" class="btn btn-sm btn-outline-danger">Cancel</button>
+                    </div>
+                    <div class="progress mt-1">
+                        <div id="uploadProgressBar" class="progress-bar" role="progressbar" style="width: 0%"></div>
+                    </div>
+                </div>
             </div>
         `;
         
@@ -96,18 +185,41 @@ class AppManager {
         
         // Store references to elements
         this.dictionarySelect = document.getElementById('dictionarySelect');
+        this.federatedDictionaryList = document.getElementById('federatedDictionaryList');
         this.dictionaryWordsCount = document.getElementById('dictionaryWordsCount');
         this.dictionaryLastModified = document.getElementById('dictionaryLastModified');
+        this.entryInput = document.getElementById('entryInput');
+        this.historySelect = document.getElementById('historySelect');
+        this.historyDiff = document.getElementById('historyDiff');
+        this.uploadProgress = document.getElementById('uploadProgress');
+        this.uploadProgressLabel = document.getElementById('uploadProgressLabel');
+        this.uploadProgressBar = document.getElementById('uploadProgressBar');
         
         // Initialize event listeners for dictionary management
         document.getElementById('newDictionaryBtn').addEventListener('click', () => this.createNewDictionary());
         document.getElementById('importDictionaryBtn').addEventListener('click', () => this.importDictionary());
         document.getElementById('exportDictionaryBtn').addEventListener('click', () => this.exportDictionary());
         document.getElementById('deleteDictionaryBtn').addEventListener('click', () => this.deleteDictionary());
+        document.getElementById('removeEntryBtn').addEventListener('click', () => this.removeEntry());
+        document.getElementById('decrementEntryBtn').addEventListener('click', () => this.decrementEntry());
+        document.getElementById('updateEntryBtn').addEventListener('click', () => this.updateEntry());
+        document.getElementById('cancelUploadBtn').addEventListener('click', () => this.cancelIngestion());
+        document.getElementById('compareSnapshotBtn').addEventListener('click', () => this.compareSnapshot());
+        document.getElementById('restoreSnapshotBtn').addEventListener('click', () => this.restoreSnapshot());
+        this.historySelect.addEventListener('change', () => {
+            this.historyDiff.innerHTML = '';
+        });
         
         this.dictionarySelect.addEventListener('change', (e) => {
             this.loadDictionary(e.target.value);
         });
+        
+        // Store buffered journal operations before the page goes away
+        window.addEventListener('pagehide', () => {
+            if (this.journal) {
+                this.journal.flush();
+            }
+        });
     }
     
     // Rest of the methods remain the same
@@ -144,9 +256,37 @@ class AppManager {
                 
                 <div class="form-group" id="fuzzyDistanceGroup" 
                      ${!this.preferences.fuzzyMatchingEnabled ? 'style="display:none;"' : ''}>
+                    <label for="fuzzyMatchModeSelect">Match By</label>
+                    <select id="fuzzyMatchModeSelect" class="form-control custom-select mb-2">
+                        <option value="edit" ${this.preferences.fuzzyMatchMode !== 'phonetic' ? 'selected' : ''}>Spelling (edit distance)</option>
+                        <option value="phonetic" ${this.preferences.fuzzyMatchMode === 'phonetic' ? 'selected' : ''}>Sound (Soundex / Double Metaphone)</option>
+                    </select>
                     <label for="maxEditDistanceInput">Max Edit Distance</label>
                     <input type="number" id="maxEditDistanceInput" class="form-control" 
                            min="1" max="3" value="${this.preferences.maxEditDistance || 2}">
+                    <label for="keyboardLayoutSelect" class="mt-2">Keyboard Layout</label>
+                    <select id="keyboardLayoutSelect" class="form-control custom-select">
+                        ${['none', 'qwerty', 'azerty'].map(layout => `
+                        <option value="${layout}" ${(this.preferences.keyboardLayout || 'none') === layout ? 'selected' : ''}>${layout === 'none' ? 'None (every typo costs the same)' : layout.toUpperCase()}</option>`).join('')}
+                    </select>
+                </div>
+                
+                <div class="form-group">
+                    <label for="scorerSelect">Ranking</label>
+                    <select id="scorerSelect" class="form-control custom-select"></select>
+                </div>
+                
+                <div class="form-group" id="halfLifeGroup" 
+                     ${this.preferences.scorer !== 'decay' ? 'style="display:none;"' : ''}>
+                    <label for="halfLifeInput">Popularity Half-Life (days)</label>
+                    <input type="number" id="halfLifeInput" class="form-control" 
+                           min="1" max="365" value="${this.preferences.decayHalfLifeDays || 30}">
+                </div>
+                
+                <div class="form-check mb-2">
+                    <input type="checkbox" class="form-check-input" id="infixMatchingCheck" 
+                           ${this.preferences.infixMatchingEnabled ? 'checked' : ''}>
+                    <label class="form-check-label" for="infixMatchingCheck">Match Anywhere in Sentence</label>
                 </div>
                 
                 <div class="form-check">
@@ -168,7 +308,14 @@ class AppManager {
         this.maxSuggestionsInput = document.getElementById('maxSuggestionsInput');
         this.fuzzyMatchingCheck = document.getElementById('fuzzyMatchingCheck');
         this.maxEditDistanceInput = document.getElementById('maxEditDistanceInput');
+        this.fuzzyMatchModeSelect = document.getElementById('fuzzyMatchModeSelect');
+        this.keyboardLayoutSelect = document.getElementById('keyboardLayoutSelect');
         this.caseSensitiveCheck = document.getElementById('caseSensitiveCheck');
+        this.infixMatchingCheck = document.getElementById('infixMatchingCheck');
+        this.scorerSelect = document.getElementById('scorerSelect');
+        this.halfLifeInput = document.getElementById('halfLifeInput');
+        
+        this.trie.getScorerNames().forEach(name => this.addScorerOption(name));
         
         // Initialize event listeners for settings
         document.getElementById('saveSettingsBtn').addEventListener('click', () => this.saveSettings());
@@ -176,6 +323,10 @@ class AppManager {
         this.fuzzyMatchingCheck.addEventListener('change', (e) => {
             document.getElementById('fuzzyDistanceGroup').style.display = e.target.checked ? 'block' : 'none';
         });
+        
+        this.scorerSelect.addEventListener('change', (e) => {
+            document.getElementById('halfLifeGroup').style.display = e.target.value === 'decay' ? 'block' : 'none';
+        });
     }
     
     createVisualizerPanel() {
@@ -317,42 +468,97 @@ class AppManager {
         }
     }
     
-    processFiles(files) {
-        // Process each file and add to current dictionary
-        Array.from(files).forEach(file => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                const text = e.target.result;
-                const sentences = this.splitTextIntoSentences(text);
-                
-                // Add sentences to trie
-                sentences.forEach(sentence => {
-                    if (sentence.trim()) {
-                        this.trie.insert(sentence.trim());
-                    }
-                });
-                
-                // Update UI
-                this.updateDictionaryInfo();
-                this.updateStatistics();
-                this.updateVisualizer();
-                
-                // Save dictionary if active
-                if (this.currentDictionary) {
-                    this.saveDictionary();
-                }
-            };
-            reader.readAsText(file);
-        });
+    /**
+     * Stream uploaded files into the current trie in batches
+     * @param {FileList|Array} files - Text files to ingest
+     * @returns {Promise} - Promise resolving when ingestion finishes or is cancelled
+     */
+    async processFiles(files) {
+        // A new upload replaces one still in progress
+        this.cancelIngestion();
+        const controller = new AbortController();
+        this.ingestController = controller;
         
         // Update file dropdown
         this.uploadedFiles.push(...Array.from(files));
         this.updateFileDropdown();
+        
+        // Keep the version from before the upload in the history: compactions while it runs
+        // add no snapshots, so restoring this one undoes exactly this upload
+        if (this.journal) {
+            const ngrams = await this.engine.serializeNGrams();
+            await this.dataManager.addSnapshot({
+                ...this.currentDictionary,
+                data: this.dataManager.serializeTrie(this.trie),
+                wordCount: this.trie.countUniqueEntries(),
+                ngrams,
+                journalSeq: this.journal.seq,
+                lastModified: Date.now()
+            }, 'file upload');
+        }
+        
+        try {
+            const results = await ingestFiles(files, (sentence, entryOptions) => {
+                this.trie.insert(sentence, entryOptions);
+                this.engine.insert(sentence, entryOptions);
+                this.recordOperation({ op: 'insert', text: sentence, ...entryOptions });
+            }, {
+                signal: controller.signal,
+                onProgress: progress => this.showUploadProgress(progress)
+            });
+            const total = results.reduce((sum, result) => sum + result.sentences, 0);
+            this.showNotification(`Added ${total} entries from ${results.length} file(s)`, 'success');
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.showNotification('Upload cancelled', 'info');
+            } else {
+                console.error('Error processing files:', error);
+                this.showNotification('Error processing files', 'error');
+            }
+        }
+        
+        // A newer upload took over and will refresh the UI when it finishes
+        if (this.ingestController !== controller) return;
+        this.ingestController = null;
+        this.uploadProgress.classList.add('d-none');
+        
+        // Sentences inserted before a cancellation or error are kept
+        this.updateDictionaryInfo();
+        this.updateStatistics();
+        this.updateVisualizer();
+        
+        // Store the journaled sentences; the trie is only re-serialized when the journal is compacted
+        if (this.journal) {
+            await this.journal.flush();
+            this.updateHistoryList();
+        }
+    }
+    
+    /**
+     * Stop the upload in progress, if any
+     */
+    cancelIngestion() {
+        if (this.ingestController) {
+            this.ingestController.abort();
+        }
+    }
+    
+    /**
+     * Show ingestion progress for the file being read
+     * @param {Object} progress - Progress report from ingestFiles
+     */
+    showUploadProgress(progress) {
+        const percent = progress.totalBytes > 0 ? Math.round(progress.bytesRead / progress.totalBytes * 100) : 100;
+        
+        this.uploadProgress.classList.remove('d-none');
+        this.uploadProgressLabel.textContent =
+            `${progress.file.name} (${progress.fileIndex + 1}/${progress.fileCount}): ${progress.sentences} sentences`;
+        this.uploadProgressBar.style.width = `${percent}%`;
+        this.uploadProgressBar.setAttribute('aria-valuenow', percent);
     }
     
     splitTextIntoSentences(text) {
-        // Improved sentence splitting logic
-        return text.match(/[^.!?]*[.!?]/g) || [];
+        return splitTextIntoSentences(text);
     }
     
     updateFileDropdown() {
@@ -364,41 +570,62 @@ class AppManager {
         });
     }
     
-    updateSuggestions(prefix) {
-        let results = [];
+    /**
+     * Fetch and show suggestions for the text typed so far
+     * @param {string} prefix - Current sentence
+     * @returns {Promise} - Promise resolving when suggestions are displayed
+     */
+    async updateSuggestions(prefix) {
+        const mode = this.getMatchMode();
+        let results;
         
-        // Get suggestions from trie
-        if (this.preferences.fuzzyMatchingEnabled) {
-            // Use fuzzy matching
-            results = this.getFuzzySuggestions(prefix);
+        // Untrimmed, so a trailing space tells the model the last word is finished
+        const sentenceText = this.prefixInput.value.split(/[.!?]/).pop().trimStart();
+        const predictions = this.engine.predict(sentenceText, { limit: 5 }).catch(error => {
+            console.error('Error predicting next words:', error);
+            return [];
+        });
+        
+        if (this.customScorers.has(this.trie.scorer.name)) {
+            // Custom scorers are functions, which cannot be sent to the worker
+            results = this.getLocalSuggestions(prefix, mode);
         } else {
-            // Use exact matching
-            results = this.trie.autocomplete(prefix);
+            try {
+                results = await this.engine.search(prefix);
+            } catch (error) {
+                console.error('Error querying autocomplete worker:', error);
+                results = this.getLocalSuggestions(prefix, mode);
+            }
+            
+            // A newer keystroke already asked for fresh suggestions
+            if (results === null) return;
         }
         
+        this.nextWords = await predictions;
+        
         // Update UI
         this.currentPage = 0;
         this.displaySuggestions(results, prefix);
     }
     
-    getFuzzySuggestions(prefix) {
-        if (!prefix) return [];
-        
-        // Generate variations of the prefix
-        const variations = this.fuzzyMatcher.getVariations(prefix);
-        const allResults = [];
-        
-        // Search for each variation
-        variations.forEach(variation => {
-            const results = this.trie.autocomplete(variation);
-            allResults.push(...results);
-        });
-        
-        // Remove duplicates
-        const uniqueResults = [...new Set(allResults)];
-        
-        // Rank results by similarity to original prefix
-        return this.fuzzyMatcher.rankMatches(prefix, uniqueResults);
+    /**
+     * Matching mode selected in the settings
+     * @returns {string} - 'exact', 'fuzzy', 'phonetic' or 'infix'
+     */
+    getMatchMode() {
+        if (this.preferences.infixMatchingEnabled) return 'infix';
+        if (!this.preferences.fuzzyMatchingEnabled) return 'exact';
+        return this.preferences.fuzzyMatchMode === 'phonetic' ? 'phonetic' : 'fuzzy';
+    }
+    
+    /**
+     * Get suggestions from the main-thread trie, ranked the same way the engine ranks them
+     * @param {string} prefix - Current sentence
+     * @param {string} mode - 'exact', 'fuzzy', 'phonetic' or 'infix'
+     * @returns {Array} - Suggestions
+     */
+    getLocalSuggestions(prefix, mode) {
+        return runQuery(this.trie, this.fuzzyMatcher, prefix, { mode, limit: this.engine.options.limit });
     }
     
     displaySuggestions(results, prefix) {
@@ -407,6 +634,7 @@ class AppManager {
         
         // Clear suggestions and add new ones with highlighting
         this.resultsDiv.innerHTML = '<h4>Suggestions</h4>';
+        this.displayNextWords();
         
         if (paginatedResults.length === 0) {
             const noResults = document.createElement('div');
@@ -416,11 +644,22 @@ class AppManager {
             return;
         }
         
-        paginatedResults.forEach(res => {
-            const highlightedSuggestion = this.highlightMatch(res, prefix);
+        paginatedResults.forEach(result => {
+            const res = result.text || result;
+            // Engine results carry the matched spans; plain strings are aligned here
+            const spans = result.spans || this.trie.matchSpans(prefix, res, result.offset);
             const suggestionItem = document.createElement('div');
             suggestionItem.className = 'suggestion-item';
-            suggestionItem.innerHTML = highlightedSuggestion;
+            appendHighlightedText(suggestionItem, res, spans);
+            
+            // Merged results from several dictionaries say which one they came from
+            if (result.sources) {
+                const source = document.createElement('span');
+                source.className = 'suggestion-source';
+                source.textContent = result.sources.map(({ name }) => name).join(', ');
+                source.title = `Weighted rank ${result.federatedScore.toFixed(2)}`;
+                suggestionItem.appendChild(source);
+            }
             
             // Click event to insert suggestion
             suggestionItem.addEventListener('click', () => {
@@ -432,11 +671,14 @@ class AppManager {
                 
                 // Record selection for learning
                 this.trie.recordSelection(res);
+                this.engine.recordSelection(res);
+                this.recordOperation({ op: 'select', text: res });
                 
-                // Save dictionary if active
-                if (this.currentDictionary) {
-                    this.saveDictionary();
-                }
+                // Let the host page map the suggestion back to its record through the payload
+                this.prefixInput.dispatchEvent(new CustomEvent('suggestionselected', {
+                    bubbles: true,
+                    detail: typeof result === 'string' ? { text: result } : result
+                }));
             });
             
             this.resultsDiv.appendChild(suggestionItem);
@@ -446,16 +688,43 @@ class AppManager {
         this.addPaginationControls(results);
     }
     
-    highlightMatch(text, match) {
-        if (!match) return text;
-        
-        try {
-            // Create RegExp for highlighting
-            const pattern = new RegExp(`(${match.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-            return text.replace(pattern, '<span class="highlight">$1</span>');
-        } catch (e) {
-            return text;
+    /**
+     * Show next-word predictions above the sentence suggestions
+     */
+    displayNextWords() {
+        if (this.nextWords.length === 0) {
+            return;
         }
+        
+        const group = document.createElement('div');
+        group.className = 'next-word-group';
+        
+        const label = document.createElement('span');
+        label.className = 'next-word-label';
+        label.textContent = 'Next word:';
+        group.appendChild(label);
+        
+        this.nextWords.forEach(prediction => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'next-word btn btn-sm btn-outline-secondary';
+            chip.textContent = prediction.text;
+            
+            chip.addEventListener('click', () => {
+                // Replace the unfinished word, if any, and leave room for the next one
+                const input = this.prefixInput;
+                const value = prediction.partial
+                    ? input.value.slice(0, input.value.length - prediction.partial.length)
+                    : input.value.replace(/\S$/, '$& ');
+                input.value = `${value}${prediction.text} `;
+                input.focus();
+                input.dispatchEvent(new Event('input'));
+            });
+            
+            group.appendChild(chip);
+        });
+        
+        this.resultsDiv.appendChild(group);
     }
     
     addPaginationControls(results) {
@@ -516,10 +785,18 @@ class AppManager {
                 this.dictionarySelect.appendChild(option);
             });
             
+            // Forget dictionaries that no longer exist
+            this.dictionaries = dictionaries;
+            const ids = new Set(dictionaries.map(dict => dict.id));
+            this.preferences.federatedDictionaries = (this.preferences.federatedDictionaries || []).filter(id => ids.has(id));
+            this.renderFederatedDictionaryList();
+            
             // Load active dictionary if any
             if (this.preferences.activeDictionary) {
                 this.dictionarySelect.value = this.preferences.activeDictionary;
                 this.loadDictionary(this.preferences.activeDictionary);
+            } else {
+                await this.updateFederatedSources(true);
             }
         } catch (error) {
             console.error('Error loading dictionaries:', error);
@@ -529,10 +806,19 @@ class AppManager {
     
     async loadDictionary(id) {
         try {
+            // Store what the previous dictionary still has buffered
+            await this.closeJournal();
+            
             if (id === 'default') {
                 // Reset to default dictionary
                 this.trie = new EnhancedTrie();
                 this.currentDictionary = null;
+                this.applyTriePreferences();
+                this.syncEngine();
+                this.engine.loadNGrams(null);
+                this.renderFederatedDictionaryList();
+                this.updateFederatedSources(true);
+                this.updateHistoryList();
                 this.updateDictionaryInfo();
                 this.updateStatistics();
                 this.updateVisualizer();
@@ -545,19 +831,40 @@ class AppManager {
                 return;
             }
             
-            // Load dictionary from database
-            const dictionary = await this.dataManager.getDictionary(id);
-            if (!dictionary) {
+            // Load the dictionary's last full save and the changes journaled since
+            const opened = await this.dataManager.openDictionary(id);
+            if (!opened) {
                 this.showNotification('Dictionary not found', 'error');
                 return;
             }
+            const { dictionary, trie, operations, seq } = opened;
             
             // Set trie data
-            this.trie = new EnhancedTrie();
-            this.trie.deserialize(dictionary.data);
+            this.trie = trie;
             this.currentDictionary = dictionary;
+            this.journal = new OperationJournal({
+                dataManager: this.dataManager,
+                dictionaryId: id,
+                seq,
+                compactedSeq: dictionary.journalSeq || 0,
+                // Compactions fold the journal into the saved version without adding snapshots;
+                // uploads and restores take the one snapshot that undoes them
+                onCompact: () => this.saveDictionary({ snapshot: false })
+            });
+            this.applyTriePreferences();
+            this.syncEngine();
+            this.engine.loadNGrams(dictionary.ngrams || null);
+            // The saved model predates the journaled sentences
+            const inserted = operations.filter(operation => operation.op === 'insert');
+            if (inserted.length > 0) {
+                this.engine.trainNGrams(inserted.map(({ text, weight }) => ({ text, weight })));
+            }
+            // The dictionary that was active may have changed, so searched ones are reloaded
+            this.renderFederatedDictionaryList();
+            this.updateFederatedSources(true);
             
             // Update UI
+            this.updateHistoryList();
             this.updateDictionaryInfo();
             this.updateStatistics();
             this.updateVisualizer();
@@ -573,28 +880,289 @@ class AppManager {
         }
     }
     
-    async saveDictionary() {
+    /**
+     * Id of the active dictionary, 'default' for the unsaved default one
+     * @returns {string} - Dictionary id
+     */
+    getActiveDictionaryId() {
+        return this.currentDictionary ? this.currentDictionary.id : 'default';
+    }
+    
+    /**
+     * Weight of a dictionary's suggestions in federated search
+     * @param {string} id - Dictionary id
+     * @returns {number} - Weight, 1 unless changed
+     */
+    getDictionaryWeight(id) {
+        const weights = this.preferences.dictionaryWeights || {};
+        return typeof weights[id] === 'number' ? weights[id] : 1;
+    }
+    
+    /**
+     * List saved dictionaries with a checkbox to search them alongside the active one and a weight
+     */
+    renderFederatedDictionaryList() {
+        if (!this.federatedDictionaryList) return;
+        
+        const activeId = this.getActiveDictionaryId();
+        const searched = new Set(this.preferences.federatedDictionaries || []);
+        const rows = [{ id: 'default', name: 'Default Dictionary' }, ...this.dictionaries];
+        this.federatedDictionaryList.innerHTML = '';
+        
+        rows.forEach(({ id, name }) => {
+            // The default dictionary is never saved, so it can only be searched while active
+            if (id === 'default' && activeId !== 'default') return;
+            
+            const row = document.createElement('div');
+            row.className = 'federated-dictionary d-flex align-items-center mb-1';
+            
+            const check = document.createElement('input');
+            check.type = 'checkbox';
+            check.className = 'form-check-input me-2';
+            check.checked = id === activeId || searched.has(id);
+            // The active dictionary is always searched
+            check.disabled = id === activeId;
+            
+            const label = document.createElement('span');
+            label.className = 'flex-grow-1';
+            label.textContent = name;
+            
+            const weight = document.createElement('input');
+            weight.type = 'number';
+            weight.className = 'form-control form-control-sm federated-weight';
+            weight.min = '0';
+            weight.step = '0.5';
+            weight.value = this.getDictionaryWeight(id);
+            weight.title = 'Weight';
+            
+            check.addEventListener('change', () => {
+                const ids = new Set(this.preferences.federatedDictionaries || []);
+                if (check.checked) {
+                    ids.add(id);
+                } else {
+                    ids.delete(id);
+                }
+                this.preferences.federatedDictionaries = Array.from(ids);
+                this.dataManager.savePreferences(this.preferences);
+                this.updateFederatedSources();
+            });
+            
+            weight.addEventListener('change', () => {
+                const value = parseFloat(weight.value);
+                this.preferences.dictionaryWeights = {
+                    ...this.preferences.dictionaryWeights,
+                    [id]: Number.isFinite(value) && value >= 0 ? value : 1
+                };
+                this.dataManager.savePreferences(this.preferences);
+                this.updateFederatedSources();
+            });
+            
+            row.append(check, label, weight);
+            this.federatedDictionaryList.appendChild(row);
+        });
+    }
+    
+    /**
+     * Load the dictionaries checked for federated search into the engine, and apply weights
+     * @param {boolean} reload - Reload every searched dictionary, e.g. after switching the active one
+     * @returns {Promise} - Promise resolving when the engine searches the checked dictionaries
+     */
+    async updateFederatedSources(reload = false) {
+        const activeId = this.getActiveDictionaryId();
+        const wanted = new Set((this.preferences.federatedDictionaries || []).filter(id => id !== activeId));
+        
+        try {
+            for (const id of this.federatedSources) {
+                if (reload || !wanted.has(id)) {
+                    this.federatedSources.delete(id);
+                    await this.engine.removeSource(id);
+                }
+            }
+            
+            for (const id of wanted) {
+                const weight = this.getDictionaryWeight(id);
+                if (this.federatedSources.has(id)) {
+                    await this.engine.setSourceWeight(id, weight);
+                    continue;
+                }
+                
+                // Include the changes journaled since the dictionary's last full save
+                const opened = await this.dataManager.openDictionary(id);
+                if (!opened || !opened.dictionary.data) continue;
+                const { dictionary, trie, operations } = opened;
+                const data = operations.length > 0 ? this.dataManager.serializeTrie(trie) : dictionary.data;
+                await this.engine.addSource(id, data, { name: dictionary.name, weight });
+                this.federatedSources.add(id);
+            }
+            
+            await this.engine.setSourceWeight(activeId, this.getDictionaryWeight(activeId));
+        } catch (error) {
+            console.error('Error loading dictionaries to search:', error);
+            this.showNotification('Error loading dictionaries to search', 'error');
+        }
+    }
+    
+    /**
+     * Write a full save of the active dictionary, folding in its journal
+     * @param {Object} options - { reason, snapshot }, see DataManager.saveDictionary
+     * @returns {Promise} - Promise resolving to the last journal operation the save covers
+     */
+    async saveDictionary(options = {}) {
         if (!this.currentDictionary) {
             return;
         }
         
         try {
-            // Update dictionary data
-            this.currentDictionary.data = this.trie.serialize();
-            this.currentDictionary.lastModified = new Date();
-            this.currentDictionary.wordCount = this.trie.getSize();
+            this.currentDictionary.ngrams = await this.engine.serializeNGrams();
             
-            // Save to database
-            await this.dataManager.updateDictionary(this.currentDictionary);
+            // Read together with the trie, which compactDictionary serializes before awaiting anything
+            const seq = this.journal ? this.journal.seq : 0;
+            await this.dataManager.compactDictionary(this.currentDictionary, this.trie, seq, options);
             
             // Update UI
             this.updateDictionaryInfo();
+            if (options.snapshot !== false) {
+                this.updateHistoryList();
+            }
+            return seq;
         } catch (error) {
             console.error('Error saving dictionary:', error);
             this.showNotification('Error saving dictionary', 'error');
         }
     }
     
+    /**
+     * Journal a change to the active dictionary; the default dictionary is not saved
+     * @param {Object} operation - { op, text, ... }, see operation-journal.js
+     */
+    recordOperation(operation) {
+        if (this.journal) {
+            this.journal.record(operation);
+        }
+    }
+    
+    /**
+     * Store the active dictionary's buffered changes and stop journaling them
+     * @returns {Promise} - Promise resolving when the buffer is stored
+     */
+    async closeJournal() {
+        const journal = this.journal;
+        this.journal = null;
+        if (journal) {
+            await journal.close();
+        }
+    }
+    
+    /**
+     * List the active dictionary's earlier versions in the history select
+     * @returns {Promise} - Promise resolving when the list is updated
+     */
+    async updateHistoryList() {
+        this.historyDiff.innerHTML = '';
+        const snapshots = this.currentDictionary ? await this.dataManager.listSnapshots(this.currentDictionary.id) : [];
+        const journaled = this.journal ? this.journal.seq - this.journal.compactedSeq : 0;
+        
+        this.historySelect.innerHTML = '';
+        this.historySelect.disabled = snapshots.length === 0 && journaled === 0;
+        if (this.historySelect.disabled) {
+            this.historySelect.add(new Option('No earlier versions', ''));
+            return;
+        }
+        
+        // Changes since the last full save are only in the journal
+        if (journaled > 0) {
+            const saved = new Date(this.currentDictionary.lastModified).toLocaleString();
+            this.historySelect.add(new Option(`${saved} (last full save, ${journaled} changes since)`, 'journal'));
+        }
+        
+        snapshots.forEach(snapshot => {
+            const saved = new Date(snapshot.lastModified || snapshot.savedAt).toLocaleString();
+            // Option text is never parsed as HTML
+            this.historySelect.add(new Option(
+                `${saved} (${snapshot.wordCount} entries, replaced by ${snapshot.reason})`,
+                snapshot.id
+            ));
+        });
+    }
+    
+    /**
+     * Show what changed between the selected earlier version and the current one
+     * @returns {Promise} - Promise resolving when the differences are shown
+     */
+    async compareSnapshot() {
+        const id = this.historySelect.value;
+        if (!id) {
+            this.showNotification('No earlier version selected', 'error');
+            return;
+        }
+        
+        try {
+            let diff;
+            if (id === 'journal') {
+                await this.journal.flush();
+                diff = await this.dataManager.compareJournal(this.currentDictionary.id);
+            } else {
+                diff = await this.dataManager.compareSnapshots(id);
+            }
+            this.historyDiff.innerHTML = '';
+            
+            const summary = document.createElement('div');
+            summary.className = 'history-diff-summary';
+            summary.textContent = `Since this version: ${summarizeDiff(diff)}`;
+            this.historyDiff.appendChild(summary);
+            
+            // A few examples of each kind of change
+            const list = document.createElement('ul');
+            const examples = [
+                ...diff.added.slice(0, 5).map(entry => ['added', `+ ${entry.text}`]),
+                ...diff.removed.slice(0, 5).map(entry => ['removed', `− ${entry.text}`]),
+                ...diff.changed.slice(0, 5).map(entry => ['changed', `~ ${entry.text} (${entry.before} → ${entry.after})`])
+            ];
+            examples.forEach(([kind, text]) => {
+                const item = document.createElement('li');
+                item.className = `history-${kind}`;
+                item.textContent = text;
+                list.appendChild(item);
+            });
+            this.historyDiff.appendChild(list);
+        } catch (error) {
+            console.error('Error comparing versions:', error);
+            this.showNotification('Error comparing versions', 'error');
+        }
+    }
+    
+    /**
+     * Replace the active dictionary with the selected earlier version
+     * @returns {Promise} - Promise resolving when the version is restored and loaded
+     */
+    async restoreSnapshot() {
+        const id = this.historySelect.value;
+        if (!id || !this.currentDictionary) {
+            this.showNotification('No earlier version selected', 'error');
+            return;
+        }
+        
+        const label = this.historySelect.selectedOptions[0].textContent;
+        if (!window.confirm(`Restore "${this.currentDictionary.name}" to the version saved ${label}? The current version stays in the history.`)) {
+            return;
+        }
+        
+        try {
+            // Everything recorded so far must be stored to be kept in the history
+            if (this.journal) {
+                await this.journal.flush();
+            }
+            const restored = id === 'journal'
+                ? await this.dataManager.discardJournal(this.currentDictionary.id)
+                : await this.dataManager.restoreSnapshot(id);
+            await this.loadDictionary(restored.id);
+            this.showNotification('Earlier version restored', 'success');
+        } catch (error) {
+            console.error('Error restoring version:', error);
+            this.showNotification('Error restoring version', 'error');
+        }
+    }
+    
     async createNewDictionary() {
         const name = prompt('Enter a name for the new dictionary:');
         if (!name) {
@@ -606,13 +1174,12 @@ class AppManager {
             const newDict = {
                 id: Date.now().toString(),
                 name: name,
-                data: new EnhancedTrie().serialize(),
-                lastModified: new Date(),
+                data: this.dataManager.serializeTrie(new EnhancedTrie()),
                 wordCount: 0
             };
             
             // Save to database
-            await this.dataManager.addDictionary(newDict);
+            await this.dataManager.saveDictionary(newDict);
             
             // Reload dictionaries and select new one
             await this.loadDictionaries();
@@ -639,41 +1206,19 @@ class AppManager {
             }
             
             try {
-                const reader = new FileReader();
-                reader.onload = async (e) => {
-                    try {
-                        const data = JSON.parse(e.target.result);
-                        if (!data.name || !data.data) {
-                            throw new Error('Invalid dictionary file');
-                        }
-                        
-                        // Create new dictionary
-                        const newDict = {
-                            id: Date.now().toString(),
-                            name: data.name,
-                            data: data.data,
-                            lastModified: new Date(),
-                            wordCount: data.wordCount || 0
-                        };
-                        
-                        // Save to database
-                        await this.dataManager.addDictionary(newDict);
-                        
-                        // Reload dictionaries and select new one
-                        await this.loadDictionaries();
-                        this.dictionarySelect.value = newDict.id;
-                        this.loadDictionary(newDict.id);
-                        
-                        this.showNotification(`Dictionary "${data.name}" imported`, 'success');
-                    } catch (error) {
-                        console.error('Error parsing dictionary file:', error);
-                        this.showNotification('Invalid dictionary file', 'error');
-                    }
-                };
-                reader.readAsText(file);
+                // Files from any earlier format version are migrated; invalid ones are rejected
+                // with the fields at fault
+                const newDict = await this.dataManager.importDictionary(file);
+                
+                // Reload dictionaries and select new one
+                await this.loadDictionaries();
+                this.dictionarySelect.value = newDict.id;
+                this.loadDictionary(newDict.id);
+                
+                this.showNotification(`Dictionary "${newDict.name}" imported`, 'success');
             } catch (error) {
                 console.error('Error importing dictionary:', error);
-                this.showNotification('Error importing dictionary', 'error');
+                this.showNotification(error.message, 'error');
             }
         });
         
@@ -681,24 +1226,20 @@ class AppManager {
         fileInput.click();
     }
     
-    exportDictionary() {
+    async exportDictionary() {
         if (!this.currentDictionary) {
             this.showNotification('No dictionary selected', 'error');
             return;
         }
         
         try {
-            // Create export data
-            const exportData = {
-                name: this.currentDictionary.name,
-                data: this.trie.serialize(),
-                wordCount: this.trie.getSize(),
-                lastModified: new Date()
-            };
+            // Export what is stored, so buffered changes are written first
+            if (this.journal) {
+                await this.journal.flush();
+            }
+            const blob = await this.dataManager.exportDictionary(this.currentDictionary.id);
             
             // Create download link
-            const dataStr = JSON.stringify(exportData, null, 2);
-            const blob = new Blob([dataStr], { type: 'application/json' });
             const url = URL.createObjectURL(blob);
             
             const downloadLink = document.createElement('a');
@@ -729,7 +1270,8 @@ class AppManager {
         }
         
         try {
-            // Delete from database
+            // Delete from database, after the journal has stopped writing to it
+            await this.closeJournal();
             await this.dataManager.deleteDictionary(this.currentDictionary.id);
             
             // Reload dictionaries and select default
@@ -744,18 +1286,119 @@ class AppManager {
         }
     }
     
+    /**
+     * Remove the sentence in the entry input from the dictionary
+     */
+    removeEntry() {
+        const sentence = this.entryInput.value.trim();
+        if (!sentence) {
+            this.showNotification('Enter a sentence to remove', 'error');
+            return;
+        }
+        
+        if (!this.trie.remove(sentence)) {
+            this.showNotification('Sentence not found in dictionary', 'error');
+            return;
+        }
+        this.recordOperation({ op: 'remove', text: sentence });
+        this.sendEdit(this.engine.remove(sentence));
+        
+        this.entryInput.value = '';
+        this.onEntriesChanged();
+        this.showNotification('Sentence removed', 'success');
+    }
+    
+    /**
+     * Decrease the frequency of the sentence in the entry input by one
+     */
+    decrementEntry() {
+        const sentence = this.entryInput.value.trim();
+        if (!sentence) {
+            this.showNotification('Enter a sentence to decrement', 'error');
+            return;
+        }
+        
+        const remaining = this.trie.decrement(sentence, 1);
+        if (remaining < 0) {
+            this.showNotification('Sentence not found in dictionary', 'error');
+            return;
+        }
+        this.recordOperation({ op: 'decrement', text: sentence, n: 1 });
+        this.sendEdit(this.engine.decrement(sentence, 1));
+        
+        this.onEntriesChanged();
+        this.showNotification(remaining === 0 ? 'Sentence removed' : `Frequency is now ${remaining}`, 'success');
+    }
+    
+    /**
+     * Replace the sentence in the entry input with new text
+     */
+    updateEntry() {
+        const sentence = this.entryInput.value.trim();
+        if (!sentence) {
+            this.showNotification('Enter a sentence to update', 'error');
+            return;
+        }
+        
+        const replacement = prompt('Enter the new text for this sentence:', sentence);
+        if (!replacement || replacement.trim() === sentence) {
+            return;
+        }
+        
+        if (!this.trie.update(sentence, replacement)) {
+            this.showNotification('Sentence not found in dictionary', 'error');
+            return;
+        }
+        this.recordOperation({ op: 'update', text: sentence, to: replacement });
+        this.sendEdit(this.engine.update(sentence, replacement));
+        
+        this.entryInput.value = replacement.trim();
+        this.onEntriesChanged();
+        this.showNotification('Sentence updated', 'success');
+    }
+    
+    /**
+     * Report an edit the worker failed to apply; the worker's copy is then reloaded from this.trie
+     * @param {Promise} request - The engine request for the edit
+     */
+    sendEdit(request) {
+        request.catch(error => {
+            console.error('Error editing autocomplete worker:', error);
+            this.syncEngine();
+        });
+    }
+    
+    /**
+     * Refresh the UI and persist after dictionary entries were edited
+     */
+    onEntriesChanged() {
+        this.updateDictionaryInfo();
+        this.updateStatistics();
+        this.updateVisualizer();
+        
+        // Edits are rare, so they are stored right away
+        if (this.journal) {
+            this.journal.flush().then(() => this.updateHistoryList());
+        }
+    }
+    
     saveSettings() {
         // Update preferences
         this.preferences.theme = this.themeSelect.value;
         this.preferences.maxSuggestions = parseInt(this.maxSuggestionsInput.value) || 5;
         this.preferences.fuzzyMatchingEnabled = this.fuzzyMatchingCheck.checked;
+        this.preferences.fuzzyMatchMode = this.fuzzyMatchModeSelect.value;
         this.preferences.maxEditDistance = parseInt(this.maxEditDistanceInput.value) || 2;
+        this.preferences.keyboardLayout = this.keyboardLayoutSelect.value;
         this.preferences.caseSensitive = this.caseSensitiveCheck.checked;
+        this.preferences.infixMatchingEnabled = this.infixMatchingCheck.checked;
+        this.preferences.scorer = this.scorerSelect.value;
+        this.preferences.decayHalfLifeDays = parseInt(this.halfLifeInput.value) || 30;
         
         // Update components
         this.resultsPerPage = this.preferences.maxSuggestions;
         this.fuzzyMatcher.setMaxDistance(this.preferences.maxEditDistance);
-        this.trie.setCaseSensitive(this.preferences.caseSensitive);
+        this.applyTriePreferences();
         
         // Apply theme
         this.applyTheme(this.preferences.theme);
@@ -766,32 +1409,116 @@ class AppManager {
         this.showNotification('Settings saved', 'success');
     }
     
+    /**
+     * Apply preferences that live on the trie itself, e.g. after a new trie is loaded
+     */
+    applyTriePreferences() {
+        const scorer = this.preferences.scorer || 'frequency';
+        this.trie.setCaseSensitive(Boolean(this.preferences.caseSensitive));
+        // The worker answers queries, so this.trie only needs the infix and phonetic indexes
+        // while a custom scorer ranks suggestions on the main thread
+        const mode = this.getMatchMode();
+        const localQueries = this.customScorers.has(scorer);
+        this.trie.setInfixMatching(localQueries && mode === 'infix');
+        this.trie.setPhoneticMatching(localQueries && mode === 'phonetic');
+        // Typos on neighbouring keys, swapped letters and doubled letters cost less than other edits
+        const layout = this.preferences.keyboardLayout;
+        const editCosts = layout && layout !== 'none' ? { layout } : null;
+        this.trie.setEditCosts(editCosts);
+        this.fuzzyMatcher.setEditCosts(editCosts);
+        this.fuzzyMatcher.setNormalizer(this.trie.normalizer);
+        
+        // Scorers are registered per trie, so carry custom ones over to newly loaded tries
+        this.trie.registerScorer('decay', createDecayScorer({
+            halfLife: (this.preferences.decayHalfLifeDays || 30) * 24 * 60 * 60 * 1000
+        }));
+        this.customScorers.forEach((scorer, name) => this.trie.registerScorer(name, scorer));
+        
+        this.trie.setScorer(this.trie.getScorerNames().includes(scorer) ? scorer : 'frequency');
+        
+        this.engine.setOptions({
+            mode,
+            caseSensitive: Boolean(this.preferences.caseSensitive),
+            keyboardLayout: editCosts ? layout : null,
+            maxDistance: this.preferences.maxEditDistance || 2,
+            scorer,
+            halfLifeDays: this.preferences.decayHalfLifeDays || 30
+        });
+    }
+    
+    /**
+     * Replace the worker's copy of the trie with the current one
+     */
+    syncEngine() {
+        const id = this.getActiveDictionaryId();
+        const source = {
+            id,
+            name: this.currentDictionary ? this.currentDictionary.name : 'Default Dictionary',
+            weight: this.getDictionaryWeight(id)
+        };
+        this.engine.load(this.dataManager.serializeTrie(this.trie), source).catch(error => {
+            console.error('Error syncing autocomplete worker:', error);
+        });
+    }
+    
+    /**
+     * Register a custom ranking function and offer it in the settings panel
+     * @param {string} name - Scorer name
+     * @param {Function|Object} scorer - Score function (candidate, context) => number, or scorer object
+     */
+    registerScorer(name, scorer) {
+        this.customScorers.set(name, scorer);
+        this.trie.registerScorer(name, scorer);
+        
+        if (this.scorerSelect && !Array.from(this.scorerSelect.options).some(option => option.value === name)) {
+            this.addScorerOption(name);
+        }
+        
+        // A saved preference for this scorer can apply now that it exists
+        if (this.preferences.scorer === name) {
+            this.applyTriePreferences();
+        }
+    }
+    
+    /**
+     * Offer a scorer in the settings panel. Names come from registerScorer, so they are set as text
+     * @param {string} name - Scorer name
+     */
+    addScorerOption(name) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        option.selected = this.preferences.scorer === name;
+        this.scorerSelect.appendChild(option);
+    }
+    
     updateDictionaryInfo() {
         if (this.currentDictionary) {
-            this.dictionaryWordsCount.textContent = this.trie.getSize();
+            this.dictionaryWordsCount.textContent = this.trie.countUniqueEntries();
             
             const lastModified = new Date(this.currentDictionary.lastModified);
             this.dictionaryLastModified.textContent = lastModified.toLocaleString();
         } else {
-            this.dictionaryWordsCount.textContent = this.trie.getSize();
+            this.dictionaryWordsCount.textContent = this.trie.countUniqueEntries();
             this.dictionaryLastModified.textContent = 'Never';
         }
     }
     
     updateStatistics() {
         // Update total entries
-        this.statTotalEntries.textContent = this.trie.getTotalNodes();
+        this.statTotalEntries.textContent = this.trie.countTotalNodes();
         
         // Update unique entries
-        this.statUniqueEntries.textContent = this.trie.getSize();
+        this.statUniqueEntries.textContent = this.trie.countUniqueEntries();
         
         // Update memory usage (rough estimate)
-        const serialized = this.trie.serialize();
-        const memoryUsage = Math.round(JSON.stringify(serialized).length / 1024);
+        const memoryUsage = Math.round(this.trie.estimateMemoryUsage() / 1024);
         this.statMemoryUsage.textContent = `${memoryUsage} KB`;
         
         // Update most common words
-        const commonWords = this.trie.getMostCommonWords(5);
+        const commonWords = [];
+        this.trie.forEachEntry(node => commonWords.push({ text: node.fullSentence, count: node.frequency }));
+        commonWords.sort((a, b) => b.count - a.count).splice(5);
         
         if (commonWords.length > 0) {
             this.statCommonWords.innerHTML = '';
@@ -845,10 +1572,12 @@ class AppManager {
         notification.className = `notification notification-${type}`;
         notification.innerHTML = `
             <div class="notification-content">
-                <span class="notification-message">${message}</span>
+                <span class="notification-message"></span>
                 <button class="notification-close">&times;</button>
             </div>
         `;
+        // Messages can quote dictionary names and imported file contents, so they are never parsed as HTML
+        notification.querySelector('.notification-message').textContent = message;
     
         // Add close event
         notification.querySelector('.notification-close').addEventListener('click', () => {
@@ -0,0 +1,254 @@
+/**
+ * AutocompleteClient - Main-thread proxy for the engine in autocomplete-worker.js
+ *
+ * Every method returns a promise. Queries resolve to null when a newer query was sent
+ * before they were answered, so callers can simply ignore them.
+ */
+import AutocompleteEngine from './autocomplete-engine.js';
+import { createMessageHandler } from './autocomplete-worker.js';
+
+// Requests that leave the engine as it was, so they need not be replayed after a worker failure
+const READ_ONLY = ['query', 'predict', 'stats', 'serialize', 'serializeNGrams', 'listSources'];
+
+export default class AutocompleteClient {
+    /**
+     * Constructor
+     * @param {Object} options - Client options
+     * @param {Worker|null} options.worker - Worker to talk to; by default one is started, or the
+     *                                       engine runs on the main thread where workers are unavailable
+     *                                       or the worker fails
+     */
+    constructor(options = {}) {
+        this.nextId = 1;
+        this.latestQueryId = 0;
+        this.pending = new Map();
+        this.insertBuffer = [];
+        // Requests that changed the worker's engine, replayed on the main thread if the worker fails
+        this.history = [];
+
+        let worker = options.worker;
+        if (worker === undefined && typeof Worker !== 'undefined') {
+            worker = new Worker(new URL('./autocomplete-worker.js', import.meta.url), { type: 'module' });
+        }
+
+        if (worker) {
+            this.worker = worker;
+            this.worker.onmessage = event => this.receive(event.data);
+            this.worker.onerror = event => this.fallBack(event && event.message);
+            this.worker.onmessageerror = () => this.fallBack('unreadable message from the worker');
+            this.send = message => this.worker.postMessage(message);
+        } else {
+            this.worker = null;
+            this.send = createMessageHandler(new AutocompleteEngine(), message => this.receive(message));
+        }
+    }
+
+    /**
+     * Send a request to the engine
+     * @param {string} type - Engine method
+     * @param {Array} args - Method arguments
+     * @returns {Promise} - Promise resolving to the method's result
+     */
+    call(type, ...args) {
+        return this.dispatch(type, args, false);
+    }
+
+    /**
+     * Post a request and track its reply
+     * @param {string} type - Engine method
+     * @param {Array} args - Method arguments
+     * @param {boolean} query - Whether newer queries make this one stale
+     * @returns {Promise} - Promise resolving to the method's result
+     */
+    dispatch(type, args, query) {
+        // Buffered inserts go first so requests see them
+        this.flushInserts();
+
+        const id = this.nextId++;
+        if (query) {
+            this.latestQueryId = id;
+        }
+        const message = { id, type, args };
+        if (this.worker && !READ_ONLY.includes(type)) {
+            // A load replaces everything sent before it, so only what follows needs replaying
+            if (type === 'load') {
+                this.history = [];
+            }
+            this.history.push(message);
+        }
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, query, message });
+            this.send(message);
+        });
+    }
+
+    /**
+     * Move the engine to the main thread after the worker failed to load or crashed: the new
+     * engine replays what the worker was sent, and unanswered requests are sent to it again
+     * @param {string} reason - What went wrong, for the console
+     */
+    fallBack(reason) {
+        if (!this.worker) return;
+        console.error(`Autocomplete worker failed (${reason || 'unknown error'}), running on the main thread`);
+        this.worker.terminate();
+        this.worker = null;
+
+        const engine = new AutocompleteEngine();
+        this.history
+            .filter(message => !this.pending.has(message.id))
+            .forEach(({ type, args }) => {
+                try {
+                    engine[type](...args);
+                } catch (error) {
+                    console.error(`Error replaying ${type}:`, error);
+                }
+            });
+        this.history = [];
+
+        this.send = createMessageHandler(engine, message => this.receive(message));
+        [...this.pending.values()].forEach(request => this.send(request.message));
+    }
+
+    /**
+     * Settle the request a reply belongs to
+     * @param {Object} message - { id, result } | { id, error } | { id, stale }
+     */
+    receive(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        this.pending.delete(message.id);
+
+        if (message.error) {
+            request.reject(new Error(message.error));
+        } else if (message.stale || (request.query && message.id !== this.latestQueryId)) {
+            request.resolve(null);
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    /**
+     * Queue a sentence; sentences queued in the same task are sent as one batch
+     * @param {string} sentence - Sentence to insert
+     * @param {Object} options - Insert options such as { weight }, as for EnhancedTrie.insert
+     */
+    insert(sentence, options) {
+        if (this.insertBuffer.length === 0) {
+            queueMicrotask(() => this.flushInserts());
+        }
+        this.insertBuffer.push(options ? { ...options, text: sentence } : sentence);
+    }
+
+    /**
+     * Send queued sentences
+     * @returns {Promise} - Promise resolving to the number inserted
+     */
+    flushInserts() {
+        if (this.insertBuffer.length === 0) return Promise.resolve(0);
+        const sentences = this.insertBuffer;
+        this.insertBuffer = [];
+        return this.call('insertBatch', sentences);
+    }
+
+    insertBatch(sentences) {
+        return this.call('insertBatch', sentences);
+    }
+
+    remove(sentence) {
+        return this.call('remove', sentence);
+    }
+
+    decrement(sentence, n) {
+        return this.call('decrement', sentence, n);
+    }
+
+    update(oldSentence, newSentence) {
+        return this.call('update', oldSentence, newSentence);
+    }
+
+    /**
+     * Get suggestions; see AutocompleteEngine.query
+     * @param {string} text - Query
+     * @param {Object} options - { mode, limit }
+     * @returns {Promise} - Promise resolving to the suggestions, or null if a newer query superseded this one
+     */
+    query(text, options = {}) {
+        return this.dispatch('query', [text, options], true);
+    }
+
+    /**
+     * Predict the next word(s); see AutocompleteEngine.predict
+     * @param {string} text - Current sentence
+     * @param {Object} options - { limit, words }
+     * @returns {Promise} - Promise resolving to [{ text, score, partial }]
+     */
+    predict(text, options = {}) {
+        return this.call('predict', text, options);
+    }
+
+    recordSelection(sentence) {
+        return this.call('recordSelection', sentence);
+    }
+
+    stats() {
+        return this.call('stats');
+    }
+
+    serialize() {
+        return this.call('serialize');
+    }
+
+    load(data, source) {
+        return this.call('load', data, source);
+    }
+
+    /**
+     * Search another dictionary alongside the loaded one; see AutocompleteEngine.addSource
+     * @param {string} id - Dictionary id
+     * @param {Object} data - Output of DataManager.serializeTrie
+     * @param {Object} options - { name, weight }
+     * @returns {Promise} - Promise resolving to the number of entries loaded
+     */
+    addSource(id, data, options) {
+        return this.call('addSource', id, data, options);
+    }
+
+    removeSource(id) {
+        return this.call('removeSource', id);
+    }
+
+    setSourceWeight(id, weight) {
+        return this.call('setSourceWeight', id, weight);
+    }
+
+    listSources() {
+        return this.call('listSources');
+    }
+
+    loadNGrams(data) {
+        return this.call('loadNGrams', data);
+    }
+
+    trainNGrams(entries) {
+        return this.call('trainNGrams', entries);
+    }
+
+    serializeNGrams() {
+        return this.call('serializeNGrams');
+    }
+
+    configure(settings) {
+        return this.call('configure', settings);
+    }
+
+    /**
+     * Stop the worker; outstanding requests are rejected
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+        }
+        this.pending.forEach(request => request.reject(new Error('Autocomplete worker terminated')));
+        this.pending.clear();
+    }
+}
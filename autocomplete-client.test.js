@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AutocompleteClient from './autocomplete-client.js';
+import AutocompleteEngine from './autocomplete-engine.js';
+import { createMessageHandler } from './autocomplete-worker.js';
+
+// Node has no Worker global, so the client runs the engine on the same thread
+// through the same message handler the worker uses
+
+const texts = results => results.map(result => result.text);
+
+test('client inserts, queries, records selections and serializes', async () => {
+    const client = new AutocompleteClient();
+    client.insert('hello world');
+    client.insert('help me');
+    assert.equal(await client.insertBatch(['hello there', 'hello world', '  ']), 2);
+
+    assert.deepEqual(texts(await client.query('hel', { limit: 1 })), ['hello world']);
+    await client.recordSelection('help me');
+    await client.recordSelection('help me');
+    assert.deepEqual(texts(await client.query('hel', { limit: 1 })), ['help me']);
+
+    const fuzzy = await client.query('hwllo', { mode: 'fuzzy' });
+    assert.equal(fuzzy[0].text, 'hello world');
+    assert.equal(fuzzy[0].matchInfo.distance, 1);
+
+    assert.equal((await client.stats()).uniqueEntries, 3);
+
+    // Inserted sentences also train the next-word model
+    assert.deepEqual(texts(await client.predict('hello ', { limit: 2 })), ['world', 'there']);
+    const ngrams = await client.serializeNGrams();
+    await client.loadNGrams(null);
+    assert.deepEqual(await client.predict('hello '), []);
+    await client.loadNGrams(ngrams);
+    assert.equal((await client.predict('hello w'))[0].text, 'world');
+
+    const other = new AutocompleteClient();
+    assert.equal(await other.load(await client.serialize()), 3);
+    assert.deepEqual(texts(await other.query('help', { limit: 5 })), ['help me']);
+});
+
+test('superseded queries resolve to null and only the latest runs', async () => {
+    const client = new AutocompleteClient();
+    await client.insertBatch(['alpha', 'alphabet']);
+
+    const first = client.query('a');
+    const second = client.query('alphab');
+    assert.equal(await first, null);
+    assert.deepEqual(texts(await second), ['alphabet']);
+});
+
+test('worker handler answers queries after queued messages and rejects unknown types', () => {
+    const replies = [];
+    const scheduled = [];
+    const handle = createMessageHandler(new AutocompleteEngine(), reply => replies.push(reply), callback => scheduled.push(callback));
+
+    handle({ id: 1, type: 'query', args: ['wor'] });
+    handle({ id: 2, type: 'insertBatch', args: [['world']] });
+    handle({ id: 3, type: 'query', args: ['wor'] });
+    handle({ id: 4, type: 'deleteEverything' });
+    scheduled.forEach(callback => callback());
+
+    assert.deepEqual(replies.slice(0, 3), [
+        { id: 2, result: 1 },
+        { id: 1, stale: true },
+        { id: 4, error: 'Unknown message type: deleteEverything' }
+    ]);
+    assert.equal(replies[3].id, 3);
+    assert.deepEqual(texts(replies[3].result), ['world']);
+});
+
+test('client moves to the main thread when the worker fails', async () => {
+    // A worker that answers the first requests, then stops replying and fails
+    const worker = {
+        sent: [],
+        terminated: false,
+        postMessage(message) { this.sent.push(message); },
+        terminate() { this.terminated = true; }
+    };
+    const client = new AutocompleteClient({ worker });
+    const handle = createMessageHandler(new AutocompleteEngine(), reply => worker.onmessage({ data: reply }), callback => callback());
+
+    const inserted = client.insertBatch(['hello world', 'help desk']);
+    handle(worker.sent[0]);
+    assert.equal(await inserted, 2);
+
+    const selection = client.recordSelection('help desk');
+    const results = client.query('hel', { limit: 1 });
+    worker.onerror({ message: 'worker crashed' });
+
+    assert.ok(worker.terminated);
+    await selection;
+    assert.deepEqual(texts(await results), ['help desk']);
+    assert.equal((await client.stats()).uniqueEntries, 2);
+});
+
+test('entry edits are sent as messages and a load clears the replay history', async () => {
+    const worker = {
+        sent: [],
+        postMessage(message) { this.sent.push(message); },
+        terminate() {}
+    };
+    const client = new AutocompleteClient({ worker });
+    const handle = createMessageHandler(new AutocompleteEngine(), reply => worker.onmessage({ data: reply }), queueMicrotask);
+    const request = promise => {
+        handle(worker.sent[worker.sent.length - 1]);
+        return promise;
+    };
+
+    await request(client.insertBatch([{ text: 'hello world', weight: 3 }, 'help desk', 'hi there']));
+    assert.equal(await request(client.decrement('hello world', 1)), 2);
+    assert.equal(await request(client.update('help desk', 'help center')), true);
+    assert.equal(await request(client.remove('hi there')), true);
+    assert.deepEqual(texts(await request(client.query('h', { limit: 5 }))), ['hello world', 'help center']);
+    assert.deepEqual(client.history.map(message => message.type), ['insertBatch', 'decrement', 'update', 'remove']);
+
+    const data = await request(client.serialize());
+    await request(client.load(data));
+    await request(client.recordSelection('help center'));
+    assert.deepEqual(client.history.map(message => message.type), ['load', 'recordSelection']);
+
+    // Replaying from the load rebuilds the same engine
+    worker.onerror({ message: 'worker crashed' });
+    assert.deepEqual(texts(await client.query('h', { limit: 5 })), ['help center', 'hello world']);
+});
@@ -0,0 +1,322 @@
+/**
+ * AutocompleteEngine - Trie and fuzzy matcher behind a small, message-friendly API
+ *
+ * Every method takes and returns plain data, so the engine can run on the main thread
+ * or inside autocomplete-worker.js unchanged.
+ */
+import EnhancedTrie, { normalizeWeight } from './enhanced-trie.js';
+import FuzzyMatcher from './fuzzy-matcher.js';
+import DataManager from './data-manager.js';
+import NGramModel from './ngram-model.js';
+import TextNormalizer from './text-normalizer.js';
+import { createDecayScorer } from './scorers.js';
+import { mergeResults } from './federated-search.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Run a query against a trie. Every mode returns results of the same shape:
+ * { text, frequency, lastUsed, payload, tags, spans, distance }, plus offset in infix mode,
+ * score and matchInfo in fuzzy and phonetic mode and editDistance and phoneticScore in phonetic mode.
+ * @param {EnhancedTrie} trie - Trie to search
+ * @param {FuzzyMatcher} fuzzyMatcher - Matcher ranking fuzzy and phonetic results
+ * @param {string} text - Query
+ * @param {Object} options - Query options
+ * @param {string} options.mode - 'exact' (prefix), 'fuzzy', 'phonetic' or 'infix'
+ * @param {number} options.limit - Maximum number of suggestions
+ * @returns {Array} - Results, best first
+ */
+export function runQuery(trie, fuzzyMatcher, text, options = {}) {
+    const { mode = 'exact', limit = 10 } = options;
+    if (!text) return [];
+
+    // A scorer that blends distance has already ranked fuzzy results, which must not be re-sorted by distance alone
+    const rankOptions = { keepOrder: Boolean(trie.scorer.blendsDistance) };
+    let results;
+    switch (mode) {
+        case 'infix':
+            results = trie.infixAutocomplete(text, limit);
+            break;
+        case 'fuzzy':
+            // Walk the trie once, keeping every entry within the edit distance budget
+            results = fuzzyMatcher.rankMatchesWithInfo(text, trie.fuzzySearch(text, fuzzyMatcher.maxDistance, limit), rankOptions);
+            break;
+        case 'phonetic':
+            // Sound-alike matches get their distance reduced, so they rank among close spellings
+            results = fuzzyMatcher.rankMatchesWithInfo(text, trie.phoneticSearch(text, fuzzyMatcher.maxDistance, limit), rankOptions);
+            break;
+        default:
+            results = trie.autocompleteWithInfo(text, limit);
+    }
+
+    // The distance results were ranked by, 0 for exact matches
+    return results.map(result => ({
+        ...result,
+        distance: result.matchInfo ? result.matchInfo.distance : result.distance || 0
+    }));
+}
+
+export default class AutocompleteEngine {
+    constructor() {
+        this.trie = new EnhancedTrie();
+        this.fuzzyMatcher = new FuzzyMatcher(2, this.trie.normalizer);
+        // Learns from inserted sentences only; loading a trie leaves it alone
+        this.ngrams = new NGramModel();
+        // Only used for (de)serialization, so its storage is never touched
+        this.dataManager = new DataManager({ storage: 'memory', preferenceStorage: 'memory' });
+        this.settings = {};
+        // Attribution of the editable trie, and further read-only dictionaries searched alongside it
+        this.source = { id: null, name: null, weight: 1 };
+        this.sources = new Map();
+    }
+
+    /**
+     * Replace the trie with serialized data
+     * @param {Object|null} data - Output of DataManager.serializeTrie, or null for an empty trie
+     * @param {Object} source - { id, name, weight } attributing this trie's results in federated search
+     * @returns {number} - Number of unique entries loaded
+     */
+    load(data, source = {}) {
+        this.trie = data ? this.dataManager.deserializeTrie(data) : new EnhancedTrie();
+        this.source = { id: source.id ?? null, name: source.name ?? null, weight: source.weight ?? 1 };
+        this.configure(this.settings);
+        return this.trie.countUniqueEntries();
+    }
+
+    /**
+     * Search another dictionary alongside the trie; results are merged by weighted rank
+     * @param {string} id - Dictionary id, replacing any source with the same id
+     * @param {Object} data - Output of DataManager.serializeTrie
+     * @param {Object} options - { name, weight }; weight defaults to 1
+     * @returns {number} - Number of unique entries loaded
+     */
+    addSource(id, data, options = {}) {
+        const trie = this.dataManager.deserializeTrie(data);
+        const source = {
+            id,
+            name: options.name ?? null,
+            weight: options.weight ?? 1,
+            trie,
+            fuzzyMatcher: new FuzzyMatcher(2, trie.normalizer)
+        };
+        this.applySettings(source.trie, source.fuzzyMatcher);
+        this.sources.set(id, source);
+        return trie.countUniqueEntries();
+    }
+
+    /**
+     * Stop searching a dictionary added with addSource
+     * @param {string} id - Dictionary id
+     * @returns {boolean} - Whether it was searched
+     */
+    removeSource(id) {
+        return this.sources.delete(id);
+    }
+
+    /**
+     * Change how much a dictionary's results count in federated search
+     * @param {string|null} id - Dictionary id, or the id the trie was loaded with
+     * @param {number} weight - Weight; 0 leaves the dictionary out
+     * @returns {boolean} - Whether the dictionary was found
+     */
+    setSourceWeight(id, weight) {
+        const source = id === this.source.id ? this.source : this.sources.get(id);
+        if (!source) return false;
+        source.weight = weight;
+        return true;
+    }
+
+    /**
+     * List the searched dictionaries
+     * @returns {Array} - [{ id, name, weight, entries }], the trie first
+     */
+    listSources() {
+        return [{ ...this.source, trie: this.trie }, ...this.sources.values()].map(({ id, name, weight, trie }) => ({
+            id, name, weight, entries: trie.countUniqueEntries()
+        }));
+    }
+
+    /**
+     * Apply matching settings; omitted settings keep their current value
+     * @param {Object} settings - { normalizer, caseSensitive, infix, phonetic, maxDistance, editCosts, scorer,
+     *                            halfLifeDays }; normalizer is TextNormalizer options and editCosts are
+     *                            EditCosts options, or null for plain Levenshtein distance
+     */
+    configure(settings = {}) {
+        this.settings = { ...this.settings, ...settings };
+        this.applySettings(this.trie, this.fuzzyMatcher);
+        this.sources.forEach(source => this.applySettings(source.trie, source.fuzzyMatcher));
+    }
+
+    /**
+     * Apply the current settings to one dictionary's trie and matcher
+     * @param {EnhancedTrie} trie - Trie
+     * @param {FuzzyMatcher} fuzzyMatcher - Matcher ranking its fuzzy results
+     */
+    applySettings(trie, fuzzyMatcher) {
+        const { normalizer, caseSensitive, infix, phonetic, maxDistance, editCosts, scorer, halfLifeDays } = this.settings;
+
+        if (normalizer) {
+            // Re-keying rebuilds the trie, so only do it when the options change
+            const next = new TextNormalizer(normalizer);
+            if (JSON.stringify(next.toJSON()) !== JSON.stringify(trie.normalizer.toJSON())) {
+                trie.setNormalizer(next);
+            }
+        }
+        if (caseSensitive !== undefined) trie.setCaseSensitive(Boolean(caseSensitive));
+        if (infix !== undefined) trie.setInfixMatching(Boolean(infix));
+        if (phonetic !== undefined) trie.setPhoneticMatching(Boolean(phonetic));
+        if (maxDistance !== undefined) fuzzyMatcher.setMaxDistance(maxDistance);
+        if (editCosts !== undefined) {
+            trie.setEditCosts(editCosts);
+            fuzzyMatcher.setEditCosts(editCosts);
+        }
+        fuzzyMatcher.setNormalizer(trie.normalizer);
+
+        trie.registerScorer('decay', createDecayScorer({ halfLife: (halfLifeDays || 30) * DAY }));
+        trie.setScorer(trie.getScorerNames().includes(scorer) ? scorer : 'frequency');
+    }
+
+    /**
+     * Insert sentences
+     * @param {Array} entries - Sentences, or { text, weight, tags } records
+     * @returns {number} - Number of non-empty sentences inserted
+     */
+    insertBatch(entries) {
+        let inserted = 0;
+        entries.forEach(entry => {
+            const { text, ...options } = typeof entry === 'string' ? { text: entry } : entry;
+            if (text && text.trim()) {
+                this.trie.insert(text, options);
+                this.ngrams.addSentence(text, normalizeWeight(options.weight));
+                inserted++;
+            }
+        });
+        return inserted;
+    }
+
+    /**
+     * Get suggestions for the text typed so far. With sources added, every dictionary is
+     * searched and the results are merged, see federated-search.js.
+     * @param {string} text - Query
+     * @param {Object} options - { mode, limit }, see runQuery
+     * @returns {Array} - Results, best first, see runQuery; merged results add source, sources
+     *                    and federatedScore
+     */
+    query(text, options = {}) {
+        if (this.sources.size === 0) {
+            return runQuery(this.trie, this.fuzzyMatcher, text, options);
+        }
+
+        const lists = [{ ...this.source, trie: this.trie, fuzzyMatcher: this.fuzzyMatcher }, ...this.sources.values()]
+            .filter(source => source.weight > 0)
+            .map(({ trie, fuzzyMatcher, ...source }) => ({
+                source,
+                results: runQuery(trie, fuzzyMatcher, text, options)
+            }));
+
+        return mergeResults(lists, {
+            limit: options.limit || 10,
+            // Fuzzy results are ranked closest first in every dictionary, so they stay that way
+            distanceFirst: options.mode === 'fuzzy' || options.mode === 'phonetic'
+        });
+    }
+
+    /**
+     * Remove a sentence
+     * @param {string} sentence - Sentence to remove
+     * @returns {boolean} - Whether it was stored
+     */
+    remove(sentence) {
+        return this.trie.remove(sentence);
+    }
+
+    /**
+     * Decrease a sentence's frequency, removing it when it reaches zero
+     * @param {string} sentence - Sentence to decrement
+     * @param {number} n - Amount, see EnhancedTrie.decrement
+     * @returns {number} - The remaining frequency, or -1 if not found
+     */
+    decrement(sentence, n = 1) {
+        return this.trie.decrement(sentence, n);
+    }
+
+    /**
+     * Replace a sentence's text, keeping its frequency and metadata
+     * @param {string} oldSentence - Sentence to replace
+     * @param {string} newSentence - Replacement text
+     * @returns {boolean} - Whether the old sentence was found and replaced
+     */
+    update(oldSentence, newSentence) {
+        return this.trie.update(oldSentence, newSentence);
+    }
+
+    /**
+     * Predict the next word(s) after the text typed so far
+     * @param {string} text - Current sentence
+     * @param {Object} options - { limit, words }, see NGramModel.predict
+     * @returns {Array} - [{ text, score, partial }]
+     */
+    predict(text, options = {}) {
+        return this.ngrams.predict(text, options);
+    }
+
+    /**
+     * Train the n-gram model without touching the trie, e.g. with sentences replayed from a
+     * journal onto a trie that is loaded separately
+     * @param {Array} entries - Sentences, or { text, weight } records
+     * @returns {number} - Number of sentences learned
+     */
+    trainNGrams(entries) {
+        let learned = 0;
+        entries.forEach(entry => {
+            const { text, weight } = typeof entry === 'string' ? { text: entry } : entry;
+            if (text && text.trim()) {
+                this.ngrams.addSentence(text, normalizeWeight(weight));
+                learned++;
+            }
+        });
+        return learned;
+    }
+
+    /**
+     * Replace the n-gram model
+     * @param {Object|null} data - Output of serializeNGrams, or null for an empty model
+     */
+    loadNGrams(data) {
+        this.ngrams = data ? NGramModel.fromJSON(data) : new NGramModel();
+    }
+
+    /**
+     * Serialize the n-gram model for storage
+     * @returns {Object} - Output of NGramModel.toJSON
+     */
+    serializeNGrams() {
+        return this.ngrams.toJSON();
+    }
+
+    /**
+     * Record that the user picked a suggestion, in every dictionary holding it
+     * @param {string} sentence - Selected sentence
+     */
+    recordSelection(sentence) {
+        this.trie.recordSelection(sentence);
+        this.sources.forEach(source => source.trie.recordSelection(sentence));
+    }
+
+    /**
+     * Trie statistics
+     * @returns {Object} - getStats() plus the node count
+     */
+    stats() {
+        return { ...this.trie.getStats(), totalNodes: this.trie.countTotalNodes() };
+    }
+
+    /**
+     * Serialize the trie for storage
+     * @returns {Object} - Output of DataManager.serializeTrie
+     */
+    serialize() {
+        return this.dataManager.serializeTrie(this.trie);
+    }
+}
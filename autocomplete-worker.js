@@ -0,0 +1,59 @@
+/**
+ * Web Worker hosting an AutocompleteEngine
+ *
+ * Messages are { id, type, args } where type is an engine method; replies are
+ * { id, result }, { id, error } or, for queries overtaken by a newer one, { id, stale: true }.
+ */
+import AutocompleteEngine from './autocomplete-engine.js';
+
+const METHODS = [
+    'load', 'configure', 'insertBatch', 'remove', 'decrement', 'update', 'query', 'predict', 'recordSelection',
+    'stats', 'serialize', 'loadNGrams', 'trainNGrams', 'serializeNGrams', 'addSource', 'removeSource', 'setSourceWeight', 'listSources'
+];
+
+/**
+ * Create the message handler used by the worker (and by AutocompleteClient when workers are unavailable)
+ * @param {AutocompleteEngine} engine - Engine answering the messages
+ * @param {Function} post - Sends a reply
+ * @param {Function} schedule - Runs a callback after already queued messages; defaults to setTimeout
+ * @returns {Function} - Handler taking a message
+ */
+export function createMessageHandler(engine, post, schedule = callback => setTimeout(callback, 0)) {
+    let pendingQuery = null;
+
+    const run = ({ id, type, args = [] }) => {
+        try {
+            post({ id, result: engine[type](...args) });
+        } catch (error) {
+            post({ id, error: error.message });
+        }
+    };
+
+    return (message) => {
+        if (!METHODS.includes(message.type)) {
+            post({ id: message.id, error: `Unknown message type: ${message.type}` });
+            return;
+        }
+        if (message.type !== 'query') {
+            run(message);
+            return;
+        }
+
+        // Queries wait until the messages already queued are handled, and only the latest one runs
+        if (pendingQuery) {
+            post({ id: pendingQuery.id, stale: true });
+        } else {
+            schedule(() => {
+                const query = pendingQuery;
+                pendingQuery = null;
+                run(query);
+            });
+        }
+        pendingQuery = message;
+    };
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    const handle = createMessageHandler(new AutocompleteEngine(), message => self.postMessage(message));
+    self.onmessage = event => handle(event.data);
+}
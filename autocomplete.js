@@ -0,0 +1,110 @@
+/**
+ * createAutocomplete - The autocomplete API shared by every front end
+ *
+ * Wraps AutocompleteClient (and so the worker-hosted AutocompleteEngine) with default
+ * matching options, so the vanilla page, AppManager and the React app rank suggestions
+ * the same way. search() resolves to structured results:
+ *
+ *   { text, frequency, lastUsed, payload, tags, spans, distance }
+ *
+ * where spans are the matched ranges of text ({ start, end, edit }, see match-spans.js) and
+ * distance is the edit distance the result was ranked by (0 for exact matches). Infix
+ * results add offset; fuzzy and phonetic results add score and matchInfo.
+ */
+import AutocompleteClient from './autocomplete-client.js';
+
+export const DEFAULT_AUTOCOMPLETE_OPTIONS = {
+    mode: 'fuzzy',
+    maxDistance: 2,
+    limit: 10,
+    scorer: 'frequency',
+    halfLifeDays: 30,
+    normalizer: null,
+    caseSensitive: false,
+    keyboardLayout: null
+};
+
+export class Autocomplete extends AutocompleteClient {
+    /**
+     * Constructor
+     * @param {Object} options - See createAutocomplete
+     */
+    constructor(options = {}) {
+        super({ worker: options.worker });
+        this.options = { ...DEFAULT_AUTOCOMPLETE_OPTIONS };
+        this.setOptions(options);
+
+        if (options.entries) {
+            this.insertBatch(options.entries);
+        }
+    }
+
+    /**
+     * Change options; omitted options keep their current value
+     * @param {Object} options - See createAutocomplete
+     * @returns {Promise} - Promise resolving once the engine is reconfigured
+     */
+    setOptions(options = {}) {
+        const { worker, entries, ...settings } = options;
+        this.options = { ...this.options, ...settings };
+        const { mode, maxDistance, scorer, halfLifeDays, normalizer, caseSensitive, keyboardLayout } = this.options;
+
+        return this.configure({
+            // Infix and phonetic matching need their own indexes, which cost memory
+            infix: mode === 'infix',
+            phonetic: mode === 'phonetic',
+            maxDistance,
+            scorer,
+            halfLifeDays,
+            editCosts: keyboardLayout ? { layout: keyboardLayout } : null,
+            caseSensitive: Boolean(caseSensitive),
+            ...(normalizer ? { normalizer } : {})
+        });
+    }
+
+    /**
+     * Get suggestions for the text typed so far
+     * @param {string} text - Query
+     * @param {Object} options - { limit } overriding the defaults for this search
+     * @returns {Promise} - Promise resolving to structured results, best first, or null if a
+     *                      newer search superseded this one
+     */
+    search(text, options = {}) {
+        if (!text) return Promise.resolve([]);
+        return this.query(text, {
+            mode: this.options.mode,
+            limit: options.limit || this.options.limit
+        });
+    }
+
+    /**
+     * Add a sentence
+     * @param {string} text - Sentence to add
+     * @param {Object} options - { weight, tags, payload }, as for EnhancedTrie.insert
+     * @returns {boolean} - Whether the sentence was queued (empty text is ignored)
+     */
+    add(text, options) {
+        if (!text || !text.trim()) return false;
+        this.insert(text, options);
+        return true;
+    }
+}
+
+/**
+ * Create an autocomplete engine
+ * @param {Object} options - Engine options
+ * @param {string} options.mode - 'exact' (prefix), 'fuzzy', 'phonetic' (sounds alike) or 'infix' (any word start)
+ * @param {number} options.maxDistance - Edit budget for fuzzy and phonetic matching
+ * @param {number} options.limit - Number of results search() returns by default
+ * @param {string} options.scorer - Ranking: 'frequency' or 'decay'
+ * @param {number} options.halfLifeDays - Days after which a use counts half as much with the decay scorer
+ * @param {Object} options.normalizer - TextNormalizer options; custom steps are functions and cannot be used
+ * @param {boolean} options.caseSensitive - Keep case when matching
+ * @param {string} options.keyboardLayout - 'qwerty' or 'azerty' to charge typos on neighbouring keys less
+ * @param {Array} options.entries - Sentences, or { text, weight, tags, payload } records, to start with
+ * @param {Worker|null} options.worker - Worker to use; null runs the engine on the main thread
+ * @returns {Autocomplete} - Engine; every method returns a promise
+ */
+export function createAutocomplete(options = {}) {
+    return new Autocomplete(options);
+}
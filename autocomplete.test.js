@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAutocomplete, DEFAULT_AUTOCOMPLETE_OPTIONS } from './autocomplete.js';
+
+const texts = results => results.map(result => result.text);
+
+test('search returns structured results in the configured mode', async () => {
+    const autocomplete = createAutocomplete({ worker: null, entries: ['Hello world', 'Help me', 'Say hello'] });
+    assert.equal(autocomplete.options.mode, DEFAULT_AUTOCOMPLETE_OPTIONS.mode);
+
+    const [result] = await autocomplete.search('helo w');
+    assert.equal(result.text, 'Hello world');
+    assert.equal(result.distance, 1);
+    assert.ok(Array.isArray(result.spans) && result.spans.length > 0);
+    assert.deepEqual(await autocomplete.search(''), []);
+
+    await autocomplete.setOptions({ mode: 'exact' });
+    assert.deepEqual(await autocomplete.search('helo w'), []);
+    const exact = await autocomplete.search('hel', { limit: 1 });
+    assert.equal(exact.length, 1);
+    assert.equal(exact[0].distance, 0);
+
+    await autocomplete.setOptions({ mode: 'infix' });
+    assert.deepEqual(texts(await autocomplete.search('hello')).sort(), ['Hello world', 'Say hello']);
+});
+
+test('add and remove change what search finds', async () => {
+    const autocomplete = createAutocomplete({ worker: null, mode: 'exact' });
+    assert.equal(autocomplete.add('   '), false);
+    assert.equal(autocomplete.add('Good morning', { weight: 2 }), true);
+    assert.deepEqual(texts(await autocomplete.search('good')), ['Good morning']);
+
+    assert.equal(await autocomplete.remove('Good morning'), true);
+    assert.deepEqual(await autocomplete.search('good'), []);
+});
+
+test('keyboard layout widens the fuzzy budget for neighbouring keys', async () => {
+    const autocomplete = createAutocomplete({ worker: null, maxDistance: 1, entries: ['seed catalogue'] });
+    assert.deepEqual(await autocomplete.search('swwd'), []);
+
+    await autocomplete.setOptions({ keyboardLayout: 'qwerty' });
+    assert.deepEqual(texts(await autocomplete.search('swwd')), ['seed catalogue']);
+});
@@ -2,77 +2,100 @@
  * DataManager - Handles data persistence for the trie
  * Manages dictionaries, user preferences, and serialization
  */
+import EnhancedTrie, { TrieNode } from './enhanced-trie.js';
+import { NORMALIZATION_PRESETS } from './text-normalizer.js';
+
+import { IndexedDBStorage, LocalStorageStorage, createStorage } from './storage-adapters.js';
+import { diffTries } from './dictionary-history.js';
+import { replayOperations } from './operation-journal.js';
+import { FORMAT_VERSION, migrateDictionary, parseDictionary } from './dictionary-format.js';
+
+const BINARY_MAGIC = 'TRIE';
+const BINARY_VERSION = 2;
+const NO_STRING = 0xFFFFFFFF;
 
 class DataManager {
-    constructor() {
+    /**
+     * Constructor
+     * @param {Object} options - Storage options
+     * @param {Object|string} options.storage - Adapter (or adapter type) holding dictionaries; IndexedDB by default
+     * @param {Object|string} options.preferenceStorage - Adapter (or adapter type) holding preferences; localStorage by default
+     * @param {number} options.historyLimit - Snapshots kept per dictionary
+     */
+    constructor(options = {}) {
         this.DB_NAME = 'trieAutocompleteDB';
+        // Version 2 added the history store, version 3 the journal store
+        this.DB_VERSION = 3;
         this.STORE_NAME = 'dictionaries';
+        this.HISTORY_STORE = 'dictionaryHistory';
+        this.JOURNAL_STORE = 'dictionaryJournal';
+        this.PREFERENCES_STORE = 'preferences';
         this.PREFERENCES_KEY = 'userPreferences';
-        this.dbPromise = this.initDatabase();
-    }
-
-    /**
-     * Initialize the IndexedDB database
-     * @returns {Promise} - Promise resolving to database connection
-     */
-    async initDatabase() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.DB_NAME, 1);
-            
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                
-                // Create object stores if they don't exist
-                if (!db.objectStoreNames.contains(this.STORE_NAME)) {
-                    const store = db.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
-                    store.createIndex('name', 'name', { unique: true });
-                    store.createIndex('lastModified', 'lastModified', { unique: false });
+        this.historyLimit = options.historyLimit ?? 20;
+        this.lastSnapshotAt = 0;
+        
+        this.storage = this.resolveStorage(options.storage, () => new IndexedDBStorage({
+            dbName: this.DB_NAME,
+            version: this.DB_VERSION,
+            stores: {
+                [this.STORE_NAME]: {
+                    keyPath: 'id',
+                    indexes: [
+                        { name: 'name', unique: true },
+                        { name: 'lastModified', unique: false }
+                    ]
+                },
+                // Snapshots are looked up by the "<dictionaryId>@" prefix of their id
+                [this.HISTORY_STORE]: {
+                    keyPath: 'id',
+                    indexes: [
+                        { name: 'savedAt', unique: false }
+                    ]
+                },
+                // Journal batches likewise by the "<dictionaryId>#" prefix
+                [this.JOURNAL_STORE]: {
+                    keyPath: 'id'
                 }
-            };
-            
-            request.onsuccess = (event) => {
-                resolve(event.target.result);
-            };
-            
-            request.onerror = (event) => {
-                console.error('IndexedDB error:', event.target.error);
-                reject(event.target.error);
-            };
-        });
+            }
+        }));
+        this.preferenceStorage = this.resolveStorage(options.preferenceStorage, () => new LocalStorageStorage());
     }
     
     /**
-     * Get a database connection
-     * @returns {Promise} - Promise resolving to database connection
+     * Turn a storage option into an adapter
+     * @param {Object|string|undefined} storage - Adapter instance, adapter type name, or nothing
+     * @param {Function} createDefault - Builds the default adapter
+     * @returns {Object} - Storage adapter
      */
-    async getDB() {
-        return this.dbPromise;
+    resolveStorage(storage, createDefault) {
+        if (!storage) return createDefault();
+        if (typeof storage === 'string') return createStorage(storage);
+        return storage;
     }
     
     /**
-     * Save a dictionary to the database
+     * Save a dictionary to storage, keeping the version it replaces in the history
      * @param {Object} dictionary - Dictionary object with id, name, data
+     * @param {Object} options - Save options
+     * @param {string} options.reason - What replaced the saved version, e.g. 'file upload'; shown with its snapshot
+     * @param {boolean} options.snapshot - Set to false to skip the snapshot, e.g. for frequency updates
      * @returns {Promise} - Promise resolving when save completes
      */
-    async saveDictionary(dictionary) {
+    async saveDictionary(dictionary, options = {}) {
         try {
-            const db = await this.getDB();
+            if (options.snapshot !== false) {
+                const previous = await this.storage.get(this.STORE_NAME, dictionary.id);
+                if (previous) {
+                    await this.addSnapshot(migrateDictionary(previous), options.reason);
+                }
+            }
             
-            return new Promise((resolve, reject) => {
-                const transaction = db.transaction([this.STORE_NAME], 'readwrite');
-                const store = transaction.objectStore(this.STORE_NAME);
-                
-                // Add timestamp
-                dictionary.lastModified = new Date().getTime();
-                
-                const request = store.put(dictionary);
-                
-                request.onsuccess = () => resolve(dictionary);
-                request.onerror = (event) => reject(event.target.error);
-                
-                transaction.oncomplete = () => resolve(dictionary);
-                transaction.onerror = (event) => reject(event.target.error);
-            });
+            // Add timestamp
+            dictionary.lastModified = new Date().getTime();
+            dictionary.formatVersion = FORMAT_VERSION;
+            
+            await this.storage.put(this.STORE_NAME, dictionary.id, dictionary);
+            return dictionary;
         } catch (error) {
             console.error('Error saving dictionary:', error);
             throw error;
@@ -80,27 +103,15 @@ class DataManager {
     }
     
     /**
-     * Load a dictionary from the database
+     * Load a dictionary from storage, migrated to the current format; it is stored in that
+     * format the next time it is saved
      * @param {string} id - Dictionary ID
      * @returns {Promise} - Promise resolving to dictionary object
      */
     async loadDictionary(id) {
         try {
-            const db = await this.getDB();
-            
-            return new Promise((resolve, reject) => {
-                const transaction = db.transaction([this.STORE_NAME], 'readonly');
-                const store = transaction.objectStore(this.STORE_NAME);
-                const request = store.get(id);
-                
-                request.onsuccess = (event) => {
-                    resolve(event.target.result);
-                };
-                
-                request.onerror = (event) => {
-                    reject(event.target.error);
-                };
-            });
+            const dictionary = await this.storage.get(this.STORE_NAME, id);
+            return dictionary && migrateDictionary(dictionary);
         } catch (error) {
             console.error('Error loading dictionary:', error);
             throw error;
@@ -108,22 +119,16 @@ class DataManager {
     }
     
     /**
-     * Delete a dictionary from the database
+     * Delete a dictionary from storage
      * @param {string} id - Dictionary ID
      * @returns {Promise} - Promise resolving when delete completes
      */
     async deleteDictionary(id) {
         try {
-            const db = await this.getDB();
-            
-            return new Promise((resolve, reject) => {
-                const transaction = db.transaction([this.STORE_NAME], 'readwrite');
-                const store = transaction.objectStore(this.STORE_NAME);
-                const request = store.delete(id);
-                
-                request.onsuccess = () => resolve(true);
-                request.onerror = (event) => reject(event.target.error);
-            });
+            const snapshots = await this.listSnapshots(id);
+            await Promise.all(snapshots.map(snapshot => this.storage.delete(this.HISTORY_STORE, snapshot.id)));
+            await this.deleteJournal(id);
+            return await this.storage.delete(this.STORE_NAME, id);
         } catch (error) {
             console.error('Error deleting dictionary:', error);
             throw error;
@@ -131,32 +136,269 @@ class DataManager {
     }
     
     /**
-     * Get all dictionaries from the database
+     * Append a batch of operations to a dictionary's journal
+     * @param {string} dictionaryId - Dictionary ID
+     * @param {Array} operations - Operations with seq, see operation-journal.js
+     * @returns {Promise} - Promise resolving when the batch is stored
+     */
+    async appendOperations(dictionaryId, operations) {
+        if (operations.length === 0) return;
+        
+        const firstSeq = operations[0].seq;
+        const batch = {
+            // Zero-padded so ids sort in sequence order
+            id: `${dictionaryId}#${String(firstSeq).padStart(12, '0')}`,
+            dictionaryId,
+            firstSeq,
+            lastSeq: operations[operations.length - 1].seq,
+            operations
+        };
+        await this.storage.put(this.JOURNAL_STORE, batch.id, batch);
+    }
+    
+    /**
+     * Get a dictionary's journal batches, oldest first
+     * @param {string} dictionaryId - Dictionary ID
+     * @returns {Promise} - Promise resolving to [{ id, dictionaryId, firstSeq, lastSeq, operations }]
+     */
+    async loadJournal(dictionaryId) {
+        const batches = await this.storage.getAllWithPrefix(this.JOURNAL_STORE, `${dictionaryId}#`);
+        return batches
+            .filter(batch => batch.dictionaryId === dictionaryId)
+            .sort((a, b) => a.firstSeq - b.firstSeq);
+    }
+    
+    /**
+     * Delete journal batches
+     * @param {string} dictionaryId - Dictionary ID
+     * @param {number} throughSeq - Delete batches whose operations all have this sequence number or
+     *                              lower; every batch by default
+     * @returns {Promise} - Promise resolving when they are deleted
+     */
+    async deleteJournal(dictionaryId, throughSeq = Infinity) {
+        const batches = await this.loadJournal(dictionaryId);
+        await Promise.all(batches
+            .filter(batch => batch.lastSeq <= throughSeq)
+            .map(batch => this.storage.delete(this.JOURNAL_STORE, batch.id)));
+    }
+    
+    /**
+     * Load a dictionary and build its trie: the stored snapshot plus the journal operations after it
+     * @param {string} id - Dictionary ID
+     * @returns {Promise} - Promise resolving to { dictionary, trie, operations, seq } where operations
+     *                      are the replayed ones and seq is the last sequence number used, or null
+     *                      if the dictionary does not exist
+     */
+    async openDictionary(id) {
+        const dictionary = await this.loadDictionary(id);
+        if (!dictionary) return null;
+        
+        const journalSeq = dictionary.journalSeq || 0;
+        const batches = await this.loadJournal(id);
+        const operations = batches
+            .flatMap(batch => batch.operations)
+            .filter(operation => operation.seq > journalSeq)
+            .sort((a, b) => a.seq - b.seq);
+        
+        const trie = replayOperations(this.deserializeTrie(dictionary.data), operations);
+        const seq = batches.reduce((max, batch) => Math.max(max, batch.lastSeq), journalSeq);
+        return { dictionary, trie, operations, seq };
+    }
+    
+    /**
+     * Store a full snapshot of a dictionary's trie and drop the journal operations it covers
+     * @param {Object} dictionary - Dictionary object with id and name
+     * @param {EnhancedTrie} trie - Trie holding every operation up to seq
+     * @param {number} seq - Last journal operation applied to the trie
+     * @param {Object} options - Save options, see saveDictionary
+     * @returns {Promise} - Promise resolving to the saved dictionary
+     */
+    async compactDictionary(dictionary, trie, seq, options = {}) {
+        // Serialized before anything is awaited, so later changes to the trie are left to the journal
+        dictionary.data = this.serializeTrie(trie);
+        dictionary.wordCount = trie.countUniqueEntries();
+        dictionary.journalSeq = seq;
+        
+        const saved = await this.saveDictionary(dictionary, options);
+        await this.deleteJournal(dictionary.id, seq);
+        return saved;
+    }
+    
+    /**
+     * Get all dictionaries from storage
      * @returns {Promise} - Promise resolving to array of dictionaries
      */
     async getAllDictionaries() {
         try {
-            const db = await this.getDB();
-            
-            return new Promise((resolve, reject) => {
-                const transaction = db.transaction([this.STORE_NAME], 'readonly');
-                const store = transaction.objectStore(this.STORE_NAME);
-                const request = store.getAll();
-                
-                request.onsuccess = (event) => {
-                    resolve(event.target.result);
-                };
-                
-                request.onerror = (event) => {
-                    reject(event.target.error);
-                };
-            });
+            const dictionaries = await this.storage.getAll(this.STORE_NAME);
+            return dictionaries.map(dictionary => migrateDictionary(dictionary));
         } catch (error) {
             console.error('Error getting dictionaries:', error);
             throw error;
         }
     }
     
+    /**
+     * Store a version of a dictionary in the history, dropping the oldest beyond historyLimit
+     * @param {Object} dictionary - Dictionary as it was saved
+     * @param {string} reason - Why it is being replaced
+     * @returns {Promise} - Promise resolving to the snapshot
+     */
+    async addSnapshot(dictionary, reason = 'save') {
+        // Snapshot ids must stay unique when saves follow each other within a millisecond
+        const savedAt = Math.max(Date.now(), this.lastSnapshotAt + 1);
+        this.lastSnapshotAt = savedAt;
+        
+        const snapshot = {
+            id: `${dictionary.id}@${savedAt}`,
+            dictionaryId: dictionary.id,
+            savedAt,
+            reason,
+            wordCount: dictionary.wordCount || 0,
+            dictionary
+        };
+        await this.storage.put(this.HISTORY_STORE, snapshot.id, snapshot);
+        
+        const snapshots = await this.listSnapshots(dictionary.id);
+        await Promise.all(snapshots.slice(this.historyLimit)
+            .map(old => this.storage.delete(this.HISTORY_STORE, old.id)));
+        return snapshot;
+    }
+    
+    /**
+     * List a dictionary's snapshots, newest first
+     * @param {string} dictionaryId - Dictionary ID
+     * @returns {Promise} - Promise resolving to [{ id, dictionaryId, savedAt, reason, wordCount, lastModified }];
+     *                      lastModified is when the snapshotted version was saved, savedAt when it was replaced
+     */
+    async listSnapshots(dictionaryId) {
+        try {
+            // Only this dictionary's snapshots are read; the filter drops ids of other dictionaries
+            // that merely start with this one's id followed by '@'
+            const snapshots = await this.storage.getAllWithPrefix(this.HISTORY_STORE, `${dictionaryId}@`);
+            return snapshots
+                .filter(snapshot => snapshot.dictionaryId === dictionaryId)
+                .sort((a, b) => b.savedAt - a.savedAt)
+                .map(({ dictionary, ...snapshot }) => ({ ...snapshot, lastModified: dictionary.lastModified }));
+        } catch (error) {
+            console.error('Error listing snapshots:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Load a snapshot
+     * @param {string} id - Snapshot ID
+     * @returns {Promise} - Promise resolving to { id, dictionaryId, savedAt, reason, wordCount, dictionary }
+     */
+    async loadSnapshot(id) {
+        try {
+            const snapshot = await this.storage.get(this.HISTORY_STORE, id);
+            return snapshot && { ...snapshot, dictionary: migrateDictionary(snapshot.dictionary) };
+        } catch (error) {
+            console.error('Error loading snapshot:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Compare a snapshot with a newer snapshot or with the saved dictionary
+     * @param {string} fromId - Snapshot ID of the older version
+     * @param {string|null} toId - Snapshot ID of the newer version, or null for the saved dictionary
+     * @returns {Promise} - Promise resolving to the output of diffTries
+     */
+    async compareSnapshots(fromId, toId = null) {
+        const from = await this.loadSnapshot(fromId);
+        if (!from) {
+            throw new Error(`Snapshot not found: ${fromId}`);
+        }
+        
+        let after;
+        if (toId) {
+            const to = await this.loadSnapshot(toId);
+            if (!to) {
+                throw new Error(`Snapshot not found: ${toId}`);
+            }
+            after = this.deserializeTrie(to.dictionary.data);
+        } else {
+            // The saved dictionary includes its journal
+            const current = await this.openDictionary(from.dictionaryId);
+            if (!current) {
+                throw new Error(`Dictionary not found: ${from.dictionaryId}`);
+            }
+            after = current.trie;
+        }
+        
+        return diffTries(this.deserializeTrie(from.dictionary.data), after);
+    }
+    
+    /**
+     * Make a snapshot the saved version of its dictionary; the version it replaces is kept
+     * in the history, so a restore can be undone
+     * @param {string} id - Snapshot ID
+     * @returns {Promise} - Promise resolving to the restored dictionary
+     */
+    async restoreSnapshot(id) {
+        const snapshot = await this.loadSnapshot(id);
+        if (!snapshot) {
+            throw new Error(`Snapshot not found: ${id}`);
+        }
+        
+        // Fold the journal into the current version first, so its snapshot has every change
+        let seq = 0;
+        const current = await this.openDictionary(snapshot.dictionaryId);
+        if (current) {
+            seq = current.seq;
+            if (current.operations.length > 0) {
+                await this.compactDictionary(current.dictionary, current.trie, seq, { snapshot: false });
+            }
+        }
+        
+        // Operations already journaled belong to the replaced version
+        return this.saveDictionary({ ...snapshot.dictionary, journalSeq: seq }, { reason: 'restore' });
+    }
+    
+    /**
+     * Compare a dictionary's last full save with the dictionary including its journal
+     * @param {string} dictionaryId - Dictionary ID
+     * @returns {Promise} - Promise resolving to the diff, see diffTries
+     */
+    async compareJournal(dictionaryId) {
+        const current = await this.openDictionary(dictionaryId);
+        if (!current) {
+            throw new Error(`Dictionary not found: ${dictionaryId}`);
+        }
+        return diffTries(this.deserializeTrie(current.dictionary.data), current.trie);
+    }
+    
+    /**
+     * Go back to a dictionary's last full save, dropping the journaled changes after it; the
+     * dictionary with those changes is kept in the history, so this can be undone
+     * @param {string} dictionaryId - Dictionary ID
+     * @returns {Promise} - Promise resolving to the dictionary
+     */
+    async discardJournal(dictionaryId) {
+        const current = await this.openDictionary(dictionaryId);
+        if (!current) {
+            throw new Error(`Dictionary not found: ${dictionaryId}`);
+        }
+        
+        const { dictionary, trie, operations, seq } = current;
+        if (operations.length > 0) {
+            await this.addSnapshot({
+                ...dictionary,
+                data: this.serializeTrie(trie),
+                wordCount: trie.countUniqueEntries(),
+                journalSeq: seq,
+                lastModified: Math.max(...operations.map(operation => operation.at || 0))
+            }, 'restore');
+        }
+        
+        const saved = await this.saveDictionary({ ...dictionary, journalSeq: seq }, { snapshot: false });
+        await this.deleteJournal(dictionaryId);
+        return saved;
+    }
+    
     /**
      * Save user preferences
      * @param {Object} preferences - User preferences object
@@ -164,7 +406,7 @@ class DataManager {
      */
     async savePreferences(preferences) {
         try {
-            localStorage.setItem(this.PREFERENCES_KEY, JSON.stringify(preferences));
+            await this.preferenceStorage.put(this.PREFERENCES_STORE, this.PREFERENCES_KEY, preferences);
             return preferences;
         } catch (error) {
             console.error('Error saving preferences:', error);
@@ -173,19 +415,37 @@ class DataManager {
     }
     
     /**
-     * Load user preferences
-     * @returns {Object} - User preferences object
+     * Load user preferences, filling in defaults for missing keys
+     * @returns {Promise} - Promise resolving to user preferences object
      */
-    loadPreferences() {
+    async loadPreferences() {
         try {
-            const preferences = localStorage.getItem(this.PREFERENCES_KEY);
-            return preferences ? JSON.parse(preferences) : this.getDefaultPreferences();
+            const preferences = await this.preferenceStorage.get(this.PREFERENCES_STORE, this.PREFERENCES_KEY)
+                ?? await this.migrateLegacyPreferences();
+            return { ...this.getDefaultPreferences(), ...preferences };
         } catch (error) {
             console.error('Error loading preferences:', error);
             return this.getDefaultPreferences();
         }
     }
     
+    /**
+     * Move preferences saved before storage adapters, under the bare localStorage key, into the preference store
+     * @returns {Promise} - Promise resolving to the legacy preferences, or undefined if there are none
+     */
+    async migrateLegacyPreferences() {
+        if (!(this.preferenceStorage instanceof LocalStorageStorage)) return undefined;
+        
+        const storage = this.preferenceStorage.getStorage();
+        const item = storage.getItem(this.PREFERENCES_KEY);
+        if (item === null) return undefined;
+        
+        const preferences = JSON.parse(item);
+        await this.preferenceStorage.put(this.PREFERENCES_STORE, this.PREFERENCES_KEY, preferences);
+        storage.removeItem(this.PREFERENCES_KEY);
+        return preferences;
+    }
+    
     /**
      * Get default user preferences
      * @returns {Object} - Default preferences object
@@ -195,25 +455,42 @@ class DataManager {
             theme: 'light',
             maxSuggestions: 5,
             fuzzyMatchingEnabled: true,
+            fuzzyMatchMode: 'edit',
             maxEditDistance: 2,
+            keyboardLayout: 'none',
             caseSensitive: false,
-            activeDictionary: null
+            infixMatchingEnabled: false,
+            scorer: 'frequency',
+            decayHalfLifeDays: 30,
+            activeDictionary: null,
+            // Saved dictionaries searched alongside the active one, and weights by dictionary id
+            federatedDictionaries: [],
+            dictionaryWeights: {}
         };
     }
     
     /**
-     * Export a dictionary to JSON file
+     * Export a dictionary to a JSON file in the current format, including its journaled changes
      * @param {string} id - Dictionary ID
      * @returns {Promise} - Promise resolving to Blob of dictionary data
      */
     async exportDictionary(id) {
         try {
-            const dictionary = await this.loadDictionary(id);
-            if (!dictionary) {
+            const opened = await this.openDictionary(id);
+            if (!opened) {
                 throw new Error('Dictionary not found');
             }
             
-            const blob = new Blob([JSON.stringify(dictionary, null, 2)], {
+            // The journal stays behind, so journalSeq means nothing to the importer
+            const { journalSeq, ...dictionary } = opened.dictionary;
+            const record = {
+                ...dictionary,
+                formatVersion: FORMAT_VERSION,
+                data: opened.operations.length > 0 ? this.serializeTrie(opened.trie) : dictionary.data,
+                wordCount: opened.trie.countUniqueEntries()
+            };
+            
+            const blob = new Blob([JSON.stringify(record, null, 2)], {
                 type: 'application/json'
             });
             
@@ -225,42 +502,21 @@ class DataManager {
     }
     
     /**
-     * Import a dictionary from JSON file
-     * @param {File} file - JSON file to import
-     * @returns {Promise} - Promise resolving to imported dictionary
+     * Import a dictionary from a JSON file of any supported format version
+     * @param {Blob|string} file - JSON file, or its text
+     * @returns {Promise} - Promise resolving to imported dictionary; rejects with a message naming
+     *                      the invalid fields if the file is not a valid dictionary
      */
     async importDictionary(file) {
         try {
-            return new Promise((resolve, reject) => {
-                const reader = new FileReader();
-                
-                reader.onload = async (e) => {
-                    try {
-                        const dictionary = JSON.parse(e.target.result);
-                        
-                        // Validate dictionary structure
-                        if (!dictionary.id || !dictionary.name || !dictionary.data) {
-                            reject(new Error('Invalid dictionary format'));
-                            return;
-                        }
-                        
-                        // Generate new ID to avoid conflicts
-                        dictionary.id = `imported_${Date.now()}`;
-                        
-                        // Save to database
-                        const saved = await this.saveDictionary(dictionary);
-                        resolve(saved);
-                    } catch (error) {
-                        reject(error);
-                    }
-                };
-                
-                reader.onerror = () => {
-                    reject(new Error('Error reading file'));
-                };
-                
-                reader.readAsText(file);
-            });
+            const dictionary = parseDictionary(typeof file === 'string' ? file : await file.text());
+            
+            // Generate new ID to avoid conflicts; the file's journal position does not apply here
+            dictionary.id = `imported_${Date.now()}`;
+            dictionary.journalSeq = 0;
+            
+            // Save to database
+            return await this.saveDictionary(dictionary, { snapshot: false });
         } catch (error) {
             console.error('Error importing dictionary:', error);
             throw error;
@@ -287,6 +543,14 @@ class DataManager {
                 serialized.fullSentence = node.fullSentence;
                 serialized.frequency = node.frequency || 1;
                 serialized.lastUsed = node.lastUsed || Date.now();
+                
+                // Metadata is only written for entries that have it
+                if (node.payload !== null && node.payload !== undefined) {
+                    serialized.payload = node.payload;
+                }
+                if (node.tags && node.tags.length > 0) {
+                    serialized.tags = node.tags;
+                }
             }
             
             for (const char in node.children) {
@@ -296,9 +560,12 @@ class DataManager {
             return serialized;
         };
         
+        // Child keys are edge labels, so compressed tries serialize multi-character keys as-is
         return {
             root: serializeNode(trie.root),
-            totalInsertions: trie.totalInsertions || 0
+            totalInsertions: trie.totalInsertions || 0,
+            compressed: Boolean(trie.compressed),
+            normalization: trie.normalizer ? trie.normalizer.toJSON() : NORMALIZATION_PRESETS.legacy
         };
     }
     
@@ -312,7 +579,11 @@ class DataManager {
             return new EnhancedTrie();
         }
         
-        const trie = new EnhancedTrie();
+        // Keys were built with the saved normalization; data from before it was recorded only lowercased
+        const trie = new EnhancedTrie({
+            compressed: data.compressed,
+            normalizer: data.normalization || NORMALIZATION_PRESETS.legacy
+        });
         trie.totalInsertions = data.totalInsertions || 0;
         
         const deserializeNode = (serialized, node) => {
@@ -322,6 +593,9 @@ class DataManager {
                 node.fullSentence = serialized.fullSentence || '';
                 node.frequency = serialized.frequency || 1;
                 node.lastUsed = serialized.lastUsed || Date.now();
+                node.payload = serialized.payload ?? null;
+                node.tags = serialized.tags || [];
+                trie.sentenceMap.set(node.fullSentence, node.frequency);
             }
             
             for (const char in serialized.children) {
@@ -331,6 +605,187 @@ class DataManager {
         };
         
         deserializeNode(data.root, trie.root);
+        trie.rebuildCaches();
         return trie;
     }
-}
\ No newline at end of file
+    
+    /**
+     * Convert trie to the compact binary format.
+     * Layout (little-endian): "TRIE", u8 version, u8 flags (bit 0: compressed), u16 reserved,
+     * f64 totalInsertions, u32 string count + (u32 byte length, UTF-8 bytes) per string,
+     * u32 index of the normalization JSON string, u32 node count, then nodes in pre-order:
+     * u32 edge string index, u32 child count, u8 isEndOfWord and, for end nodes,
+     * u32 sentence string index, u32 frequency, f64 lastUsed and (since version 2) u32 index
+     * of a { payload, tags } JSON string, or 0xFFFFFFFF when the entry has no metadata
+     * @param {Object} trie - Trie object to serialize
+     * @returns {ArrayBuffer} - Serialized trie data
+     */
+    serializeBinary(trie) {
+        if (!trie || !trie.root) {
+            return null;
+        }
+        
+        const encoder = new TextEncoder();
+        const strings = [];
+        const stringIndex = new Map();
+        const intern = (text) => {
+            if (!stringIndex.has(text)) {
+                stringIndex.set(text, strings.length);
+                strings.push(encoder.encode(text));
+            }
+            return stringIndex.get(text);
+        };
+        
+        // Flatten nodes in pre-order so each node is followed by its subtrees
+        const nodes = [];
+        const flatten = (node, edge) => {
+            const entry = { node, edge: edge === null ? NO_STRING : intern(edge), metadata: NO_STRING };
+            if (node.isEndOfWord) {
+                intern(node.fullSentence);
+                const metadata = this.serializeMetadata(node);
+                if (metadata !== null) entry.metadata = intern(metadata);
+            }
+            nodes.push(entry);
+            for (const key in node.children) {
+                flatten(node.children[key], key);
+            }
+        };
+        flatten(trie.root, null);
+        
+        const normalization = trie.normalizer ? trie.normalizer.toJSON() : NORMALIZATION_PRESETS.legacy;
+        const normalizationIndex = intern(JSON.stringify(normalization));
+        
+        let size = 4 + 1 + 1 + 2 + 8 + 4 + 4 + 4;
+        strings.forEach(bytes => { size += 4 + bytes.length; });
+        nodes.forEach(({ node }) => { size += 9 + (node.isEndOfWord ? 20 : 0); });
+        
+        const buffer = new ArrayBuffer(size);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        let offset = 0;
+        
+        for (let i = 0; i < BINARY_MAGIC.length; i++) {
+            view.setUint8(offset++, BINARY_MAGIC.charCodeAt(i));
+        }
+        view.setUint8(offset++, BINARY_VERSION);
+        view.setUint8(offset++, trie.compressed ? 1 : 0);
+        view.setUint16(offset, 0, true); offset += 2;
+        view.setFloat64(offset, trie.totalInsertions || 0, true); offset += 8;
+        
+        view.setUint32(offset, strings.length, true); offset += 4;
+        for (const encoded of strings) {
+            view.setUint32(offset, encoded.length, true); offset += 4;
+            bytes.set(encoded, offset); offset += encoded.length;
+        }
+        view.setUint32(offset, normalizationIndex, true); offset += 4;
+        
+        view.setUint32(offset, nodes.length, true); offset += 4;
+        for (const { node, edge, metadata } of nodes) {
+            view.setUint32(offset, edge, true); offset += 4;
+            view.setUint32(offset, Object.keys(node.children).length, true); offset += 4;
+            view.setUint8(offset++, node.isEndOfWord ? 1 : 0);
+            
+            if (node.isEndOfWord) {
+                view.setUint32(offset, stringIndex.get(node.fullSentence), true); offset += 4;
+                view.setUint32(offset, node.frequency || 1, true); offset += 4;
+                view.setFloat64(offset, node.lastUsed || Date.now(), true); offset += 8;
+                view.setUint32(offset, metadata, true); offset += 4;
+            }
+        }
+        
+        return buffer;
+    }
+    
+    /**
+     * Encode an entry's payload and tags for the binary format
+     * @param {TrieNode} node - End node
+     * @returns {string|null} - JSON string, or null if the entry has no metadata
+     */
+    serializeMetadata(node) {
+        const metadata = {};
+        if (node.payload !== null && node.payload !== undefined) metadata.payload = node.payload;
+        if (node.tags && node.tags.length > 0) metadata.tags = node.tags;
+        return Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : null;
+    }
+    
+    /**
+     * Create trie from the compact binary format
+     * @param {ArrayBuffer|Uint8Array} data - Serialized trie data
+     * @returns {Object} - Trie object
+     */
+    deserializeBinary(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 0;
+        
+        const magic = String.fromCharCode(...bytes.subarray(0, BINARY_MAGIC.length));
+        if (bytes.length < 8 || magic !== BINARY_MAGIC) {
+            throw new Error('Invalid binary trie data');
+        }
+        offset += BINARY_MAGIC.length;
+        
+        const version = view.getUint8(offset++);
+        if (version < 1 || version > BINARY_VERSION) {
+            throw new Error(`Unsupported binary trie version: ${version}`);
+        }
+        const flags = view.getUint8(offset++);
+        offset += 2;
+        const totalInsertions = view.getFloat64(offset, true); offset += 8;
+        
+        const decoder = new TextDecoder();
+        const stringCount = view.getUint32(offset, true); offset += 4;
+        const strings = new Array(stringCount);
+        for (let i = 0; i < stringCount; i++) {
+            const length = view.getUint32(offset, true); offset += 4;
+            strings[i] = decoder.decode(bytes.subarray(offset, offset + length));
+            offset += length;
+        }
+        const normalization = JSON.parse(strings[view.getUint32(offset, true)]); offset += 4;
+        
+        const trie = new EnhancedTrie({ compressed: (flags & 1) === 1, normalizer: normalization });
+        trie.totalInsertions = totalInsertions;
+        
+        const nodeCount = view.getUint32(offset, true); offset += 4;
+        const readNode = (node) => {
+            const edge = view.getUint32(offset, true); offset += 4;
+            const childCount = view.getUint32(offset, true); offset += 4;
+            node.isEndOfWord = view.getUint8(offset++) === 1;
+            
+            if (node.isEndOfWord) {
+                node.fullSentence = strings[view.getUint32(offset, true)]; offset += 4;
+                node.frequency = view.getUint32(offset, true); offset += 4;
+                node.lastUsed = view.getFloat64(offset, true); offset += 8;
+                
+                // Version 1 had no metadata
+                const metadata = version >= 2 ? view.getUint32(offset, true) : NO_STRING;
+                if (version >= 2) offset += 4;
+                if (metadata !== NO_STRING) {
+                    const { payload = null, tags = [] } = JSON.parse(strings[metadata]);
+                    node.payload = payload;
+                    node.tags = tags;
+                }
+                trie.sentenceMap.set(node.fullSentence, node.frequency);
+            }
+            
+            return { edge, childCount };
+        };
+        
+        // Rebuild parent links from the pre-order child counts
+        const stack = [{ node: trie.root, remaining: readNode(trie.root).childCount }];
+        for (let i = 1; i < nodeCount; i++) {
+            while (stack[stack.length - 1].remaining === 0) stack.pop();
+            const parent = stack[stack.length - 1];
+            parent.remaining--;
+            
+            const node = new TrieNode();
+            const { edge, childCount } = readNode(node);
+            parent.node.children[strings[edge]] = node;
+            stack.push({ node, remaining: childCount });
+        }
+        
+        trie.rebuildCaches();
+        return trie;
+    }
+}
+
+export default DataManager;
\ No newline at end of file
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import EnhancedTrie from './enhanced-trie.js';
+import DataManager from './data-manager.js';
+
+const dataManager = new DataManager();
+
+/**
+ * Build a trie with repeated inserts, selections and fixed timestamps
+ */
+function buildTrie(options) {
+    const trie = new EnhancedTrie(options);
+    ['The quick brown fox.', 'The quick brown fox.', 'The lazy dog.', 'Café au lait!', 'Emoji 😀 here.']
+        .forEach(sentence => trie.insert(sentence));
+    trie.recordSelection('The lazy dog.');
+
+    let timestamp = 1700000000123;
+    trie.forEachEntry(node => { node.lastUsed = timestamp++; });
+    return trie;
+}
+
+/**
+ * Collect every entry's text, frequency and lastUsed for comparison
+ */
+function entries(trie) {
+    const result = [];
+    trie.forEachEntry((node, key) => result.push([key, node.fullSentence, node.frequency, node.lastUsed]));
+    return result.sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+for (const compressed of [false, true]) {
+    test(`binary round trip keeps frequencies and lastUsed (compressed: ${compressed})`, () => {
+        const trie = buildTrie({ compressed });
+        const restored = dataManager.deserializeBinary(dataManager.serializeBinary(trie));
+
+        assert.deepEqual(entries(restored), entries(trie));
+        assert.equal(restored.totalInsertions, trie.totalInsertions);
+        assert.equal(restored.compressed, compressed);
+        assert.deepEqual(restored.normalizer.toJSON(), trie.normalizer.toJSON());
+        assert.deepEqual(restored.autocomplete('the'), trie.autocomplete('the'));
+        assert.equal(restored.getFrequency('The lazy dog.'), 2);
+    });
+
+    test(`JSON round trip keeps frequencies and lastUsed (compressed: ${compressed})`, () => {
+        const trie = buildTrie({ compressed });
+        const json = JSON.parse(JSON.stringify(dataManager.serializeTrie(trie)));
+        const restored = dataManager.deserializeTrie(json);
+
+        assert.deepEqual(entries(restored), entries(trie));
+        assert.equal(restored.totalInsertions, trie.totalInsertions);
+    });
+}
+
+test('binary format is smaller than JSON', () => {
+    const trie = buildTrie();
+    const binary = dataManager.serializeBinary(trie);
+    const json = JSON.stringify(dataManager.serializeTrie(trie));
+
+    assert.ok(binary.byteLength < json.length);
+});
+
+test('binary deserialization accepts Uint8Array views', () => {
+    const buffer = dataManager.serializeBinary(buildTrie());
+    const padded = new Uint8Array(buffer.byteLength + 3);
+    padded.set(new Uint8Array(buffer), 3);
+
+    const restored = dataManager.deserializeBinary(padded.subarray(3));
+    assert.deepEqual(restored.autocomplete('caf'), ['Café au lait!']);
+});
+
+test('binary deserialization rejects foreign data and unknown versions', () => {
+    assert.throws(() => dataManager.deserializeBinary(new TextEncoder().encode('{"root":{}}')), /Invalid binary trie data/);
+
+    const bytes = new Uint8Array(dataManager.serializeBinary(buildTrie()));
+    bytes[4] = 99;
+    assert.throws(() => dataManager.deserializeBinary(bytes), /Unsupported binary trie version: 99/);
+});
+
+test('payloads and tags survive both formats and come back in structured results', () => {
+    const trie = new EnhancedTrie();
+    trie.insert('Open settings', { weight: 3, payload: { id: 42, url: '/settings' }, tags: ['nav'] });
+    trie.insert('Open settings', { tags: ['menu'] });
+    trie.insert('Open file');
+
+    const expected = { id: 42, url: '/settings' };
+    const fromJson = dataManager.deserializeTrie(JSON.parse(JSON.stringify(dataManager.serializeTrie(trie))));
+    const fromBinary = dataManager.deserializeBinary(dataManager.serializeBinary(trie));
+
+    for (const restored of [trie, fromJson, fromBinary]) {
+        const [first, second] = restored.autocompleteWithInfo('open');
+        assert.equal(first.text, 'Open settings');
+        assert.equal(first.frequency, 4);
+        assert.deepEqual(first.payload, expected);
+        assert.deepEqual(first.tags, ['nav', 'menu']);
+        assert.equal(second.payload, null);
+        assert.deepEqual(second.tags, []);
+        assert.deepEqual(restored.getEntry('open settings').payload, expected);
+    }
+});
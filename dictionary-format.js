@@ -0,0 +1,313 @@
+/**
+ * Dictionary format - Versioned dictionary records, their schema and migrations
+ *
+ * Stored dictionaries and exported files share one record shape, tagged with formatVersion:
+ *
+ *   1  Unversioned records: { id, name, data: { root, totalInsertions }, wordCount, lastModified },
+ *      where lastModified may be a Date or a date string and files exported by the app have no id
+ *   2  data.compressed and data.normalization are always set; tries saved before normalization was
+ *      configurable were only lowercased, which is the legacy preset
+ *   3  lastModified is in epoch milliseconds, wordCount is always set and journalSeq records the
+ *      last journal operation included (see operation-journal.js)
+ *
+ * Records are migrated one version at a time up to FORMAT_VERSION, then checked against
+ * DICTIONARY_SCHEMA, a subset of JSON Schema.
+ */
+import { NORMALIZATION_PRESETS } from './text-normalizer.js';
+
+export const FORMAT_VERSION = 3;
+
+// Errors beyond this are only counted, so a badly broken file still gets a readable message
+const MAX_ERRORS = 10;
+
+export const DICTIONARY_SCHEMA = {
+    type: 'object',
+    required: ['formatVersion', 'name', 'data'],
+    properties: {
+        formatVersion: { const: FORMAT_VERSION },
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string', minLength: 1 },
+        data: { $ref: '#/definitions/trie' },
+        wordCount: { type: 'integer', minimum: 0 },
+        lastModified: { type: 'number', minimum: 0 },
+        journalSeq: { type: 'integer', minimum: 0 },
+        ngrams: { type: ['object', 'null'] }
+    },
+    definitions: {
+        trie: {
+            type: 'object',
+            required: ['root', 'totalInsertions', 'compressed', 'normalization'],
+            properties: {
+                root: { $ref: '#/definitions/node' },
+                totalInsertions: { type: 'number', minimum: 0 },
+                compressed: { type: 'boolean' },
+                normalization: { type: 'object' }
+            }
+        },
+        node: {
+            type: 'object',
+            required: ['children'],
+            properties: {
+                children: { type: 'object', additionalProperties: { $ref: '#/definitions/node' } },
+                isEndOfWord: { type: 'boolean' },
+                fullSentence: { type: 'string' },
+                frequency: { type: 'number', minimum: 0 },
+                lastUsed: { type: 'number' },
+                tags: { type: 'array', items: { type: 'string' } }
+            },
+            if: { properties: { isEndOfWord: { const: true } }, required: ['isEndOfWord'] },
+            then: { required: ['fullSentence', 'frequency'] }
+        }
+    }
+};
+
+/**
+ * JSON type name of a value, telling integers, arrays and null apart
+ * @param {*} value - Any value
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Check a value against a JSON type, where integers are also numbers
+ * @param {*} value - Value
+ * @param {string} type - Type name
+ * @returns {boolean} - Whether it matches
+ */
+function hasType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Path of a property, as $.a.b or $["key with spaces"]
+ * @param {string} path - Path of the parent
+ * @param {string|number} key - Property name or array index
+ * @returns {string} - Path of the property
+ */
+function childPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Validate a value against a schema. Supports type, const, enum, required, properties,
+ * additionalProperties, items, minimum, minLength, if/then and $ref to '#/definitions/...'
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {Object} options - Validation options
+ * @param {string} options.path - Path reported for the value itself
+ * @param {Object} options.root - Schema that $ref paths resolve against; the schema itself by default
+ * @param {number} options.maxErrors - Stop collecting after this many errors
+ * @returns {Array} - [{ path, message }], empty when the value is valid
+ */
+export function validate(value, schema, options = {}) {
+    const { path = '$', root = schema, maxErrors = MAX_ERRORS } = options;
+    const errors = [];
+
+    const check = (value, schema, path) => {
+        if (errors.length >= maxErrors) return;
+        const fail = message => errors.push({ path, message });
+
+        if (schema.$ref) {
+            const name = schema.$ref.replace('#/definitions/', '');
+            const definition = root.definitions && root.definitions[name];
+            if (!definition) {
+                throw new Error(`Unknown schema reference: ${schema.$ref}`);
+            }
+            check(value, definition, path);
+            return;
+        }
+
+        if (schema.const !== undefined && value !== schema.const) {
+            fail(`must be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+            return;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+            return;
+        }
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => hasType(value, type))) {
+                fail(`must be of type ${types.join(' or ')}, got ${typeOf(value)}`);
+                return;
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                fail(`must be at least ${schema.minimum}, got ${value}`);
+            }
+        }
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters long`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.items) {
+                value.forEach((item, index) => check(item, schema.items, childPath(path, index)));
+            }
+            return;
+        }
+
+        if (typeOf(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push({ path: childPath(path, key), message: 'is required' });
+                }
+            });
+
+            const properties = schema.properties || {};
+            for (const key of Object.keys(value)) {
+                if (errors.length >= maxErrors) return;
+                if (properties[key]) {
+                    check(value[key], properties[key], childPath(path, key));
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: childPath(path, key), message: 'is not allowed' });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    check(value[key], schema.additionalProperties, childPath(path, key));
+                }
+            }
+
+            if (schema.if && schema.then && validate(value, schema.if, { root, maxErrors: 1 }).length === 0) {
+                check(value, schema.then, path);
+            }
+        }
+    };
+
+    check(value, schema, path);
+    return errors;
+}
+
+/**
+ * Count the entries of serialized trie data
+ * @param {Object} node - Serialized node
+ * @returns {number} - Number of end nodes
+ */
+function countEntries(node) {
+    if (!node || typeof node !== 'object') return 0;
+    let count = node.isEndOfWord ? 1 : 0;
+    for (const key in node.children) {
+        count += countEntries(node.children[key]);
+    }
+    return count;
+}
+
+/**
+ * Steps from each version to the next; each takes a record and returns the upgraded copy
+ */
+const MIGRATIONS = {
+    1: record => {
+        if (!record.data || typeof record.data !== 'object') return record;
+        return {
+            ...record,
+            data: {
+                ...record.data,
+                totalInsertions: record.data.totalInsertions ?? 0,
+                compressed: Boolean(record.data.compressed),
+                normalization: record.data.normalization || { ...NORMALIZATION_PRESETS.legacy }
+            }
+        };
+    },
+    2: record => {
+        const lastModified = record.lastModified === undefined ? NaN : new Date(record.lastModified).getTime();
+        const migrated = {
+            ...record,
+            wordCount: record.wordCount ?? countEntries(record.data && record.data.root),
+            journalSeq: record.journalSeq ?? 0
+        };
+        if (Number.isFinite(lastModified)) {
+            migrated.lastModified = lastModified;
+        } else {
+            delete migrated.lastModified;
+        }
+        return migrated;
+    }
+};
+
+/**
+ * Format version of a record; records from before versioning are version 1
+ * @param {Object} record - Dictionary record
+ * @returns {number} - Version
+ */
+export function getFormatVersion(record) {
+    return record.formatVersion ?? 1;
+}
+
+/**
+ * Upgrade a record to FORMAT_VERSION
+ * @param {Object} record - Dictionary record of any supported version
+ * @returns {Object} - Record at FORMAT_VERSION; the record itself if it already is
+ */
+export function migrateDictionary(record) {
+    let version = getFormatVersion(record);
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Invalid dictionary: $.formatVersion must be a positive integer, got ${JSON.stringify(record.formatVersion)}`);
+    }
+    if (version > FORMAT_VERSION) {
+        throw new Error(`Dictionary format version ${version} is newer than this version of the app supports (${FORMAT_VERSION})`);
+    }
+
+    let migrated = record;
+    while (version < FORMAT_VERSION) {
+        migrated = { ...MIGRATIONS[version](migrated), formatVersion: version + 1 };
+        version++;
+    }
+    return migrated;
+}
+
+/**
+ * Describe validation errors in one message
+ * @param {Array} errors - Output of validate
+ * @returns {string} - e.g. "$.name is required; $.data.root.children.a.frequency must be at least 0, got -1"
+ */
+export function formatErrors(errors) {
+    const shown = errors.slice(0, 3).map(error => `${error.path} ${error.message}`);
+    if (errors.length > shown.length) {
+        shown.push(errors.length >= MAX_ERRORS ? 'and more' : `and ${errors.length - shown.length} more`);
+    }
+    return shown.join('; ');
+}
+
+/**
+ * Migrate and validate a dictionary record from outside the app, e.g. an imported file
+ * @param {*} record - Parsed record
+ * @returns {Object} - Record at FORMAT_VERSION
+ */
+export function readDictionary(record) {
+    if (typeOf(record) !== 'object') {
+        throw new Error(`Invalid dictionary: $ must be of type object, got ${typeOf(record)}`);
+    }
+
+    const migrated = migrateDictionary(record);
+    const errors = validate(migrated, DICTIONARY_SCHEMA);
+    if (errors.length > 0) {
+        const error = new Error(`Invalid dictionary: ${formatErrors(errors)}`);
+        error.errors = errors;
+        throw error;
+    }
+    return migrated;
+}
+
+/**
+ * Parse, migrate and validate a dictionary file
+ * @param {string} text - JSON text
+ * @returns {Object} - Record at FORMAT_VERSION
+ */
+export function parseDictionary(text) {
+    let record;
+    try {
+        record = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid dictionary: not JSON (${error.message})`);
+    }
+    return readDictionary(record);
+}
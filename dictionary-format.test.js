@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import EnhancedTrie from './enhanced-trie.js';
+import DataManager from './data-manager.js';
+import { NORMALIZATION_PRESETS } from './text-normalizer.js';
+import {
+    FORMAT_VERSION,
+    DICTIONARY_SCHEMA,
+    validate,
+    migrateDictionary,
+    parseDictionary
+} from './dictionary-format.js';
+
+const node = (children = {}, entry = {}) => ({ children, ...entry });
+const leaf = (fullSentence, frequency = 1) => node({}, { isEndOfWord: true, fullSentence, frequency, lastUsed: 1 });
+
+// A file exported by the app before records were versioned
+const unversioned = () => ({
+    name: 'Old',
+    data: { root: node({ h: node({ i: leaf('hi', 2) }) }), totalInsertions: 2 },
+    lastModified: '2024-03-01T12:00:00.000Z'
+});
+
+test('unversioned records migrate through every version', () => {
+    const record = migrateDictionary(unversioned());
+
+    assert.equal(record.formatVersion, FORMAT_VERSION);
+    assert.equal(record.data.compressed, false);
+    assert.deepEqual(record.data.normalization, NORMALIZATION_PRESETS.legacy);
+    assert.equal(record.lastModified, Date.parse('2024-03-01T12:00:00.000Z'));
+    assert.equal(record.wordCount, 1);
+    assert.equal(record.journalSeq, 0);
+    assert.deepEqual(validate(record, DICTIONARY_SCHEMA), []);
+
+    // Current records are left alone
+    assert.equal(migrateDictionary(record), record);
+});
+
+test('migration refuses versions it does not know', () => {
+    assert.throws(() => migrateDictionary({ formatVersion: FORMAT_VERSION + 1 }),
+        new RegExp(`version ${FORMAT_VERSION + 1} is newer than this version of the app supports`));
+    assert.throws(() => migrateDictionary({ formatVersion: 'two' }), /\$\.formatVersion must be a positive integer/);
+});
+
+test('validation errors name the offending field', () => {
+    const record = migrateDictionary(unversioned());
+    record.name = '';
+    record.data.root.children.h.children.i.frequency = -1;
+    record.data.root.children['x y'] = { isEndOfWord: true, children: {}, frequency: 1 };
+    delete record.data.compressed;
+
+    assert.deepEqual(validate(record, DICTIONARY_SCHEMA), [
+        { path: '$.name', message: 'must not be empty' },
+        { path: '$.data.compressed', message: 'is required' },
+        { path: '$.data.root.children.h.children.i.frequency', message: 'must be at least 0, got -1' },
+        { path: '$.data.root.children["x y"].fullSentence', message: 'is required' }
+    ]);
+
+    assert.deepEqual(validate({ tags: ['a', 2] }, DICTIONARY_SCHEMA.definitions.node, { root: DICTIONARY_SCHEMA }), [
+        { path: '$.children', message: 'is required' },
+        { path: '$.tags[1]', message: 'must be of type string, got integer' }
+    ]);
+});
+
+test('parseDictionary reports what is wrong with a file', () => {
+    assert.throws(() => parseDictionary('{'), /^Error: Invalid dictionary: not JSON/);
+    assert.throws(() => parseDictionary('[]'), /\$ must be of type object, got array/);
+    assert.throws(() => parseDictionary('{"name": "x"}'), /Invalid dictionary: \$\.data is required/);
+
+    const broken = unversioned();
+    broken.data.root.children.h = 'h';
+    assert.throws(() => parseDictionary(JSON.stringify(broken)),
+        error => error.errors.length === 1 && /\$\.data\.root\.children\.h must be of type object, got string/.test(error.message));
+});
+
+test('exports are versioned and import back, older files too', async () => {
+    const dataManager = new DataManager({ storage: 'memory', preferenceStorage: 'memory' });
+    const trie = new EnhancedTrie();
+    trie.insert('hello world');
+    await dataManager.saveDictionary({ id: 'd1', name: 'Main', data: dataManager.serializeTrie(trie), wordCount: 1 });
+    await dataManager.appendOperations('d1', [{ seq: 1, op: 'insert', text: 'help desk' }]);
+
+    const exported = JSON.parse(await (await dataManager.exportDictionary('d1')).text());
+    assert.equal(exported.formatVersion, FORMAT_VERSION);
+    assert.equal(exported.wordCount, 2);
+    assert.equal(exported.journalSeq, undefined);
+
+    const imported = await dataManager.importDictionary(new Blob([JSON.stringify(exported)]));
+    assert.notEqual(imported.id, 'd1');
+    assert.equal(dataManager.deserializeTrie((await dataManager.loadDictionary(imported.id)).data).countUniqueEntries(), 2);
+
+    const old = await dataManager.importDictionary(JSON.stringify(unversioned()));
+    assert.equal(old.formatVersion, FORMAT_VERSION);
+    assert.deepEqual(dataManager.deserializeTrie(old.data).autocomplete('h'), ['hi']);
+
+    await assert.rejects(dataManager.importDictionary('{"name": "x", "data": {}}'), /\$\.data\.root is required/);
+});
+
+test('stored records from before versioning load in the current format', async () => {
+    const dataManager = new DataManager({ storage: 'memory', preferenceStorage: 'memory' });
+    await dataManager.storage.put(dataManager.STORE_NAME, 'old', { id: 'old', ...unversioned() });
+
+    const loaded = await dataManager.loadDictionary('old');
+    assert.equal(loaded.formatVersion, FORMAT_VERSION);
+    assert.equal((await dataManager.getAllDictionaries())[0].wordCount, 1);
+    assert.equal((await dataManager.openDictionary('old')).trie.getFrequency('hi'), 2);
+
+    // Saving writes the current format, and the replaced record is migrated when read back from the history
+    await dataManager.saveDictionary(loaded);
+    assert.equal((await dataManager.storage.get(dataManager.STORE_NAME, 'old')).formatVersion, FORMAT_VERSION);
+    const [snapshot] = await dataManager.listSnapshots('old');
+    assert.equal((await dataManager.loadSnapshot(snapshot.id)).dictionary.formatVersion, FORMAT_VERSION);
+});
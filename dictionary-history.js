@@ -0,0 +1,59 @@
+/**
+ * Dictionary history - Compare two versions of a dictionary
+ *
+ * DataManager keeps a snapshot of a dictionary each time a save replaces it; these helpers
+ * describe what changed between two snapshots (or a snapshot and the saved dictionary).
+ */
+
+/**
+ * Collect a trie's entries
+ * @param {EnhancedTrie} trie - Trie
+ * @returns {Map} - Sentence to frequency
+ */
+function entryFrequencies(trie) {
+    const entries = new Map();
+    trie.forEachEntry(node => entries.set(node.fullSentence, node.frequency));
+    return entries;
+}
+
+/**
+ * List the entries added, removed and re-weighted between two versions of a dictionary
+ * @param {EnhancedTrie} before - Older version
+ * @param {EnhancedTrie} after - Newer version
+ * @returns {Object} - { added: [{ text, frequency }], removed: [{ text, frequency }],
+ *                      changed: [{ text, before, after }] }, each sorted by text
+ */
+export function diffTries(before, after) {
+    const old = entryFrequencies(before);
+    const current = entryFrequencies(after);
+    const diff = { added: [], removed: [], changed: [] };
+
+    current.forEach((frequency, text) => {
+        if (!old.has(text)) {
+            diff.added.push({ text, frequency });
+        } else if (old.get(text) !== frequency) {
+            diff.changed.push({ text, before: old.get(text), after: frequency });
+        }
+    });
+    old.forEach((frequency, text) => {
+        if (!current.has(text)) diff.removed.push({ text, frequency });
+    });
+
+    const byText = (a, b) => a.text.localeCompare(b.text);
+    diff.added.sort(byText);
+    diff.removed.sort(byText);
+    diff.changed.sort(byText);
+    return diff;
+}
+
+/**
+ * One-line summary of a diff
+ * @param {Object} diff - Output of diffTries
+ * @returns {string} - e.g. "3 added, 1 removed, 2 changed"
+ */
+export function summarizeDiff(diff) {
+    if (!diff.added.length && !diff.removed.length && !diff.changed.length) {
+        return 'No differences';
+    }
+    return `${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`;
+}
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import EnhancedTrie from './enhanced-trie.js';
+import DataManager from './data-manager.js';
+import { diffTries, summarizeDiff } from './dictionary-history.js';
+
+const buildTrie = (sentences) => {
+    const trie = new EnhancedTrie();
+    sentences.forEach(sentence => trie.insert(sentence));
+    return trie;
+};
+
+const texts = entries => entries.map(entry => entry.text);
+
+test('diffTries lists added, removed and re-weighted entries', () => {
+    const diff = diffTries(
+        buildTrie(['alpha', 'beta', 'gamma']),
+        buildTrie(['alpha', 'alpha', 'gamma', 'delta'])
+    );
+    assert.deepEqual(texts(diff.added), ['delta']);
+    assert.deepEqual(texts(diff.removed), ['beta']);
+    assert.deepEqual(diff.changed, [{ text: 'alpha', before: 1, after: 2 }]);
+    assert.equal(summarizeDiff(diff), '1 added, 1 removed, 1 changed');
+    assert.equal(summarizeDiff(diffTries(buildTrie(['a']), buildTrie(['a']))), 'No differences');
+});
+
+test('saves keep a bounded history of replaced versions', async () => {
+    const dataManager = new DataManager({ storage: 'memory', preferenceStorage: 'memory', historyLimit: 2 });
+    const save = (sentences, options) => dataManager.saveDictionary({
+        id: 'd1',
+        name: 'Test',
+        data: dataManager.serializeTrie(buildTrie(sentences)),
+        wordCount: sentences.length
+    }, options);
+
+    await save(['one']);
+    assert.deepEqual(await dataManager.listSnapshots('d1'), []);
+
+    await save(['one', 'two'], { reason: 'file upload' });
+    await save(['one', 'two'], { snapshot: false });
+    await save(['one', 'two', 'three'], { reason: 'entry edit' });
+    await save(['spam'], { reason: 'file upload' });
+
+    // Newest first, the oldest dropped past the limit
+    const snapshots = await dataManager.listSnapshots('d1');
+    assert.deepEqual(snapshots.map(snapshot => [snapshot.reason, snapshot.wordCount]), [['file upload', 3], ['entry edit', 2]]);
+    assert.equal(snapshots[0].dictionary, undefined);
+
+    const diff = await dataManager.compareSnapshots(snapshots[0].id);
+    assert.deepEqual(texts(diff.added), ['spam']);
+    assert.deepEqual(texts(diff.removed), ['one', 'three', 'two']);
+    assert.deepEqual(texts((await dataManager.compareSnapshots(snapshots[1].id, snapshots[0].id)).added), ['three']);
+
+    // Restoring is itself undoable
+    await dataManager.restoreSnapshot(snapshots[0].id);
+    const restored = dataManager.deserializeTrie((await dataManager.loadDictionary('d1')).data);
+    assert.equal(restored.countUniqueEntries(), 3);
+    const [latest] = await dataManager.listSnapshots('d1');
+    assert.deepEqual([latest.reason, latest.wordCount], ['restore', 1]);
+
+    await assert.rejects(dataManager.restoreSnapshot('d1@0'), /Snapshot not found/);
+
+    await dataManager.deleteDictionary('d1');
+    assert.deepEqual(await dataManager.listSnapshots('d1'), []);
+});
+
+test('listing snapshots only reads the dictionary\'s own', async () => {
+    const dataManager = new DataManager({ storage: 'memory', preferenceStorage: 'memory' });
+    for (const id of ['d1', 'd10', 'd1@x']) {
+        await dataManager.saveDictionary({ id, name: id, data: null });
+        await dataManager.saveDictionary({ id, name: id, data: null });
+    }
+
+    const getAll = dataManager.storage.getAll;
+    dataManager.storage.getAll = () => assert.fail('every snapshot was read');
+    const snapshots = await dataManager.listSnapshots('d1');
+    dataManager.storage.getAll = getAll;
+    assert.deepEqual(snapshots.map(snapshot => snapshot.dictionaryId), ['d1']);
+});
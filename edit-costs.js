@@ -0,0 +1,126 @@
+/**
+ * EditCosts - Per-character costs for weighted edit distance
+ *
+ * Typos are rarely random: fingers slip to a neighbouring key, swap two letters or hit a key
+ * twice. Charging those edits less than an arbitrary substitution ranks the likely intended
+ * text first. Costs should stay between 0 (free) and 1 (a plain Levenshtein edit).
+ */
+
+/**
+ * Keyboard rows, top to bottom; each row is shifted a little right of the one above
+ */
+export const KEYBOARD_LAYOUTS = {
+    qwerty: ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'],
+    azerty: ['1234567890', 'azertyuiop', 'qsdfghjklm', 'wxcvbn']
+};
+
+/**
+ * Build the set of neighbouring key pairs of a layout
+ * @param {Array} rows - Keyboard rows, top to bottom
+ * @returns {Set} - "ab" strings for every pair of adjacent keys, in both orders
+ */
+export function keyboardAdjacency(rows) {
+    const pairs = new Set();
+    const link = (a, b) => {
+        if (!a || !b) return;
+        pairs.add(a + b);
+        pairs.add(b + a);
+    };
+
+    rows.forEach((row, r) => {
+        const below = rows[r + 1] || '';
+        [...row].forEach((key, i) => {
+            link(key, row[i + 1]);
+            // Staggered rows: a key touches the key below it and the one below-left
+            link(key, below[i - 1]);
+            link(key, below[i]);
+        });
+    });
+
+    return pairs;
+}
+
+export default class EditCosts {
+    /**
+     * Constructor
+     * @param {Object} options - Cost options
+     * @param {string|Array} options.layout - 'qwerty', 'azerty' or custom rows; omit for no keyboard weighting
+     * @param {number} options.adjacentCost - Substituting a neighbouring key
+     * @param {number} options.substitutionCost - Any other substitution
+     * @param {number} options.insertionCost - Inserting a character
+     * @param {number} options.deletionCost - Deleting a character
+     * @param {number} options.transpositionCost - Swapping two adjacent characters
+     * @param {number} options.doubledLetterCost - Inserting or deleting a repeat of the previous character
+     * @param {Object} options.substitutions - Cost matrix overrides, e.g. { a: { e: 0.5 } }; applies both ways
+     */
+    constructor(options = {}) {
+        this.options = { ...options };
+        this.adjacentCost = options.adjacentCost ?? 0.5;
+        this.substitutionCost = options.substitutionCost ?? 1;
+        this.insertionCost = options.insertionCost ?? 1;
+        this.deletionCost = options.deletionCost ?? 1;
+        this.transpositionCost = options.transpositionCost ?? 0.5;
+        this.doubledLetterCost = options.doubledLetterCost ?? 0.5;
+
+        const rows = typeof options.layout === 'string' ? KEYBOARD_LAYOUTS[options.layout] : options.layout;
+        if (options.layout && !rows) {
+            throw new Error(`Unknown keyboard layout: ${options.layout}`);
+        }
+        this.adjacent = rows ? keyboardAdjacency(rows) : new Set();
+
+        this.matrix = new Map();
+        for (const [from, row] of Object.entries(options.substitutions || {})) {
+            for (const [to, cost] of Object.entries(row)) {
+                this.matrix.set(from + to, cost);
+                this.matrix.set(to + from, cost);
+            }
+        }
+    }
+
+    /**
+     * Cost of replacing one character with another
+     * @param {string} a - Character in the first string
+     * @param {string} b - Character in the second string
+     * @returns {number} - Cost, 0 for equal characters
+     */
+    substitution(a, b) {
+        if (a === b) return 0;
+
+        const pair = a.toLowerCase() + b.toLowerCase();
+        if (this.matrix.has(pair)) return this.matrix.get(pair);
+        return this.adjacent.has(pair) ? this.adjacentCost : this.substitutionCost;
+    }
+
+    /**
+     * Cost of a character present in the second string only
+     * @param {string} char - Inserted character
+     * @param {string} previous - Character before it in the same string
+     * @returns {number} - Cost
+     */
+    insertion(char, previous) {
+        return char === previous ? this.doubledLetterCost : this.insertionCost;
+    }
+
+    /**
+     * Cost of a character present in the first string only
+     * @param {string} char - Deleted character
+     * @param {string} previous - Character before it in the same string
+     * @returns {number} - Cost
+     */
+    deletion(char, previous) {
+        return char === previous ? this.doubledLetterCost : this.deletionCost;
+    }
+
+    /**
+     * Cost of swapping two adjacent characters ("ab" -> "ba")
+     * @returns {number} - Cost
+     */
+    transposition() {
+        return this.transpositionCost;
+    }
+}
+
+/**
+ * Costs of plain Levenshtein distance with transpositions: every edit costs 1
+ */
+export const UNIT_COSTS = new EditCosts({ transpositionCost: 1, doubledLetterCost: 1 });
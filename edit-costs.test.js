@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import EditCosts, { KEYBOARD_LAYOUTS, keyboardAdjacency } from './edit-costs.js';
+import FuzzyMatcher from './fuzzy-matcher.js';
+import EnhancedTrie from './enhanced-trie.js';
+
+test('keyboard adjacency follows the staggered rows', () => {
+    const qwerty = keyboardAdjacency(KEYBOARD_LAYOUTS.qwerty);
+    assert.ok(qwerty.has('sd'));
+    assert.ok(qwerty.has('ds'));
+    assert.ok(qwerty.has('qa'));
+    assert.ok(qwerty.has('ws'));
+    assert.ok(qwerty.has('sz'));
+    assert.ok(!qwerty.has('sp'));
+    assert.ok(!qwerty.has('qs'));
+
+    const azerty = keyboardAdjacency(KEYBOARD_LAYOUTS.azerty);
+    assert.ok(azerty.has('aq'));
+    assert.ok(!azerty.has('as'));
+});
+
+test('edit costs charge neighbouring keys and doubled letters less', () => {
+    const costs = new EditCosts({ layout: 'qwerty', substitutions: { a: { e: 0.25 } } });
+    assert.equal(costs.substitution('s', 'd'), 0.5);
+    assert.equal(costs.substitution('s', 'p'), 1);
+    assert.equal(costs.substitution('e', 'a'), 0.25);
+    assert.equal(costs.insertion('l', 'l'), 0.5);
+    assert.equal(costs.insertion('l', 'a'), 1);
+    assert.throws(() => new EditCosts({ layout: 'dvorak' }), /Unknown keyboard layout/);
+});
+
+test('weighted distance handles transpositions and prefixes', () => {
+    const matcher = new FuzzyMatcher(1, null, { layout: 'qwerty' });
+    assert.equal(matcher.weightedDistance('dog', 'sog'), 0.5);
+    assert.equal(matcher.weightedDistance('dog', 'pog'), 1);
+    assert.equal(matcher.weightedDistance('teh', 'the'), 0.5);
+    assert.equal(matcher.weightedDistance('ocured', 'occurred'), 1);
+    assert.equal(matcher.weightedDistance('teh', 'the quick', true), 0.5);
+
+    // Plain matchers charge every edit 1
+    assert.equal(new FuzzyMatcher(1).editDistance('dog', 'sog'), 1);
+    assert.equal(new FuzzyMatcher(1).editDistance('ocured', 'occurred'), 2);
+});
+
+test('weighted costs widen matching thresholds', () => {
+    const plain = new FuzzyMatcher(1);
+    const weighted = new FuzzyMatcher(1, null, { layout: 'qwerty' });
+    assert.equal(plain.matches('swed', 'seed'), true);
+    assert.equal(plain.matches('swwd', 'seed'), false);
+    assert.equal(weighted.matches('swwd', 'seed'), true);
+    assert.equal(weighted.matches('sppd', 'seed'), false);
+});
+
+test('rankMatchesWithInfo prefers typos on neighbouring keys', () => {
+    const trie = new EnhancedTrie({ editCosts: { layout: 'qwerty' } });
+    trie.insert('pig farm');
+    trie.insert('fig tree');
+
+    const matcher = new FuzzyMatcher(1, trie.normalizer, { layout: 'qwerty' });
+    // "d" is next to "f" but not to "p"
+    const ranked = matcher.rankMatchesWithInfo('dig', trie.fuzzySearch('dig', 1));
+    assert.deepEqual(ranked.map(result => result.text), ['fig tree', 'pig farm']);
+    assert.deepEqual(ranked.map(result => result.matchInfo.distance), [0.5, 1]);
+});
+
+test('fuzzySearch uses the trie edit costs for its budget', () => {
+    const trie = new EnhancedTrie();
+    trie.insert('seed catalogue');
+    assert.deepEqual(trie.fuzzySearch('swwd', 1), []);
+
+    trie.setEditCosts({ layout: 'qwerty' });
+    const [result] = trie.fuzzySearch('swwd', 1);
+    assert.equal(result.text, 'seed catalogue');
+    assert.equal(result.distance, 1);
+});
@@ -1,6 +1,24 @@
 /**
  * Enhanced Trie implementation with frequency tracking and better text processing
  */
+import TextNormalizer from './text-normalizer.js';
+import { frequencyScorer, createDecayScorer, toScorer } from './scorers.js';
+import { doubleMetaphone, phoneticCodes, phoneticWords } from './phonetic.js';
+import EditCosts, { UNIT_COSTS } from './edit-costs.js';
+import { findMatchSpans } from './match-spans.js';
+
+/**
+ * Turn an insert weight into the whole count added to a frequency. Fractions are rounded, and
+ * anything that does not round to a finite count of at least 1 (missing, non-numeric, below 0.5) counts as 1.
+ * Importers, the trie and the n-gram model all use this, so an entry is counted the same everywhere.
+ * @param {*} weight - Requested weight
+ * @returns {number} - Whole count, at least 1
+ */
+export function normalizeWeight(weight) {
+    const count = Math.round(Number(weight));
+    return Number.isFinite(count) && count > 0 ? count : 1;
+}
+
 export class TrieNode {
     constructor() {
         this.children = {};
@@ -8,43 +26,131 @@ export class TrieNode {
         this.fullSentence = "";
         this.frequency = 0; // Track how often this word/sentence appears
         this.lastUsed = 0;  // Timestamp for recency tracking
+        this.payload = null; // Caller data attached to the entry (an ID, URL, record...), must be JSON-serializable
+        this.tags = [];
+        this.topCompletions = []; // Best-ranked end nodes in this subtree
     }
 }
 
-export default class EnhancedTrie {
+/**
+ * Node of the secondary word-start index used for infix matching
+ */
+class InfixNode {
     constructor() {
+        this.children = {};
+        this.entries = null; // Map of sentence end node -> offset, set where an indexed key ends
+    }
+}
+
+export default class EnhancedTrie {
+    /**
+     * Constructor
+     * @param {Object} options - Trie options
+     * @param {number} options.cacheSize - Number of best completions cached on every node
+     * @param {boolean} options.compressed - Store multi-character edges (radix/Patricia mode)
+     * @param {boolean} options.infix - Index every word start so queries can match mid-sentence
+     * @param {number} options.infixKeyLength - Characters of each word-start suffix kept in the infix index
+     * @param {boolean} options.phonetic - Index the sound of each word so queries can match by pronunciation
+     * @param {number} options.phoneticWeight - Edits forgiven for a query whose words all sound like the entry's
+     * @param {EditCosts|Object} options.editCosts - Weighted edit costs for fuzzy search, or EditCosts options
+     * @param {TextNormalizer|Object} options.normalizer - Normalizer, or normalization options, applied to every key
+     * @param {string} options.scorer - Name of the scorer used for ranking ('frequency' or 'decay')
+     */
+    constructor(options = {}) {
         this.root = new TrieNode();
         this.totalInsertions = 0;
         this.sentenceMap = new Map(); // Map to quickly look up frequency by sentence
+        this.cacheSize = options.cacheSize || 10;
+        this.scorers = new Map([
+            ['frequency', frequencyScorer],
+            ['decay', createDecayScorer()]
+        ]);
+        this.scorer = this.scorers.get(options.scorer) || frequencyScorer;
+        // In compressed mode child keys are whole edge labels instead of single characters
+        this.compressed = Boolean(options.compressed);
+        this.normalizer = options.normalizer instanceof TextNormalizer
+            ? options.normalizer
+            : new TextNormalizer(options.normalizer);
+        this.infixKeyLength = options.infixKeyLength || 24;
+        this.infixRoot = null;
+        this.setInfixMatching(Boolean(options.infix));
+        this.phoneticWeight = options.phoneticWeight ?? 2;
+        this.phoneticWordLimit = 8; // Only the first words of a sentence are indexed
+        this.phoneticIndex = null;
+        this.setPhoneticMatching(Boolean(options.phonetic));
+        this.setEditCosts(options.editCosts);
     }
 
     /**
      * Inserts a sentence into the trie with proper text processing
      * @param {string} sentence - The sentence to insert
+     * @param {Object} options - Insert options
+     * @param {number} options.weight - Amount added to the frequency, as if inserted that many times (default 1);
+     *                                   rounded with normalizeWeight
+     * @param {*} options.payload - Data to attach to the entry, replacing any earlier payload
+     * @param {Array} options.tags - Tags to add to the entry
      */
-    insert(sentence) {
+    insert(sentence, options = {}) {
         if (!sentence || typeof sentence !== 'string') return;
         
+        const weight = normalizeWeight(options.weight);
+        
         // Process the sentence to handle punctuation and standardize text
         const processedSentence = this.processSentence(sentence);
+        // Text that normalizes to nothing (e.g. '!!!') would make the root an entry
+        if (!processedSentence) return;
         
-        let node = this.root;
-        // Insert character by character
-        for (const char of processedSentence) {
-            if (!node.children[char]) {
-                node.children[char] = new TrieNode();
-            }
-            node = node.children[char];
+        const pathNodes = this.createPath(processedSentence);
+        const node = pathNodes[pathNodes.length - 1];
+        const isNewEntry = !node.isEndOfWord;
+        
+        // Another spelling that normalizes to the same key takes over the entry
+        if (node.fullSentence && node.fullSentence !== sentence.trim()) {
+            this.sentenceMap.delete(node.fullSentence);
         }
         
         node.isEndOfWord = true;
         node.fullSentence = sentence.trim(); // Keep the original sentence with proper punctuation
-        node.frequency++; // Increment frequency count
+        node.frequency += weight; // Increment frequency count
         node.lastUsed = Date.now(); // Update last used timestamp
-        this.totalInsertions++;
+        this.totalInsertions += weight;
+        this.attachMetadata(node, options);
         
         // Update the sentence map for quick frequency lookup
         this.sentenceMap.set(sentence.trim(), node.frequency);
+        
+        this.promoteInCaches(pathNodes, node);
+        
+        if (isNewEntry && this.infixRoot) {
+            this.indexWordStarts(node, processedSentence);
+        }
+        if (isNewEntry && this.phoneticIndex) {
+            this.indexPhonetic(node, processedSentence);
+        }
+    }
+
+    /**
+     * Set an entry's payload and merge in its tags
+     * @param {TrieNode} node - End node
+     * @param {Object} metadata - { payload, tags }; an undefined payload keeps the current one
+     */
+    attachMetadata(node, { payload, tags } = {}) {
+        if (payload !== undefined) {
+            node.payload = payload;
+        }
+        if (Array.isArray(tags) && tags.length > 0) {
+            node.tags = [...new Set([...node.tags, ...tags])];
+        }
+    }
+
+    /**
+     * Look up a stored entry
+     * @param {string} sentence - The sentence to look up
+     * @returns {Object|null} - { text, frequency, lastUsed, payload, tags }, or null if not stored
+     */
+    getEntry(sentence) {
+        const path = this.findPath(sentence);
+        return path ? this.toCandidate(path[path.length - 1].node) : null;
     }
 
     /**
@@ -60,20 +166,9 @@ export default class EnhancedTrie {
             return this.sentenceMap.get(sentence.trim());
         }
         
-        // Fall back to trie traversal if not in map
-        const processedSentence = this.processSentence(sentence);
-        let node = this.root;
-        
-        for (const char of processedSentence) {
-            if (!node.children[char]) return 0;
-            node = node.children[char];
-        }
-        
-        if (node.isEndOfWord && node.fullSentence === sentence.trim()) {
-            return node.frequency;
-        }
-        
-        return 0;
+        // Fall back to trie traversal, which also finds other spellings of the same key
+        const path = this.findPath(sentence);
+        return path ? path[path.length - 1].node.frequency : 0;
     }
 
     /**
@@ -83,25 +178,518 @@ export default class EnhancedTrie {
      * @returns {Array} - Ranked list of suggestions
      */
     autocomplete(prefix, limit = 10) {
+        return this.autocompleteWithInfo(prefix, limit).map(item => item.text);
+    }
+
+    /**
+     * Autocompletes based on a prefix, returning ranked entries with their metadata
+     * @param {string} prefix - The prefix to find suggestions for
+     * @param {number} limit - Maximum number of suggestions to return
+     * @returns {Array} - Ranked list of { text, frequency, lastUsed, payload, tags, spans }
+     */
+    autocompleteWithInfo(prefix, limit = 10) {
         if (!prefix) return [];
         
         // Process the prefix to match the trie structure
-        const processedPrefix = this.processSentence(prefix);
+        const { key: processedPrefix, boundary } = this.processPrefix(prefix);
         
         // Navigate to the node representing the prefix
-        let node = this.root;
-        for (const char of processedPrefix) {
-            if (!node.children[char]) {
-                return []; // No matches
+        const node = this.findPrefixNode(processedPrefix);
+        if (!node) {
+            return []; // No matches
+        }
+        
+        // Short lists are ranked from the cached best completions when the scorer allows it; a word
+        // boundary can filter out cached entries, so it needs every completion
+        let suggestions = limit <= this.cacheSize && this.scorer.rankKey && !boundary
+            ? node.topCompletions.map(entry => this.toCandidate(entry))
+            : this.findAllWords(node);
+        if (boundary) {
+            suggestions = suggestions.filter(suggestion => this.isWordBoundary(suggestion.text, processedPrefix.length));
+        }
+        
+        // Sort suggestions with the active scorer
+        return this.rankEntries(suggestions, { query: prefix })
+            .slice(0, limit)
+            .map(result => this.withSpans(result, prefix));
+    }
+
+    /**
+     * Fuzzy prefix search: finds entries whose beginning is within an edit distance of the query.
+     * Walks the trie once, carrying a Levenshtein row per node and pruning branches over budget.
+     * @param {string} query - The (possibly misspelled) prefix
+     * @param {number} maxDistance - Maximum edit distance allowed
+     * @param {number} limit - Maximum number of results to return
+     * @returns {Array} - Results with text, frequency, lastUsed, payload, tags, distance and spans, closest first
+     */
+    fuzzySearch(query, maxDistance = 2, limit = 10) {
+        if (!query) return [];
+        
+        const queryChars = [...this.processSentence(query)];
+        const size = queryChars.length;
+        const found = new Map(); // end node -> best distance
+        
+        const record = (node, distance) => {
+            if (!found.has(node) || found.get(node) > distance) {
+                found.set(node, distance);
+            }
+        };
+        
+        // Every entry below a node that can no longer improve shares the same distance
+        const collect = (node, distance) => {
+            const entries = limit <= this.cacheSize && this.scorer.rankKey
+                ? node.topCompletions.slice(0, limit)
+                : this.collectEndNodes(node);
+            entries.forEach(entry => record(entry, distance));
+        };
+        
+        const visit = (node, row, rowBefore, best, lastChar) => {
+            if (node.isEndOfWord && best <= maxDistance) {
+                record(node, best);
+            }
+            
+            for (const key in node.children) {
+                const child = node.children[key];
+                let childRow = row;
+                let childRowBefore = rowBefore;
+                let childBest = best;
+                let previousChar = lastChar;
+                let exhausted = false;
+                
+                // Compressed edges are stepped through one character at a time
+                for (const char of key) {
+                    [childRowBefore, childRow] = [childRow, this.nextEditRow(childRow, char, queryChars, previousChar, childRowBefore)];
+                    childBest = Math.min(childBest, childRow[size]);
+                    previousChar = char;
+                    
+                    const reach = this.editRowBound(childRow, childRowBefore);
+                    if (reach >= childBest || reach > maxDistance) {
+                        exhausted = true;
+                        break;
+                    }
+                }
+                
+                if (!exhausted) {
+                    visit(child, childRow, childRowBefore, childBest, previousChar);
+                } else if (childBest <= maxDistance) {
+                    collect(child, childBest);
+                }
+            }
+        };
+        
+        const firstRow = this.firstEditRow(queryChars);
+        if (firstRow[size] <= maxDistance) {
+            collect(this.root, firstRow[size]);
+        }
+        visit(this.root, firstRow, null, firstRow[size], undefined);
+        
+        const results = [...found.entries()]
+            .map(([node, distance]) => ({ ...this.toCandidate(node), distance }));
+        
+        // Closest first, unless the scorer already trades distance off against popularity
+        return this.rankEntries(results, { query }, !this.scorer.blendsDistance)
+            .slice(0, limit)
+            .map(result => this.withSpans(result, query));
+    }
+
+    /**
+     * Compute the next optimal string alignment row after consuming one trie character,
+     * so a swap of two adjacent characters is a single edit as in FuzzyMatcher.osaDistance
+     * @param {Array} previousRow - Row for the parent node
+     * @param {string} char - Character on the edge being followed
+     * @param {Array} queryChars - Processed query split into characters
+     * @param {string} previousChar - Trie character before char
+     * @param {Array} rowBefore - Row before previousRow, null at the root, used for transpositions
+     * @returns {Array} - Row of edit distances for the child node
+     */
+    nextEditRow(previousRow, char, queryChars, previousChar, rowBefore = null) {
+        const costs = this.editCosts || UNIT_COSTS;
+        const extraChar = costs.insertion(char, previousChar);
+        const row = [previousRow[0] + extraChar];
+        
+        for (let j = 1; j <= queryChars.length; j++) {
+            row[j] = Math.min(
+                row[j - 1] + costs.deletion(queryChars[j - 1], queryChars[j - 2]),
+                previousRow[j] + extraChar,
+                previousRow[j - 1] + costs.substitution(queryChars[j - 1], char)
+            );
+            if (rowBefore && j > 1 && queryChars[j - 1] === previousChar && queryChars[j - 2] === char && char !== previousChar) {
+                row[j] = Math.min(row[j], rowBefore[j - 2] + costs.transposition(queryChars[j - 2], queryChars[j - 1]));
             }
+        }
+        
+        return row;
+    }
+
+    /**
+     * Lowest distance any longer text could still reach: a later row never drops below the
+     * current one, except through a transposition that reaches back to the row before it
+     * @param {Array} row - Current row
+     * @param {Array} rowBefore - Row before it, or null
+     * @returns {number} - Lower bound
+     */
+    editRowBound(row, rowBefore) {
+        const rowMin = Math.min(...row);
+        if (!rowBefore) return rowMin;
+        return Math.min(rowMin, Math.min(...rowBefore) + (this.editCosts || UNIT_COSTS).transposition());
+    }
+
+    /**
+     * Edit distances of each query prefix from the empty string
+     * @param {Array} queryChars - Processed query split into characters
+     * @returns {Array} - Row for the root node
+     */
+    firstEditRow(queryChars) {
+        const costs = this.editCosts || UNIT_COSTS;
+        const row = [0];
+        for (let j = 1; j <= queryChars.length; j++) {
+            row[j] = row[j - 1] + costs.deletion(queryChars[j - 1], queryChars[j - 2]);
+        }
+        return row;
+    }
+
+    /**
+     * Use weighted edit costs (keyboard adjacency, doubled letters, transpositions...) in fuzzy search
+     * @param {EditCosts|Object} editCosts - EditCosts instance or options, or null for unit costs
+     */
+    setEditCosts(editCosts) {
+        this.editCosts = !editCosts || editCosts instanceof EditCosts ? editCosts || null : new EditCosts(editCosts);
+    }
+
+    /**
+     * Collect every end node below a node
+     * @param {TrieNode} node - Starting node
+     * @param {Array} results - Accumulator
+     * @returns {Array} - End nodes in the subtree
+     */
+    collectEndNodes(node, results = []) {
+        if (node.isEndOfWord) {
+            results.push(node);
+        }
+        
+        for (const key in node.children) {
+            this.collectEndNodes(node.children[key], results);
+        }
+        
+        return results;
+    }
+
+    /**
+     * Autocompletes from any word in a sentence, not just its beginning (requires infix matching)
+     * @param {string} query - Text to look for at a word start
+     * @param {number} limit - Maximum number of suggestions to return
+     * @returns {Array} - Results with text, offset (into the processed sentence), frequency, lastUsed, payload, tags and spans
+     */
+    infixAutocomplete(query, limit = 10) {
+        if (!query || !this.infixRoot) return [];
+        
+        const { key: processedQuery, boundary } = this.processPrefix(query);
+        const lookupKey = [...processedQuery].slice(0, this.infixKeyLength).join('');
+        
+        let node = this.infixRoot;
+        for (const char of lookupKey) {
             node = node.children[char];
+            if (!node) return []; // No matches
+        }
+        
+        // Keep the earliest matching offset for each sentence
+        const offsets = new Map();
+        const collect = (infixNode) => {
+            if (infixNode.entries) {
+                for (const [entry, offset] of infixNode.entries) {
+                    if (!offsets.has(entry) || offsets.get(entry) > offset) {
+                        offsets.set(entry, offset);
+                    }
+                }
+            }
+            for (const char in infixNode.children) {
+                collect(infixNode.children[char]);
+            }
+        };
+        collect(node);
+        
+        const results = [];
+        for (const [entry, offset] of offsets) {
+            // Index keys are truncated, so confirm longer queries against the sentence itself
+            if (processedQuery.length > lookupKey.length &&
+                !this.processSentence(entry.fullSentence).startsWith(processedQuery, offset)) {
+                continue;
+            }
+            if (boundary && !this.isWordBoundary(entry.fullSentence, offset + processedQuery.length)) {
+                continue;
+            }
+            results.push({ ...this.toCandidate(entry), offset });
         }
         
-        // Find all words from this node
-        const suggestions = this.findAllWords(node);
+        return this.rankEntries(results, { query })
+            .slice(0, limit)
+            .map(result => this.withSpans(result, query, result.offset));
+    }
+
+    /**
+     * Turn the word-start index used by infixAutocomplete on or off
+     * @param {boolean} enabled - Whether infix matching should be available
+     */
+    setInfixMatching(enabled) {
+        if (!enabled) {
+            this.infixRoot = null;
+            return;
+        }
+        if (this.infixRoot) return;
+        
+        this.infixRoot = new InfixNode();
+        this.forEachEntry((node, key) => this.indexWordStarts(node, key));
+    }
+
+    /**
+     * Find the offsets in a processed sentence where a word begins
+     * @param {string} processedSentence - Already processed sentence
+     * @returns {Array} - Offsets of word starts
+     */
+    findWordStarts(processedSentence) {
+        const starts = [];
+        for (let i = 0; i < processedSentence.length; i++) {
+            if (/\s/.test(processedSentence[i])) continue;
+            if (i === 0 || /[\s"'(\[{-]/.test(processedSentence[i - 1])) {
+                starts.push(i);
+            }
+        }
+        return starts;
+    }
+
+    /**
+     * Add a sentence's word-start suffixes to the infix index
+     * @param {TrieNode} entry - End node of the sentence
+     * @param {string} processedSentence - Key under which the sentence is stored
+     */
+    indexWordStarts(entry, processedSentence) {
+        for (const offset of this.findWordStarts(processedSentence)) {
+            const key = [...processedSentence.slice(offset)].slice(0, this.infixKeyLength);
+            
+            let node = this.infixRoot;
+            for (const char of key) {
+                if (!node.children[char]) {
+                    node.children[char] = new InfixNode();
+                }
+                node = node.children[char];
+            }
+            
+            if (!node.entries) node.entries = new Map();
+            if (!node.entries.has(entry)) node.entries.set(entry, offset);
+        }
+    }
+
+    /**
+     * Remove a sentence's word-start suffixes from the infix index, pruning empty branches
+     * @param {TrieNode} entry - End node of the sentence
+     * @param {string} processedSentence - Key under which the sentence is stored
+     */
+    unindexWordStarts(entry, processedSentence) {
+        for (const offset of this.findWordStarts(processedSentence)) {
+            const key = [...processedSentence.slice(offset)].slice(0, this.infixKeyLength);
+            const path = [this.infixRoot];
+            
+            for (const char of key) {
+                const next = path[path.length - 1].children[char];
+                if (!next) break;
+                path.push(next);
+            }
+            if (path.length !== key.length + 1) continue;
+            
+            const node = path[path.length - 1];
+            if (node.entries) {
+                node.entries.delete(entry);
+                if (node.entries.size === 0) node.entries = null;
+            }
+            
+            for (let i = path.length - 1; i > 0; i--) {
+                if (path[i].entries || Object.keys(path[i].children).length > 0) break;
+                delete path[i - 1].children[key[i - 1]];
+            }
+        }
+    }
+
+    /**
+     * Sound-alike prefix search: finds entries whose words are pronounced like the query's
+     * ("fonetic" finds "phonetic"), merged with fuzzySearch results. Each result's distance
+     * is its edit distance minus phoneticWeight times the share of query words that sound alike,
+     * so the two kinds of match rank together (requires phonetic matching).
+     * @param {string} query - The (possibly misspelled) prefix
+     * @param {number} maxDistance - Maximum edit distance for spelling matches
+     * @param {number} limit - Maximum number of results to return
+     * @returns {Array} - Results with text, frequency, lastUsed, payload, tags, distance,
+     *                    editDistance, phoneticScore (0 to 1) and spans, best first
+     */
+    phoneticSearch(query, maxDistance = 2, limit = 10) {
+        if (!query || !this.phoneticIndex) return [];
+        
+        const processedQuery = this.processSentence(query);
+        const queryWords = phoneticWords(processedQuery).slice(0, this.phoneticWordLimit);
+        // A query that does not end in a letter has no word still being typed
+        const partial = /\p{L}$/u.test(processedQuery);
+        const queryKeys = queryWords.map((word, position) =>
+            partial && position === queryWords.length - 1
+                ? this.phoneticPrefixKeys(word, position)
+                : phoneticCodes(word).map(code => `${position}=${code}`));
+        
+        // Entries in which every query word sounds like the word in the same position
+        let matches = null;
+        for (const keys of queryKeys) {
+            const entries = new Set();
+            keys.forEach(key => (this.phoneticIndex.get(key) || []).forEach(entry => entries.add(entry)));
+            matches = matches ? new Set([...matches].filter(entry => entries.has(entry))) : entries;
+            if (matches.size === 0) break;
+        }
+        
+        const queryChars = [...processedQuery];
+        const candidates = new Map();
+        for (const result of this.fuzzySearch(query, maxDistance, Math.max(limit, this.cacheSize) * 4)) {
+            candidates.set(result.text, { ...result, editDistance: result.distance });
+        }
+        // Popular entries first, so a very common sound does not make the search scan everything
+        const phoneticEntries = [...(matches || [])]
+            .sort((a, b) => b.frequency - a.frequency)
+            .slice(0, Math.max(limit, this.cacheSize) * 20);
+        for (const entry of phoneticEntries) {
+            if (candidates.has(entry.fullSentence)) continue;
+            candidates.set(entry.fullSentence, {
+                ...this.toCandidate(entry),
+                editDistance: this.prefixEditDistance(queryChars, this.processSentence(entry.fullSentence))
+            });
+        }
+        
+        const results = [...candidates.values()].map(candidate => {
+            const entryKeys = new Set(this.phoneticKeys(this.processSentence(candidate.text)));
+            const sounding = queryKeys.filter(keys => keys.some(key => entryKeys.has(key))).length;
+            const phoneticScore = queryKeys.length > 0 ? sounding / queryKeys.length : 0;
+            
+            return {
+                ...candidate,
+                phoneticScore,
+                distance: Math.max(0, candidate.editDistance - this.phoneticWeight * phoneticScore)
+            };
+        });
+        
+        return this.rankEntries(results, { query }, !this.scorer.blendsDistance)
+            .slice(0, limit)
+            .map(result => this.withSpans(result, query));
+    }
+
+    /**
+     * Smallest edit distance between a query and any beginning of a text
+     * @param {Array} queryChars - Processed query split into characters
+     * @param {string} text - Processed text
+     * @returns {number} - Edit distance
+     */
+    prefixEditDistance(queryChars, text) {
+        let row = this.firstEditRow(queryChars);
+        let rowBefore = null;
+        let best = row[queryChars.length];
+        let previousChar;
+        
+        for (const char of text) {
+            [rowBefore, row] = [row, this.nextEditRow(row, char, queryChars, previousChar, rowBefore)];
+            best = Math.min(best, row[queryChars.length]);
+            previousChar = char;
+            // Later characters can only add edits once every cell is past the best
+            if (this.editRowBound(row, rowBefore) >= best) break;
+        }
+        
+        return best;
+    }
+
+    /**
+     * Turn the phonetic index used by phoneticSearch on or off
+     * @param {boolean} enabled - Whether phonetic matching should be available
+     */
+    setPhoneticMatching(enabled) {
+        if (!enabled) {
+            this.phoneticIndex = null;
+            return;
+        }
+        if (this.phoneticIndex) return;
+        
+        this.phoneticIndex = new Map();
+        this.forEachEntry((node, key) => this.indexPhonetic(node, key));
+    }
+
+    /**
+     * Index keys of a sentence: "position=code" for every code of each word, and
+     * "position^prefix" for every prefix of its Double Metaphone codes, so a word still
+     * being typed can match
+     * @param {string} processedSentence - Key under which the sentence is stored
+     * @returns {Array} - Index keys
+     */
+    phoneticKeys(processedSentence) {
+        const keys = new Set();
+        phoneticWords(processedSentence)
+            .slice(0, this.phoneticWordLimit)
+            .forEach((word, position) => {
+                phoneticCodes(word).forEach(code => keys.add(`${position}=${code}`));
+                this.phoneticPrefixKeys(word, position, true).forEach(key => keys.add(key));
+            });
+        return [...keys];
+    }
+
+    /**
+     * Prefix keys of a word's Double Metaphone codes
+     * @param {string} word - Word to encode
+     * @param {number} position - Position of the word in its sentence
+     * @param {boolean} allPrefixes - Every prefix of the codes (for indexing) rather than just the codes (for lookup)
+     * @returns {Array} - Keys of the form "position^prefix"
+     */
+    phoneticPrefixKeys(word, position, allPrefixes = false) {
+        const keys = new Set();
+        for (const code of doubleMetaphone(word)) {
+            for (let length = allPrefixes ? 1 : code.length; length <= code.length; length++) {
+                if (length > 0) keys.add(`${position}^${code.slice(0, length)}`);
+            }
+        }
+        return [...keys];
+    }
+
+    /**
+     * Add a sentence to the phonetic index
+     * @param {TrieNode} entry - End node of the sentence
+     * @param {string} processedSentence - Key under which the sentence is stored
+     */
+    indexPhonetic(entry, processedSentence) {
+        for (const key of this.phoneticKeys(processedSentence)) {
+            if (!this.phoneticIndex.has(key)) {
+                this.phoneticIndex.set(key, new Set());
+            }
+            this.phoneticIndex.get(key).add(entry);
+        }
+    }
+
+    /**
+     * Remove a sentence from the phonetic index
+     * @param {TrieNode} entry - End node of the sentence
+     * @param {string} processedSentence - Key under which the sentence is stored
+     */
+    unindexPhonetic(entry, processedSentence) {
+        for (const key of this.phoneticKeys(processedSentence)) {
+            const entries = this.phoneticIndex.get(key);
+            if (!entries) continue;
+            entries.delete(entry);
+            if (entries.size === 0) this.phoneticIndex.delete(key);
+        }
+    }
+
+    /**
+     * Visit every stored sentence together with the key it is stored under
+     * @param {Function} callback - Called with (endNode, processedKey)
+     * @param {TrieNode} node - Subtree root
+     * @param {string} key - Processed key leading to the node
+     */
+    forEachEntry(callback, node = this.root, key = '') {
+        if (node.isEndOfWord) {
+            callback(node, key);
+        }
         
-        // Sort suggestions by frequency and recency
-        return this.rankSuggestions(suggestions, limit);
+        for (const edge in node.children) {
+            this.forEachEntry(callback, node.children[edge], key + edge);
+        }
     }
 
     /**
@@ -110,9 +698,102 @@ export default class EnhancedTrie {
      * @returns {string} - Processed text
      */
     processSentence(text) {
-        // Convert to lowercase for case-insensitive matching
-        // Preserve spaces for better sentence structure
-        return text.toLowerCase();
+        return this.normalizer.normalize(text);
+    }
+
+    /**
+     * Process text typed as a prefix. Normalization may drop trailing whitespace and punctuation,
+     * but in a prefix they end the last word: "cat " should not complete to "category"
+     * @param {string} prefix - Text typed so far
+     * @returns {Object} - { key, boundary } where boundary means the word at the end of key is complete
+     */
+    processPrefix(prefix) {
+        const key = this.processSentence(prefix);
+        const boundary = key.length > 0 && /[\p{P}\s]$/u.test(prefix) && !/[\p{P}\s]$/u.test(key);
+        return { key, boundary };
+    }
+
+    /**
+     * Check that a sentence's processed text does not continue a word at a position
+     * @param {string} sentence - Stored sentence
+     * @param {number} position - Index into the processed sentence
+     * @returns {boolean} - Whether the processed sentence ends there or has a non-word character there
+     */
+    isWordBoundary(sentence, position) {
+        return !/[\p{L}\p{N}]/u.test(this.processSentence(sentence).charAt(position));
+    }
+
+    /**
+     * Switch to a different normalizer, re-keying every stored sentence.
+     * Sentences that now normalize to the same key are merged.
+     * @param {TextNormalizer|Object} normalizer - Normalizer, or normalization options
+     */
+    setNormalizer(normalizer) {
+        const entries = [];
+        this.forEachEntry(node => entries.push(node));
+        
+        this.normalizer = normalizer instanceof TextNormalizer
+            ? normalizer
+            : new TextNormalizer(normalizer);
+        
+        const infixEnabled = Boolean(this.infixRoot);
+        const phoneticEnabled = Boolean(this.phoneticIndex);
+        this.root = new TrieNode();
+        this.sentenceMap = new Map();
+        this.infixRoot = null;
+        this.phoneticIndex = null;
+        
+        for (const entry of entries) {
+            this.restoreEntry(entry.fullSentence, entry.frequency, entry.lastUsed, entry);
+        }
+        this.setInfixMatching(infixEnabled);
+        this.setPhoneticMatching(phoneticEnabled);
+    }
+
+    /**
+     * Toggle case preservation in the current normalizer
+     * @param {boolean} caseSensitive - Whether keys should keep their case
+     */
+    setCaseSensitive(caseSensitive) {
+        if (this.normalizer.options.caseSensitive === Boolean(caseSensitive)) return;
+        
+        this.setNormalizer(new TextNormalizer({
+            ...this.normalizer.options,
+            caseSensitive: Boolean(caseSensitive),
+            customSteps: this.normalizer.customSteps
+        }));
+    }
+
+    /**
+     * Put a sentence back with known statistics, without counting it as a new insertion
+     * @param {string} sentence - The sentence text
+     * @param {number} frequency - Frequency to add
+     * @param {number} lastUsed - Last-used timestamp
+     * @param {Object} metadata - { payload, tags } to attach
+     */
+    restoreEntry(sentence, frequency, lastUsed, metadata = {}) {
+        const processedSentence = this.processSentence(sentence);
+        if (!processedSentence) return;
+        
+        const pathNodes = this.createPath(processedSentence);
+        const node = pathNodes[pathNodes.length - 1];
+        const isNewEntry = !node.isEndOfWord;
+        
+        node.isEndOfWord = true;
+        node.fullSentence = sentence;
+        node.frequency += frequency;
+        node.lastUsed = Math.max(node.lastUsed, lastUsed);
+        this.attachMetadata(node, metadata);
+        this.sentenceMap.set(sentence, node.frequency);
+        
+        this.promoteInCaches(pathNodes, node);
+        
+        if (isNewEntry && this.infixRoot) {
+            this.indexWordStarts(node, processedSentence);
+        }
+        if (isNewEntry && this.phoneticIndex) {
+            this.indexPhonetic(node, processedSentence);
+        }
     }
 
     /**
@@ -122,11 +803,7 @@ export default class EnhancedTrie {
      */
     findAllWords(node, results = []) {
         if (node.isEndOfWord) {
-            results.push({
-                text: node.fullSentence,
-                frequency: node.frequency,
-                lastUsed: node.lastUsed
-            });
+            results.push(this.toCandidate(node));
         }
         
         for (const char in node.children) {
@@ -140,23 +817,196 @@ export default class EnhancedTrie {
      * Rank suggestions by relevance
      * @param {Array} suggestions - List of suggestion objects
      * @param {number} limit - Maximum number to return
+     * @param {Object} context - Scoring context, e.g. { query }
      * @returns {Array} - Ranked and limited suggestions
      */
-    rankSuggestions(suggestions, limit) {
-        // Sort by a combination of frequency and recency
-        return suggestions
-            .sort((a, b) => {
-                // Primary sort by frequency
-                const freqDiff = b.frequency - a.frequency;
-                if (freqDiff !== 0) return freqDiff;
-                
-                // Secondary sort by recency (last used)
-                return b.lastUsed - a.lastUsed;
-            })
+    rankSuggestions(suggestions, limit, context = {}) {
+        return this.rankEntries(suggestions, context)
             .slice(0, limit) // Limit results
             .map(item => item.text); // Return just the text
     }
 
+    /**
+     * Sort candidates with the active scorer, best first
+     * @param {Array} candidates - Objects with text, frequency, lastUsed and optional distance
+     * @param {Object} context - Scoring context, e.g. { query }
+     * @param {boolean} distanceFirst - Order by edit distance before score
+     * @returns {Array} - The candidates, sorted
+     */
+    rankEntries(candidates, context = {}, distanceFirst = false) {
+        const scoringContext = { now: Date.now(), ...context };
+        const scores = new Map(candidates.map(candidate => [
+            candidate,
+            this.scorer.score({ distance: 0, ...candidate }, scoringContext)
+        ]));
+        
+        return candidates.sort((a, b) =>
+            (distanceFirst ? (a.distance || 0) - (b.distance || 0) : 0) ||
+            (scores.get(b) - scores.get(a)) ||
+            this.compareEntries(a, b));
+    }
+
+    /**
+     * Find which characters of a text match a query, aligned the way fuzzy search compares them
+     * @param {string} query - Text typed so far
+     * @param {string} text - Stored sentence
+     * @param {number} offset - Where the match starts in the processed sentence (infix matches)
+     * @returns {Array} - [{ start, end, edit }] ranges of text; edit marks characters that differ from the query
+     */
+    matchSpans(query, text, offset = 0) {
+        return findMatchSpans(this.normalizer, query, text, { offset, costs: this.editCosts });
+    }
+
+    /**
+     * Add the matched character spans to a result
+     * @param {Object} result - Result with text and optional offset
+     * @param {string} query - Text typed so far
+     * @param {number} offset - Where the match starts in the processed sentence
+     * @returns {Object} - The result with spans
+     */
+    withSpans(result, query, offset = 0) {
+        return { ...result, spans: this.matchSpans(query, result.text, offset) };
+    }
+
+    /**
+     * Build a ranking candidate from an end node
+     * @param {TrieNode} entry - End node
+     * @returns {Object} - Candidate with text, frequency, lastUsed, payload and tags
+     */
+    toCandidate(entry) {
+        return {
+            text: entry.fullSentence,
+            frequency: entry.frequency,
+            lastUsed: entry.lastUsed,
+            payload: entry.payload,
+            tags: entry.tags
+        };
+    }
+
+    /**
+     * Register a scorer so it can be selected by name
+     * @param {string} name - Scorer name
+     * @param {Function|Object} scorer - Score function (candidate, context) => number, or scorer object
+     */
+    registerScorer(name, scorer) {
+        this.scorers.set(name, toScorer(name, scorer));
+        
+        // Re-registering the active scorer takes effect immediately
+        if (this.scorer.name === name) {
+            this.setScorer(name);
+        }
+    }
+
+    /**
+     * Select the scorer used for ranking
+     * @param {string} name - Name of a registered scorer
+     */
+    setScorer(name) {
+        const scorer = this.scorers.get(name);
+        if (!scorer) {
+            throw new Error(`Unknown scorer: ${name}`);
+        }
+        
+        const previous = this.scorer;
+        this.scorer = scorer;
+        
+        // Cached completions are kept in rank-key order
+        if (previous.rankKey !== scorer.rankKey) {
+            this.rebuildCaches();
+        }
+    }
+
+    /**
+     * List the names of registered scorers
+     * @returns {Array} - Scorer names
+     */
+    getScorerNames() {
+        return [...this.scorers.keys()];
+    }
+
+    /**
+     * Compare two entries for cache ordering, best first
+     * @param {Object} a - Node or suggestion with frequency and lastUsed
+     * @param {Object} b - Node or suggestion with frequency and lastUsed
+     * @returns {number} - Negative if a ranks before b
+     */
+    compareEntries(a, b) {
+        if (this.scorer.rankKey) {
+            const keyDiff = this.scorer.rankKey(b) - this.scorer.rankKey(a);
+            if (keyDiff !== 0) return keyDiff;
+        }
+        
+        // Then by frequency
+        const freqDiff = b.frequency - a.frequency;
+        if (freqDiff !== 0) return freqDiff;
+        
+        // Secondary sort by recency (last used)
+        return b.lastUsed - a.lastUsed;
+    }
+
+    /**
+     * Update cached completions after an entry's rank went up
+     * @param {Array} pathNodes - Nodes from the root down to the entry
+     * @param {TrieNode} entry - The end node whose frequency or recency increased
+     */
+    promoteInCaches(pathNodes, entry) {
+        for (const node of pathNodes) {
+            const cache = node.topCompletions;
+            const index = cache.indexOf(entry);
+            
+            if (index !== -1) {
+                cache.splice(index, 1);
+            } else if (cache.length >= this.cacheSize &&
+                       this.compareEntries(entry, cache[cache.length - 1]) >= 0) {
+                // Everything outside a full cache ranks below its last entry
+                continue;
+            }
+            
+            let position = cache.findIndex(other => this.compareEntries(entry, other) < 0);
+            if (position === -1) position = cache.length;
+            cache.splice(position, 0, entry);
+            
+            if (cache.length > this.cacheSize) cache.pop();
+        }
+    }
+
+    /**
+     * Recompute cached completions bottom-up after an entry's rank went down
+     * @param {Array} path - List of { char, node } steps from the root
+     */
+    refreshCaches(path) {
+        for (let i = path.length - 1; i >= 0; i--) {
+            this.computeCache(path[i].node);
+        }
+    }
+
+    /**
+     * Rebuild a node's cached completions from its own entry and its children's caches
+     * @param {TrieNode} node - Node to recompute
+     */
+    computeCache(node) {
+        const candidates = node.isEndOfWord ? [node] : [];
+        
+        for (const char in node.children) {
+            candidates.push(...node.children[char].topCompletions);
+        }
+        
+        node.topCompletions = candidates
+            .sort((a, b) => this.compareEntries(a, b))
+            .slice(0, this.cacheSize);
+    }
+
+    /**
+     * Rebuild every cached completion list, e.g. after loading serialized data
+     * @param {TrieNode} node - Subtree root to rebuild from
+     */
+    rebuildCaches(node = this.root) {
+        for (const char in node.children) {
+            this.rebuildCaches(node.children[char]);
+        }
+        this.computeCache(node);
+    }
+
     /**
      * Record that a suggestion was selected to improve future rankings
      * @param {string} sentence - The selected sentence
@@ -164,20 +1014,277 @@ export default class EnhancedTrie {
     recordSelection(sentence) {
         if (!sentence) return;
         
-        const processedSentence = this.processSentence(sentence);
-        let node = this.root;
+        const path = this.findPath(sentence);
+        if (!path) return; // Not found
         
-        for (const char of processedSentence) {
-            if (!node.children[char]) return; // Not found
-            node = node.children[char];
-        }
+        const node = path[path.length - 1].node;
+        const pathNodes = path.map(step => step.node);
         
-        if (node.isEndOfWord && node.fullSentence === sentence) {
+        if (node.fullSentence === sentence) {
             node.frequency++;
             node.lastUsed = Date.now();
             
             // Update the map as well
             this.sentenceMap.set(sentence, node.frequency);
+            
+            this.promoteInCaches(pathNodes, node);
+        }
+    }
+
+    /**
+     * Remove a sentence from the trie entirely, pruning empty branches
+     * @param {string} sentence - The sentence to remove
+     * @returns {boolean} - Whether the sentence was found and removed
+     */
+    remove(sentence) {
+        const path = this.findPath(sentence);
+        if (!path) return false;
+        
+        const node = path[path.length - 1].node;
+        this.totalInsertions = Math.max(0, this.totalInsertions - node.frequency);
+        this.clearEntry(node, sentence, path);
+        this.pruneBranch(path);
+        this.refreshCaches(path);
+        return true;
+    }
+
+    /**
+     * Decrease the frequency of a sentence, removing it once it reaches zero
+     * @param {string} sentence - The sentence to decrement
+     * @param {number} n - Amount to decrease the frequency by, rounded to a whole count; amounts
+     *                     that do not round to a positive count change nothing (default 1)
+     * @returns {number} - The remaining frequency, or -1 if not found
+     */
+    decrement(sentence, n = 1) {
+        const path = this.findPath(sentence);
+        if (!path) return -1;
+        
+        const node = path[path.length - 1].node;
+        const amount = Math.min(Math.round(Number(n)), node.frequency);
+        if (!(amount > 0)) return node.frequency;
+        
+        node.frequency -= amount;
+        this.totalInsertions = Math.max(0, this.totalInsertions - amount);
+        
+        if (node.frequency === 0) {
+            this.clearEntry(node, sentence, path);
+            this.pruneBranch(path);
+            this.refreshCaches(path);
+            return 0;
+        }
+        
+        this.sentenceMap.set(node.fullSentence, node.frequency);
+        this.refreshCaches(path);
+        return node.frequency;
+    }
+
+    /**
+     * Replace a sentence with new text, carrying over its usage statistics
+     * @param {string} oldSentence - The sentence to replace
+     * @param {string} newSentence - The replacement text
+     * @returns {boolean} - Whether the old sentence was found and replaced
+     */
+    update(oldSentence, newSentence) {
+        if (!newSentence || typeof newSentence !== 'string' || !this.processSentence(newSentence)) return false;
+        
+        const path = this.findPath(oldSentence);
+        if (!path) return false;
+        
+        const { frequency, lastUsed, payload, tags } = path[path.length - 1].node;
+        this.remove(oldSentence);
+        
+        this.insert(newSentence, { payload: payload ?? undefined, tags });
+        const target = this.findPath(newSentence);
+        const node = target[target.length - 1].node;
+        
+        // insert() already counted one occurrence, so add the rest
+        node.frequency += frequency - 1;
+        node.lastUsed = Math.max(node.lastUsed, lastUsed);
+        this.totalInsertions += frequency - 1;
+        this.sentenceMap.set(node.fullSentence, node.frequency);
+        this.promoteInCaches(target.map(step => step.node), node);
+        return true;
+    }
+
+    /**
+     * Find the path of nodes leading to a stored sentence
+     * @param {string} sentence - The sentence to look up
+     * @returns {Array|null} - List of { char, node } steps from the root, or null if not stored
+     */
+    findPath(sentence) {
+        if (!sentence || typeof sentence !== 'string') return null;
+        
+        const processedSentence = this.processSentence(sentence.trim());
+        const path = [{ char: null, node: this.root }];
+        let node = this.root;
+        let position = 0;
+        
+        while (position < processedSentence.length) {
+            const key = this.findEdge(node, processedSentence, position);
+            if (key === null || !processedSentence.startsWith(key, position)) return null;
+            
+            node = node.children[key];
+            path.push({ char: key, node });
+            position += key.length;
+        }
+        
+        return node.isEndOfWord ? path : null;
+    }
+
+    /**
+     * Find the node whose subtree holds every entry starting with a prefix
+     * @param {string} processedPrefix - Already processed prefix
+     * @returns {TrieNode|null} - The node, or null if nothing starts with the prefix
+     */
+    findPrefixNode(processedPrefix) {
+        let node = this.root;
+        let position = 0;
+        
+        while (position < processedPrefix.length) {
+            const key = this.findEdge(node, processedPrefix, position);
+            if (key === null) return null;
+            
+            // A prefix may end part way along a compressed edge
+            const remaining = processedPrefix.slice(position);
+            if (!remaining.startsWith(key) && !key.startsWith(remaining)) return null;
+            
+            node = node.children[key];
+            position += key.length;
+        }
+        
+        return node;
+    }
+
+    /**
+     * Find the key of the child edge that starts with the character at a position
+     * @param {TrieNode} node - Parent node
+     * @param {string} text - Text being walked
+     * @param {number} position - Index of the next character in the text
+     * @returns {string|null} - The edge key, or null if there is none
+     */
+    findEdge(node, text, position = 0) {
+        if (!this.compressed) {
+            // Character-mode keys are whole code points, matching for...of in createPath
+            const char = String.fromCodePoint(text.codePointAt(position));
+            return node.children[char] ? char : null;
+        }
+        
+        const codePoint = text.codePointAt(position);
+        for (const key in node.children) {
+            if (key.codePointAt(0) === codePoint) return key;
+        }
+        return null;
+    }
+
+    /**
+     * Walk down to the node for a processed sentence, creating or splitting nodes as needed
+     * @param {string} processedSentence - Already processed sentence
+     * @returns {Array} - Nodes from the root down to the sentence's node
+     */
+    createPath(processedSentence) {
+        let node = this.root;
+        const pathNodes = [node];
+        
+        if (!this.compressed) {
+            // Insert character by character
+            for (const char of processedSentence) {
+                if (!node.children[char]) {
+                    node.children[char] = new TrieNode();
+                }
+                node = node.children[char];
+                pathNodes.push(node);
+            }
+            return pathNodes;
+        }
+        
+        let rest = processedSentence;
+        while (rest.length > 0) {
+            const key = this.findEdge(node, rest);
+            
+            if (key === null) {
+                // Nothing shares this character, so the remainder becomes one edge
+                const leaf = new TrieNode();
+                node.children[rest] = leaf;
+                pathNodes.push(leaf);
+                break;
+            }
+            
+            let common = 1;
+            while (common < key.length && common < rest.length && key[common] === rest[common]) {
+                common++;
+            }
+            // Never split an edge between the two halves of a surrogate pair
+            if (common < key.length && /[\uD800-\uDBFF]/.test(key[common - 1])) {
+                common--;
+            }
+            
+            if (common < key.length) {
+                // Split the edge so the shared part gets its own node
+                const child = node.children[key];
+                const middle = new TrieNode();
+                middle.children[key.slice(common)] = child;
+                middle.topCompletions = child.topCompletions.slice();
+                delete node.children[key];
+                node.children[key.slice(0, common)] = middle;
+                node = middle;
+            } else {
+                node = node.children[key];
+            }
+            
+            pathNodes.push(node);
+            rest = rest.slice(common);
+        }
+        
+        return pathNodes;
+    }
+
+    /**
+     * Reset an end node and drop its sentence map, infix and phonetic index entries
+     * @param {TrieNode} node - The end node to clear
+     * @param {string} sentence - The sentence used to reach the node
+     * @param {Array} path - List of { char, node } steps from the root to the node
+     */
+    clearEntry(node, sentence, path) {
+        this.sentenceMap.delete(node.fullSentence);
+        this.sentenceMap.delete(sentence.trim());
+        
+        const processedSentence = path.map(step => step.char || '').join('');
+        if (this.infixRoot) {
+            this.unindexWordStarts(node, processedSentence);
+        }
+        if (this.phoneticIndex) {
+            this.unindexPhonetic(node, processedSentence);
+        }
+        
+        node.isEndOfWord = false;
+        node.fullSentence = "";
+        node.frequency = 0;
+        node.lastUsed = 0;
+        node.payload = null;
+        node.tags = [];
+    }
+
+    /**
+     * Remove nodes that no longer lead to any sentence, walking back up a path
+     * @param {Array} path - List of { char, node } steps from the root
+     */
+    pruneBranch(path) {
+        let depth = path.length - 1;
+        for (; depth > 0; depth--) {
+            const { char, node } = path[depth];
+            if (node.isEndOfWord || Object.keys(node.children).length > 0) break;
+            delete path[depth - 1].node.children[char];
+        }
+        
+        if (!this.compressed || depth === 0) return;
+        
+        // Merge a pass-through node left with a single child into that child's edge
+        const { char, node } = path[depth];
+        const childKeys = Object.keys(node.children);
+        if (!node.isEndOfWord && childKeys.length === 1) {
+            const parent = path[depth - 1].node;
+            delete parent.children[char];
+            parent.children[char + childKeys[0]] = node.children[childKeys[0]];
         }
     }
 
@@ -0,0 +1,212 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import EnhancedTrie from './enhanced-trie.js';
+
+const buildTrie = (sentences, options) => {
+    const trie = new EnhancedTrie(options);
+    sentences.forEach(sentence => trie.insert(sentence));
+    return trie;
+};
+
+test('decrement takes whole counts and removes an entry that reaches zero', () => {
+    const trie = buildTrie([...Array(5).fill('hello world'), 'help desk']);
+
+    assert.equal(trie.decrement('hello world'), 4);
+    assert.equal(trie.decrement('hello world', 1.6), 2);
+    assert.equal(trie.getFrequency('hello world'), 2);
+    assert.equal(trie.totalInsertions, 3);
+
+    assert.equal(trie.decrement('hello world', 10), 0);
+    assert.equal(trie.decrement('hello world'), -1);
+    assert.deepEqual(trie.autocomplete('hel'), ['help desk']);
+    assert.equal(trie.totalInsertions, 1);
+});
+
+test('decrement by an amount that is not a positive count changes nothing', () => {
+    const trie = buildTrie(['a b', 'a b']);
+
+    for (const n of [0, -1, 0.4, NaN, 'lots']) {
+        assert.equal(trie.decrement('a b', n), 2);
+    }
+    assert.equal(trie.getFrequency('a b'), 2);
+    assert.equal(trie.totalInsertions, 2);
+});
+
+test('remove prunes the entry and leaves its neighbours', () => {
+    const trie = buildTrie(['hello', 'hello world', 'help']);
+
+    assert.equal(trie.remove('hello'), true);
+    assert.equal(trie.remove('hello'), false);
+    assert.equal(trie.getFrequency('hello'), 0);
+    assert.deepEqual(trie.autocomplete('hel').sort(), ['hello world', 'help']);
+
+    assert.equal(trie.remove('hello world'), true);
+    assert.deepEqual(trie.autocomplete('hel'), ['help']);
+    // The branch that only led to the removed entries is gone
+    assert.deepEqual(Object.keys(trie.root.children.h.children.e.children.l.children), ['p']);
+    assert.equal(trie.countUniqueEntries(), 1);
+});
+
+test('update moves the usage statistics to the new text', () => {
+    const trie = buildTrie([...Array(3).fill('helo world'), 'help desk']);
+
+    assert.equal(trie.update('helo world', 'hello world'), true);
+    assert.equal(trie.getFrequency('helo world'), 0);
+    assert.equal(trie.getFrequency('hello world'), 3);
+    assert.equal(trie.totalInsertions, 4);
+    assert.deepEqual(trie.autocomplete('hel', 1), ['hello world']);
+
+    assert.equal(trie.update('missing', 'anything'), false);
+    assert.equal(trie.update('help desk', '  '), false);
+    assert.equal(trie.getFrequency('help desk'), 1);
+});
+
+test('cached completions follow removals, decrements and selections', () => {
+    const trie = buildTrie(['apple pie', 'apple tart', 'apricot jam', 'avocado toast']
+        .flatMap((sentence, i) => Array(10 - i).fill(sentence)), { cacheSize: 3 });
+    const fullRanking = () => trie.autocomplete('a', 100).slice(0, 3);
+
+    assert.deepEqual(trie.autocomplete('a', 3), ['apple pie', 'apple tart', 'apricot jam']);
+
+    trie.remove('apple pie');
+    assert.deepEqual(trie.autocomplete('a', 3), ['apple tart', 'apricot jam', 'avocado toast']);
+    assert.ok(!trie.root.children.a.topCompletions.some(entry => entry.fullSentence === 'apple pie'));
+
+    trie.decrement('apple tart', 8);
+    assert.deepEqual(trie.autocomplete('a', 3), fullRanking());
+    assert.deepEqual(trie.autocomplete('ap', 1), ['apricot jam']);
+
+    for (let i = 0; i < 10; i++) {
+        trie.recordSelection('apple tart');
+    }
+    assert.deepEqual(trie.autocomplete('a', 1), ['apple tart']);
+    assert.deepEqual(trie.autocomplete('a', 3), fullRanking());
+});
+
+test('compressed mode splits edges on insert and merges them on remove', () => {
+    const trie = new EnhancedTrie({ compressed: true });
+    trie.insert('team');
+    assert.deepEqual(Object.keys(trie.root.children), ['team']);
+
+    // A sentence sharing part of an edge splits it at the shared part
+    trie.insert('test');
+    assert.deepEqual(Object.keys(trie.root.children), ['te']);
+    assert.deepEqual(Object.keys(trie.root.children.te.children).sort(), ['am', 'st']);
+
+    // Ending inside an edge splits it too, and the split node holds the entry
+    trie.insert('tea');
+    assert.deepEqual(Object.keys(trie.root.children.te.children).sort(), ['a', 'st']);
+    assert.equal(trie.root.children.te.children.a.fullSentence, 'tea');
+    assert.deepEqual(trie.autocomplete('tea').sort(), ['tea', 'team']);
+    assert.equal(trie.getFrequency('team'), 1);
+
+    // Removing the entry of a split node merges it back into one edge
+    trie.remove('tea');
+    assert.deepEqual(Object.keys(trie.root.children.te.children).sort(), ['am', 'st']);
+    trie.remove('test');
+    assert.deepEqual(Object.keys(trie.root.children), ['team']);
+    assert.deepEqual(trie.autocomplete('te'), ['team']);
+    assert.equal(trie.countTotalNodes(), 2);
+});
+
+test('fuzzy search keeps entries within the distance budget of a prefix', () => {
+    const sentences = ['hello world', 'help me', 'yellow submarine', 'goodbye'];
+    for (const compressed of [false, true]) {
+        const trie = buildTrie(sentences, { compressed });
+        const matches = (query, maxDistance) => Object.fromEntries(
+            trie.fuzzySearch(query, maxDistance, 100).map(match => [match.text, match.distance])
+        );
+
+        // The query is measured against the closest beginning of each sentence
+        assert.deepEqual(matches('hel', 0), { 'hello world': 0, 'help me': 0 });
+        assert.deepEqual(matches('hellp', 1), { 'hello world': 1, 'help me': 1 });
+        assert.deepEqual(matches('jello', 1), { 'hello world': 1, 'yellow submarine': 1 });
+        assert.deepEqual(matches('hxlp', 1), { 'help me': 1 });
+        assert.deepEqual(matches('hxlp', 2), { 'hello world': 2, 'help me': 1 });
+        assert.deepEqual(matches('qqq', 2), {});
+
+        // Closest first, then the limit applies
+        assert.deepEqual(trie.fuzzySearch('yello', 2, 1).map(match => match.text), ['yellow submarine']);
+    }
+});
+
+test('infix matches start at any word and follow removals', () => {
+    const fox = 'The quick brown fox jumps over the lazy dog.';
+    const trie = buildTrie([fox, 'Lazy Sunday afternoon', 'A crazy dog'], { infix: true, infixKeyLength: 6 });
+    const texts = query => trie.infixAutocomplete(query).map(result => result.text).sort();
+
+    const [match] = trie.infixAutocomplete('lazy dog');
+    assert.equal(match.text, fox);
+    assert.equal(match.offset, trie.processSentence(fox).indexOf('lazy dog'));
+
+    // Only word starts are indexed, and the earliest one is reported
+    assert.deepEqual(texts('lazy'), ['Lazy Sunday afternoon', fox]);
+    assert.deepEqual(texts('azy'), []);
+    assert.equal(trie.infixAutocomplete('the')[0].offset, 0);
+
+    // Queries past the indexed key length are checked against the sentence
+    assert.deepEqual(texts('quick brown'), [fox]);
+    assert.deepEqual(texts('quick brawn'), []);
+
+    trie.remove(fox);
+    assert.deepEqual(texts('lazy'), ['Lazy Sunday afternoon']);
+
+    trie.setInfixMatching(false);
+    assert.deepEqual(trie.infixAutocomplete('lazy'), []);
+    assert.deepEqual(trie.autocomplete('lazy'), ['Lazy Sunday afternoon']);
+});
+
+test('trailing whitespace and punctuation in a prefix end the word', () => {
+    const trie = buildTrie(['Category theory is abstract.', 'Cat food.', 'Cat', 'Cat. Dog'], { infix: true });
+
+    assert.deepEqual(trie.autocomplete('cat').sort(), ['Cat', 'Cat food.', 'Cat. Dog', 'Category theory is abstract.']);
+    assert.deepEqual(trie.autocomplete('cat ').sort(), ['Cat', 'Cat food.', 'Cat. Dog']);
+    assert.deepEqual(trie.autocomplete('cat.').sort(), ['Cat', 'Cat food.', 'Cat. Dog']);
+    // Short limits are normally served from the cache, which must not skip the check
+    assert.ok(!trie.autocomplete('cat ', 1).includes('Category theory is abstract.'));
+
+    assert.deepEqual(trie.infixAutocomplete('theory').map(result => result.text), ['Category theory is abstract.']);
+    assert.deepEqual(trie.infixAutocomplete('the '), []);
+});
+
+test('weighted inserts count towards the total as often as their weight', () => {
+    const trie = new EnhancedTrie();
+    trie.insert('heavy entry', { weight: 5 });
+    trie.insert('light entry');
+    assert.equal(trie.totalInsertions, 6);
+    assert.equal(trie.getFrequency('heavy entry'), 5);
+
+    trie.remove('heavy entry');
+    assert.equal(trie.totalInsertions, 1);
+    trie.decrement('light entry');
+    assert.equal(trie.totalInsertions, 0);
+});
+
+test('fuzzy search finds a swap of two adjacent letters as one edit', () => {
+    for (const compressed of [false, true]) {
+        const trie = buildTrie(['the quick fox', 'then again'], { compressed });
+
+        const [result] = trie.fuzzySearch('teh quick', 1);
+        assert.equal(result.text, 'the quick fox');
+        assert.equal(result.distance, 1);
+        assert.deepEqual(trie.fuzzySearch('teh quick', 0), []);
+
+        // Weighted costs charge the swap what they say it costs, not two substitutions
+        trie.setEditCosts({ transpositionCost: 0.5 });
+        assert.deepEqual(trie.fuzzySearch('teh quick', 0.5).map(match => [match.text, match.distance]), [['the quick fox', 0.5]]);
+        assert.equal(trie.prefixEditDistance([...'hte'], 'the quick fox'), 0.5);
+    }
+});
+
+test('text that normalizes to nothing is not stored', () => {
+    const trie = buildTrie(['!!!', 'zebra']);
+    trie.restoreEntry('...', 3, Date.now());
+
+    assert.equal(trie.root.isEndOfWord, false);
+    assert.equal(trie.countUniqueEntries(), 1);
+    assert.equal(trie.totalInsertions, 1);
+    assert.deepEqual(trie.fuzzySearch('zz', 2).map(match => match.text), ['zebra']);
+
+    assert.equal(trie.update('zebra', '?!'), false);
+    assert.equal(trie.getFrequency('zebra'), 1);
+});
@@ -0,0 +1,63 @@
+/**
+ * Federated search - Merge suggestions from several dictionaries into one ranked list
+ *
+ * Each dictionary ranks its own results, with its own scorer, frequencies and normalization,
+ * so their scores cannot be compared directly. Instead every result counts
+ * weight / (rank + 1), where rank is its position in its dictionary's list: a dictionary
+ * with weight 2 places its second result level with another dictionary's first. A sentence
+ * found in several dictionaries is listed once and its counts add up.
+ */
+
+/**
+ * Merge ranked result lists
+ * @param {Array} lists - [{ source: { id, name, weight }, results }], results best first
+ * @param {Object} options - Merge options
+ * @param {number} options.limit - Maximum number of results
+ * @param {boolean} options.distanceFirst - Order by edit distance before weighted rank, as fuzzy ranking does
+ * @returns {Array} - Results, best first, each with source ({ id, name } of the dictionary contributing
+ *                    most), sources (every dictionary holding it) and federatedScore
+ */
+export function mergeResults(lists, options = {}) {
+    const { limit = 10, distanceFirst = false } = options;
+    const merged = new Map();
+
+    lists.forEach(({ source, results }) => {
+        const weight = source.weight ?? 1;
+        if (!(weight > 0)) return;
+        const attribution = { id: source.id ?? null, name: source.name ?? null };
+
+        results.forEach((result, rank) => {
+            const contribution = weight / (rank + 1);
+            const existing = merged.get(result.text);
+
+            if (!existing) {
+                merged.set(result.text, {
+                    ...result,
+                    source: attribution,
+                    sources: [attribution],
+                    federatedScore: contribution,
+                    best: contribution
+                });
+                return;
+            }
+
+            existing.sources.push(attribution);
+            existing.federatedScore += contribution;
+            // The closest match and the dictionary ranking it highest describe the result
+            if ((result.distance || 0) < (existing.distance || 0) ||
+                ((result.distance || 0) === (existing.distance || 0) && contribution > existing.best)) {
+                const { sources, federatedScore } = existing;
+                merged.set(result.text, { ...result, source: attribution, sources, federatedScore, best: contribution });
+            }
+        });
+    });
+
+    return Array.from(merged.values())
+        .sort((a, b) =>
+            (distanceFirst ? (a.distance || 0) - (b.distance || 0) : 0) ||
+            (b.federatedScore - a.federatedScore) ||
+            (b.frequency || 0) - (a.frequency || 0) ||
+            a.text.localeCompare(b.text))
+        .slice(0, limit)
+        .map(({ best, ...result }) => result);
+}
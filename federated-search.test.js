@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeResults } from './federated-search.js';
+import AutocompleteEngine from './autocomplete-engine.js';
+import EnhancedTrie from './enhanced-trie.js';
+import DataManager from './data-manager.js';
+
+const texts = results => results.map(result => result.text);
+const names = result => result.sources.map(source => source.name);
+
+const serialized = (sentences) => {
+    const trie = new EnhancedTrie();
+    sentences.forEach(sentence => trie.insert(sentence));
+    return new DataManager({ storage: 'memory', preferenceStorage: 'memory' }).serializeTrie(trie);
+};
+
+test('mergeResults interleaves dictionaries by weighted rank', () => {
+    const lists = [
+        { source: { id: 'a', name: 'A', weight: 1 }, results: [{ text: 'a1' }, { text: 'a2' }, { text: 'a3' }] },
+        { source: { id: 'b', name: 'B', weight: 2.5 }, results: [{ text: 'b1' }, { text: 'b2' }, { text: 'b3' }] }
+    ];
+    assert.deepEqual(texts(mergeResults(lists)), ['b1', 'b2', 'a1', 'b3', 'a2', 'a3']);
+    assert.deepEqual(texts(mergeResults(lists, { limit: 2 })), ['b1', 'b2']);
+
+    lists[1].source.weight = 0;
+    assert.deepEqual(texts(mergeResults(lists)), ['a1', 'a2', 'a3']);
+});
+
+test('mergeResults lists shared sentences once with every source', () => {
+    const [shared, other] = mergeResults([
+        { source: { id: 'a', name: 'A' }, results: [{ text: 'x', distance: 1 }, { text: 'y', distance: 1 }] },
+        { source: { id: 'b', name: 'B' }, results: [{ text: 'y', distance: 0 }] }
+    ], { distanceFirst: true });
+
+    assert.equal(shared.text, 'y');
+    assert.equal(shared.distance, 0);
+    assert.deepEqual(shared.source, { id: 'b', name: 'B' });
+    assert.deepEqual(names(shared), ['A', 'B']);
+    assert.equal(shared.federatedScore, 1.5);
+    assert.deepEqual(names(other), ['A']);
+});
+
+test('engine searches added dictionaries and attributes results', () => {
+    const engine = new AutocompleteEngine();
+    engine.load(serialized(['hello world', 'help desk']), { id: 'main', name: 'Main' });
+    assert.equal(engine.addSource('extra', serialized(['helium balloon', 'hello world']), { name: 'Extra', weight: 2 }), 2);
+
+    const results = engine.query('hel', { mode: 'exact' });
+    assert.deepEqual(texts(results).sort(), ['helium balloon', 'hello world', 'help desk']);
+    assert.deepEqual(names(results.find(result => result.text === 'hello world')).sort(), ['Extra', 'Main']);
+    assert.equal(results.find(result => result.text === 'help desk').source.name, 'Main');
+
+    const fuzzy = engine.query('helium ballon', { mode: 'fuzzy' });
+    assert.equal(fuzzy[0].text, 'helium balloon');
+    assert.equal(fuzzy[0].source.id, 'extra');
+
+    engine.setSourceWeight('main', 0);
+    assert.deepEqual(texts(engine.query('help', { mode: 'exact' })), []);
+
+    assert.deepEqual(engine.listSources().map(source => [source.id, source.weight, source.entries]),
+        [['main', 0, 2], ['extra', 2, 2]]);
+    assert.equal(engine.removeSource('extra'), true);
+    assert.equal(engine.query('hel', { mode: 'exact' })[0].sources, undefined);
+});
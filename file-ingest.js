@@ -0,0 +1,123 @@
+/**
+ * File ingestion - Streams uploaded files into a trie without blocking the page
+ *
+ * Plain text files are decoded chunk by chunk and split into sentences as they arrive; CSV/TSV,
+ * JSON Lines, Markdown and HTML files are read whole and parsed by the importers. Entries are
+ * inserted in batches, yielding to the browser between batches so typing and rendering stay responsive.
+ */
+import { splitTextIntoSentences, splitCompleteSentences } from './sentence-splitter.js';
+import { detectFormat, parseEntries } from './importers.js';
+
+/**
+ * Wait for the next animation frame, or a macrotask where there are no frames (workers, Node)
+ * @returns {Promise} - Promise resolving when the event loop has had a chance to run
+ */
+function nextFrame() {
+    return new Promise(resolve => {
+        if (typeof requestAnimationFrame === 'function') {
+            requestAnimationFrame(() => resolve());
+        } else {
+            setTimeout(resolve, 0);
+        }
+    });
+}
+
+/**
+ * Stream a single file's entries into a callback
+ * @param {Blob} file - File or Blob to read
+ * @param {Function} insert - Called with each entry's text, plus { weight, tags, payload } for structured formats
+ * @param {Object} options - Ingestion options
+ * @param {string} options.format - Import format; detected from the file name or content by default
+ * @param {number} options.batchSize - Entries inserted between yields
+ * @param {AbortSignal} options.signal - Aborts the read; entries already inserted are kept
+ * @param {Function} options.onProgress - Called after each batch with { bytesRead, totalBytes, sentences, done }
+ * @returns {Promise} - Promise resolving to the number of entries inserted
+ */
+export async function ingestFile(file, insert, options = {}) {
+    const { batchSize = 500, signal, onProgress } = options;
+    const format = options.format || detectFormat(file.name, await file.slice(0, 4096).text());
+    const totalBytes = file.size;
+    let bytesRead = 0;
+    let count = 0;
+    let pending = '';
+
+    const report = (done) => {
+        if (onProgress) {
+            onProgress({ bytesRead, totalBytes, sentences: count, done });
+        }
+    };
+
+    const insertAll = async (entries, insertEntry) => {
+        for (let i = 0; i < entries.length; i += batchSize) {
+            signal?.throwIfAborted();
+            entries.slice(i, i + batchSize).forEach(insertEntry);
+            count += Math.min(batchSize, entries.length - i);
+            report(false);
+            await nextFrame();
+        }
+    };
+    const insertSentences = sentences => insertAll(sentences, sentence => insert(sentence));
+
+    if (format !== 'text') {
+        // Structured formats need the whole document to parse
+        signal?.throwIfAborted();
+        const records = parseEntries(await file.text(), format);
+        bytesRead = totalBytes;
+        await insertAll(records, ({ text, ...entryOptions }) => insert(text, entryOptions));
+        report(true);
+        return count;
+    }
+
+    const reader = file.stream().getReader();
+    const decoder = new TextDecoder();
+    try {
+        for (;;) {
+            signal?.throwIfAborted();
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            bytesRead += value.byteLength;
+            // Keep the last sentence back, it may continue in the next chunk
+            const { sentences, remainder } = splitCompleteSentences(pending + decoder.decode(value, { stream: true }));
+            pending = remainder;
+            await insertSentences(sentences);
+        }
+
+        // The held-back last sentence is complete once the file ends, punctuated or not
+        await insertSentences(splitTextIntoSentences(pending + decoder.decode()));
+    } finally {
+        // Stops the underlying read when aborted or when insert throws
+        reader.cancel().catch(() => {});
+    }
+
+    report(true);
+    return count;
+}
+
+/**
+ * Stream several files into a callback, one after another
+ * @param {Array|FileList} files - Files to read
+ * @param {Function} insert - Called with each entry's text, plus { weight, tags, payload } for structured formats
+ * @param {Object} options - Same as ingestFile, except onProgress also receives
+ *                           { file, fileIndex, fileCount }
+ * @returns {Promise} - Promise resolving to [{ file, sentences }] for the files read
+ */
+export async function ingestFiles(files, insert, options = {}) {
+    const list = Array.from(files);
+    const results = [];
+
+    for (const [fileIndex, file] of list.entries()) {
+        const sentences = await ingestFile(file, insert, {
+            ...options,
+            onProgress: options.onProgress && (progress => options.onProgress({
+                ...progress,
+                file,
+                fileIndex,
+                fileCount: list.length
+            }))
+        });
+        results.push({ file, sentences });
+    }
+
+    return results;
+}
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ingestFile, ingestFiles } from './file-ingest.js';
+
+/**
+ * Blob whose stream delivers the text in fixed-size byte chunks
+ */
+function chunkedBlob(text, chunkSize) {
+    const bytes = new TextEncoder().encode(text);
+    const blob = new Blob([bytes]);
+    blob.stream = () => new ReadableStream({
+        start(controller) {
+            for (let i = 0; i < bytes.length; i += chunkSize) {
+                controller.enqueue(bytes.slice(i, i + chunkSize));
+            }
+            controller.close();
+        }
+    });
+    return blob;
+}
+
+test('sentences split across chunks and multi-byte characters are reassembled', async () => {
+    const text = 'Première phrase ici. Second one — with a dash! Is this the third? Unterminated tail';
+    const sentences = [];
+    const count = await ingestFile(chunkedBlob(text, 3), sentence => sentences.push(sentence), { batchSize: 2 });
+
+    assert.equal(count, 4);
+    assert.deepEqual(sentences, [
+        'Première phrase ici.',
+        'Second one — with a dash!',
+        'Is this the third?',
+        'Unterminated tail'
+    ]);
+});
+
+test('progress is reported per file and ends with done', async () => {
+    const files = [new Blob(['One. Two.']), new Blob(['Three.'])];
+    const reports = [];
+    const results = await ingestFiles(files, () => {}, { onProgress: progress => reports.push(progress) });
+
+    assert.deepEqual(results.map(result => result.sentences), [2, 1]);
+    const last = reports[reports.length - 1];
+    assert.equal(last.fileIndex, 1);
+    assert.equal(last.fileCount, 2);
+    assert.equal(last.done, true);
+    assert.equal(last.bytesRead, last.totalBytes);
+});
+
+test('aborting stops ingestion between batches', async () => {
+    const controller = new AbortController();
+    const text = Array.from({ length: 100 }, (_, i) => `Sentence ${i}.`).join(' ');
+    const sentences = [];
+
+    await assert.rejects(
+        ingestFile(new Blob([text]), sentence => {
+            sentences.push(sentence);
+            if (sentences.length === 10) controller.abort();
+        }, { batchSize: 10, signal: controller.signal }),
+        { name: 'AbortError' }
+    );
+    assert.equal(sentences.length, 10);
+});
+
+test('structured files are parsed whole and inserted with their weights', async () => {
+    const file = new File(['phrase,weight\nhello there,3\ngood night,1\n'], 'phrases.csv');
+    const inserted = [];
+    const count = await ingestFile(file, (text, options) => inserted.push([text, options.weight]));
+
+    assert.equal(count, 2);
+    assert.deepEqual(inserted, [['hello there', 3], ['good night', 1]]);
+});
@@ -0,0 +1,73 @@
+/**
+ * FileSystemStorage - Node.js storage adapter for DataManager, e.g. for the CLI or tests
+ *
+ * Implements the adapter interface described in storage-adapters.js. It lives in its own module
+ * because it imports Node's fs, which browser bundles cannot include.
+ */
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Node.js filesystem backend; each store is a directory of JSON files
+ */
+export class FileSystemStorage {
+    /**
+     * Constructor
+     * @param {Object} options - Adapter options
+     * @param {string} options.directory - Root directory for the stores
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || '.trie-data';
+    }
+
+    filePath(store, key) {
+        return path.join(this.directory, encodeURIComponent(store), `${encodeURIComponent(key)}.json`);
+    }
+
+    async get(store, key) {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath(store, key), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+    }
+
+    async put(store, key, value) {
+        const file = this.filePath(store, key);
+
+        // Write to a temporary file first so a crash never leaves a half-written record
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(`${file}.tmp`, JSON.stringify(value));
+        await fs.rename(`${file}.tmp`, file);
+        return value;
+    }
+
+    async delete(store, key) {
+        await fs.rm(this.filePath(store, key), { force: true });
+        return true;
+    }
+
+    async getAll(store) {
+        return this.getAllWithPrefix(store, '');
+    }
+
+    async getAllWithPrefix(store, prefix) {
+        const storeDirectory = path.join(this.directory, encodeURIComponent(store));
+
+        let files;
+        try {
+            files = await fs.readdir(storeDirectory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        // Keys are encoded character by character, so encoded keys start with the encoded prefix
+        const filePrefix = encodeURIComponent(prefix);
+        const values = await Promise.all(files
+            .filter(file => file.startsWith(filePrefix) && file.endsWith('.json'))
+            .map(async file => JSON.parse(await fs.readFile(path.join(storeDirectory, file), 'utf8'))));
+        return values;
+    }
+}
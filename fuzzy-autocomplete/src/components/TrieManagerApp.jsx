@@ -1,90 +1,103 @@
 import { useState, useEffect, useRef } from 'react';
 
-// Assume these are your existing JS modules
-// Update the import paths according to your project structure
-import FuzzyMatcher from './FuzzyMatcher';
-import DataManager from './DataManager';
-import EnhancedTrie from './EnhancedTrie';
+// The engine modules live at the repository root, shared with the vanilla page and AppManager;
+// package.json links them in as the trie-implementation package
+import { createAutocomplete } from 'trie-implementation/autocomplete.js';
+import DataManager from 'trie-implementation/data-manager.js';
+import TrieVisualizer from 'trie-implementation/trie-visualizer.js';
 
+const INITIAL_ITEMS = ['apple', 'banana', 'orange', 'pineapple', 'grape'];
+
+const createEngine = () => createAutocomplete({ mode: 'fuzzy', maxDistance: 2, limit: 10, entries: INITIAL_ITEMS });
+
+// Only used to rebuild a trie from the engine's serialized copy for the visualizer
+const dataManager = new DataManager({ storage: 'memory', preferenceStorage: 'memory' });
+
+/**
+ * Suggestion text with the matched spans highlighted
+ */
+function HighlightedText({ text, spans = [] }) {
+  const parts = [];
+  let position = 0;
+
+  spans.forEach(({ start, end, edit }) => {
+    if (start < position || end > text.length) return;
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(
+      <span key={start} className={edit ? 'highlight highlight-edit' : 'highlight'}>
+        {text.slice(start, end)}
+      </span>
+    );
+    position = end;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+
+  return <>{parts}</>;
+}
 
 export default function TrieManagerApp() {
   const [searchTerm, setSearchTerm] = useState('');
   const [searchResults, setSearchResults] = useState([]);
-  const [dataItems, setDataItems] = useState([]);
+  const [dataItems, setDataItems] = useState(INITIAL_ITEMS);
   const [selectedItem, setSelectedItem] = useState(null);
+  const engineRef = useRef(null);
   const visualizerRef = useRef(null);
+  const visualizerContainerRef = useRef(null);
   
-  // Initialize our modules
+  if (!engineRef.current) {
+    engineRef.current = createEngine();
+  }
+
+  // Stop the engine's worker on unmount; a remount (as in StrictMode) starts a new engine
   useEffect(() => {
-    const dataManager = new DataManager();
-    const trie = new EnhancedTrie();
-    const fuzzyMatcher = new FuzzyMatcher(trie);
-    const appManager = new AppManager(dataManager, fuzzyMatcher);
-    
-    // Load initial data (example)
-    const initialData = ['apple', 'banana', 'orange', 'pineapple', 'grape'];
-    initialData.forEach(item => {
-      dataManager.addItem(item);
-      trie.insert(item);
-    });
-    
-    setDataItems(initialData);
-    
-    // Initialize visualizer if needed
-    if (visualizerRef.current) {
-      const visualizer = new TrieVisualizer(trie);
-      visualizer.attachTo(visualizerRef.current);
-      visualizer.render();
+    if (!engineRef.current) {
+      engineRef.current = createEngine();
     }
-    
-    // Cleanup function
     return () => {
-      // Any cleanup needed for your JS modules
+      engineRef.current.terminate();
+      engineRef.current = null;
     };
   }, []);
+
+  // Redraw the trie whenever the items change
+  useEffect(() => {
+    if (!visualizerContainerRef.current) return;
+    if (!visualizerRef.current) {
+      visualizerRef.current = new TrieVisualizer(visualizerContainerRef.current);
+    }
+    
+    let cancelled = false;
+    engineRef.current.serialize().then(data => {
+      if (!cancelled) visualizerRef.current.render(dataManager.deserializeTrie(data));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [dataItems]);
   
-  // Handle search
-  const handleSearch = (e) => {
+  const handleSearch = async (e) => {
     const term = e.target.value;
     setSearchTerm(term);
     
-    if (term.trim() === '') {
-      setSearchResults([]);
-      return;
-    }
-    
-    // Use your fuzzy matcher to find results
-    // This is a placeholder - adjust according to your actual API
-    const fuzzyMatcher = new FuzzyMatcher(new EnhancedTrie());
-    dataItems.forEach(item => fuzzyMatcher.addToTrie(item));
-    const results = fuzzyMatcher.search(term);
-    setSearchResults(results);
+    const results = await engineRef.current.search(term.trim());
+    // null means a newer search has already replaced this one
+    if (results) setSearchResults(results);
   };
   
-  // Add new item
   const handleAddItem = () => {
-    if (searchTerm.trim() === '') return;
+    const item = searchTerm.trim();
+    if (dataItems.includes(item) || !engineRef.current.add(item)) return;
     
-    if (!dataItems.includes(searchTerm)) {
-      const newItems = [...dataItems, searchTerm];
-      setDataItems(newItems);
-      
-      // Update your trie and data manager
-      // This is a placeholder - adjust according to your actual API
-      const dataManager = new DataManager();
-      const trie = new EnhancedTrie();
-      dataManager.addItem(searchTerm);
-      trie.insert(searchTerm);
-      
-      // Update visualization
-      if (visualizerRef.current) {
-        const visualizer = new TrieVisualizer(trie);
-        visualizer.render();
-      }
+    setDataItems([...dataItems, item]);
+    setSearchTerm('');
+    setSearchResults([]);
+  };
       
-      setSearchTerm('');
-      setSearchResults([]);
-    }
+  const handleDeleteItem = () => {
+    engineRef.current.remove(selectedItem);
+    setDataItems(dataItems.filter(item => item !== selectedItem));
+    setSearchResults(searchResults.filter(result => result.text !== selectedItem));
+    setSelectedItem(null);
   };
   
   return (
@@ -111,13 +124,13 @@ export default function TrieManagerApp() {
         {searchResults.length > 0 && (
           <div className="mt-2 border border-gray-200 rounded bg-gray-50">
             <ul className="divide-y divide-gray-200">
-              {searchResults.map((result, index) => (
+              {searchResults.map(result => (
                 <li
-                  key={index}
+                  key={result.text}
                   className="p-2 hover:bg-gray-100 cursor-pointer"
-                  onClick={() => setSelectedItem(result)}
+                  onClick={() => setSelectedItem(result.text)}
                 >
-                  {result}
+                  <HighlightedText text={result.text} spans={result.spans} />
                 </li>
               ))}
             </ul>
@@ -129,9 +142,9 @@ export default function TrieManagerApp() {
         <div className="border rounded p-4">
           <h2 className="text-lg font-semibold mb-3">Data Items</h2>
           <ul className="divide-y divide-gray-200">
-            {dataItems.map((item, index) => (
+            {dataItems.map(item => (
               <li
-                key={index}
+                key={item}
                 className={`p-2 cursor-pointer ${
                   selectedItem === item ? 'bg-blue-100' : 'hover:bg-gray-50'
                 }`}
@@ -146,7 +159,7 @@ export default function TrieManagerApp() {
         <div className="border rounded p-4">
           <h2 className="text-lg font-semibold mb-3">Trie Visualization</h2>
           <div 
-            ref={visualizerRef}
+            ref={visualizerContainerRef}
             className="w-full h-64 bg-gray-50 border border-gray-200 rounded"
           >
             {/* The TrieVisualizer will render here */}
@@ -160,11 +173,7 @@ export default function TrieManagerApp() {
           <div className="flex space-x-2">
             <button 
               className="bg-red-500 text-white px-3 py-1 rounded hover:bg-red-600"
-              onClick={() => {
-                setDataItems(dataItems.filter(item => item !== selectedItem));
-                setSelectedItem(null);
-                // Also update your data structures here
-              }}
+              onClick={handleDeleteItem}
             >
               Delete
             </button>
@@ -1,140 +1,131 @@
+import EditCosts, { UNIT_COSTS } from './edit-costs.js';
+
 // Export the FuzzyMatcher class as default export
 export default class FuzzyMatcher {
     /**
      * Constructor
      * @param {number} maxDistance - Maximum edit distance to consider a match
+     * @param {Object} normalizer - Optional TextNormalizer shared with the trie
+     * @param {EditCosts|Object} editCosts - Optional weighted edit costs, or EditCosts options
      */
-    constructor(maxDistance = 2) {
+    constructor(maxDistance = 2, normalizer = null, editCosts = null) {
         this.maxDistance = maxDistance;
+        this.normalizer = normalizer;
+        this.setEditCosts(editCosts);
     }
 
     /**
-     * Gets all possible variations of a word within the edit distance
-     * @param {string} word - The word to get variations for
-     * @returns {Set} - Set of possible variations
+     * Change the maximum edit distance
+     * @param {number} maxDistance - Maximum edit distance to consider a match
      */
-    getVariations(word) {
-        // Start with the original word
-        const variations = new Set([word]);
-        
-        // If the word is empty or maxDistance is 0, return early
-        if (!word || this.maxDistance <= 0) return variations;
-        
-        // For each edit distance from 1 to maxDistance
-        for (let i = 1; i <= this.maxDistance; i++) {
-            const currentWords = [...variations];
-            
-            // For each current word
-            for (const currentWord of currentWords) {
-                // Add all possible variations at distance 1
-                this.addEdits(currentWord, variations);
-            }
-        }
-        
-        return variations;
+    setMaxDistance(maxDistance) {
+        this.maxDistance = maxDistance;
     }
-    
+
     /**
-     * Add all possible edits at distance 1 from the word
-     * @param {string} word - The word to edit
-     * @param {Set} variations - Set to add variations to
+     * Use the same normalizer as the trie being searched
+     * @param {Object} normalizer - TextNormalizer instance, or null to just lowercase
      */
-    addEdits(word, variations) {
-        const chars = 'abcdefghijklmnopqrstuvwxyz0123456789 ';
-        
-        // Deletions
-        for (let i = 0; i < word.length; i++) {
-            variations.add(word.slice(0, i) + word.slice(i + 1));
-        }
-        
-        // Transpositions
-        for (let i = 0; i < word.length - 1; i++) {
-            variations.add(
-                word.slice(0, i) + 
-                word[i + 1] + 
-                word[i] + 
-                word.slice(i + 2)
-            );
-        }
-        
-        // Replacements
-        for (let i = 0; i < word.length; i++) {
-            for (const char of chars) {
-                variations.add(
-                    word.slice(0, i) + 
-                    char + 
-                    word.slice(i + 1)
-                );
-            }
-        }
-        
-        // Insertions
-        for (let i = 0; i <= word.length; i++) {
-            for (const char of chars) {
-                variations.add(
-                    word.slice(0, i) + 
-                    char + 
-                    word.slice(i)
-                );
-            }
-        }
+    setNormalizer(normalizer) {
+        this.normalizer = normalizer;
     }
-    
+
     /**
-     * Calculate Levenshtein distance between two strings
-     * @param {string} s1 - First string
+     * Switch between plain Levenshtein distance and weighted edit costs
+     * @param {EditCosts|Object} editCosts - EditCosts instance or options, or null for unit costs
+     */
+    setEditCosts(editCosts) {
+        this.editCosts = !editCosts || editCosts instanceof EditCosts ? editCosts || null : new EditCosts(editCosts);
+    }
+
+    /**
+     * Normalize text before comparing it
+     * @param {string} text - Text to normalize
+     * @returns {string} - Normalized text
+     */
+    normalize(text) {
+        return this.normalizer ? this.normalizer.normalize(text) : text.toLowerCase();
+    }
+
+    /**
+     * Weighted edit distance using the configured edit costs, with transpositions of
+     * adjacent characters (optimal string alignment)
+     * @param {string} s1 - First string (the query)
      * @param {string} s2 - Second string
+     * @param {boolean} prefix - Measure against the closest beginning of s2 instead of all of it
      * @returns {number} - Edit distance
      */
-    levenshteinDistance(s1, s2) {
-        if (s1 === s2) return 0;
-        if (!s1) return s2.length;
-        if (!s2) return s1.length;
-        
-        const m = s1.length;
-        const n = s2.length;
-        
-        // Create distance matrix
-        let dp = Array(m + 1).fill().map(() => Array(n + 1).fill(0));
+    weightedDistance(s1, s2, prefix = false) {
+        return this.alignmentDistance(s1, s2, this.editCosts || new EditCosts(), prefix);
+    }
+
+    /**
+     * Optimal string alignment distance: Levenshtein distance where swapping two adjacent
+     * characters ("teh" -> "the") is a single edit, as long as no character is edited twice
+     * @param {string} s1 - First string (the query)
+     * @param {string} s2 - Second string
+     * @param {boolean} prefix - Measure against the closest beginning of s2 instead of all of it
+     * @returns {number} - Edit distance
+     */
+    osaDistance(s1, s2, prefix = false) {
+        return this.alignmentDistance(s1, s2, UNIT_COSTS, prefix);
+    }
+
+    /**
+     * Edit distance with transpositions under a set of edit costs
+     * @param {string} s1 - First string (the query)
+     * @param {string} s2 - Second string
+     * @param {EditCosts} costs - Cost of each edit
+     * @param {boolean} prefix - Measure against the closest beginning of s2 instead of all of it
+     * @returns {number} - Edit distance
+     */
+    alignmentDistance(s1, s2, costs, prefix = false) {
+        const a = [...s1];
+        const b = [...s2];
+        const m = a.length;
+        const n = b.length;
         
-        // Initialize first row and column
-        for (let i = 0; i <= m; i++) dp[i][0] = i;
-        for (let j = 0; j <= n; j++) dp[0][j] = j;
+        const dp = Array(m + 1).fill().map(() => Array(n + 1).fill(0));
+        for (let i = 1; i <= m; i++) dp[i][0] = dp[i - 1][0] + costs.deletion(a[i - 1], a[i - 2]);
+        for (let j = 1; j <= n; j++) dp[0][j] = dp[0][j - 1] + costs.insertion(b[j - 1], b[j - 2]);
         
-        // Fill the matrix
         for (let i = 1; i <= m; i++) {
             for (let j = 1; j <= n; j++) {
-                const cost = s1[i - 1] === s2[j - 1] ? 0 : 1;
                 dp[i][j] = Math.min(
-                    dp[i - 1][j] + 1,          // deletion
-                    dp[i][j - 1] + 1,          // insertion
-                    dp[i - 1][j - 1] + cost    // substitution
+                    dp[i - 1][j] + costs.deletion(a[i - 1], a[i - 2]),
+                    dp[i][j - 1] + costs.insertion(b[j - 1], b[j - 2]),
+                    dp[i - 1][j - 1] + costs.substitution(a[i - 1], b[j - 1])
                 );
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1] && a[i - 1] !== a[i - 2]) {
+                    dp[i][j] = Math.min(dp[i][j], dp[i - 2][j - 2] + costs.transposition(a[i - 2], a[i - 1]));
+                }
             }
         }
         
-        return dp[m][n];
+        return prefix ? Math.min(...dp[m]) : dp[m][n];
+    }
+
+    /**
+     * Edit distance between two normalized strings: weighted when edit costs are set,
+     * optimal string alignment otherwise
+     * @param {string} s1 - First string
+     * @param {string} s2 - Second string
+     * @param {boolean} prefix - Measure against the closest beginning of s2 instead of all of it
+     * @returns {number} - Edit distance
+     */
+    editDistance(s1, s2, prefix = false) {
+        return this.editCosts ? this.weightedDistance(s1, s2, prefix) : this.osaDistance(s1, s2, prefix);
     }
 
     /**
-     * Calculate similarity score between two strings (lower is better)
-     * @param {string} original - Original string
-     * @param {string} match - String to match
-     * @returns {number} - Similarity score
+     * Smallest edit distance between a query and any beginning of a text, so a short
+     * prefix is not penalized for the rest of a long sentence
+     * @param {string} query - Text typed so far
+     * @param {string} text - Candidate completion
+     * @returns {number} - Edit distance
      */
-    calculateSimilarity(original, match) {
-        // Normalize strings
-        const s1 = original.toLowerCase();
-        const s2 = match.toLowerCase();
-        
-        // Calculate edit distance
-        const distance = this.levenshteinDistance(s1, s2);
-        
-        // Calculate similarity score (normalized by longer string length)
-        const maxLen = Math.max(s1.length, s2.length);
-        if (maxLen === 0) return 0;
-        
-        return distance / maxLen;
+    prefixEditDistance(query, text) {
+        return this.editDistance(this.normalize(query), this.normalize(text), true);
     }
 
     /**
@@ -147,74 +138,61 @@ export default class FuzzyMatcher {
         if (!s1 || !s2) return false;
         if (s1 === s2) return true;
         
-        const distance = this.levenshteinDistance(s1.toLowerCase(), s2.toLowerCase());
+        const distance = this.editDistance(this.normalize(s1), this.normalize(s2));
         return distance <= this.maxDistance;
     }
 
-    /**
-     * Find the best matching variation of the query in the text
-     * @param {string} query - Original query
-     * @param {string} text - Text to search in
-     * @param {Array} variations - Variations of the query
-     * @returns {object} - Best match information
-     */
-    findBestMatchingVariation(query, text, variations = null) {
-        if (!variations) {
-            variations = this.getVariations(query);
-        }
-        
-        let bestMatch = { 
-            variation: query,
-            distance: this.levenshteinDistance(query.toLowerCase(), text.toLowerCase())
-        };
-        
-        for (const variation of variations) {
-            if (variation === query) continue;
-            
-            const distance = this.levenshteinDistance(variation.toLowerCase(), text.toLowerCase());
-            if (distance < bestMatch.distance) {
-                bestMatch = { variation, distance };
-            }
-        }
-        
-        return bestMatch;
-    }
-
     /**
      * Rank matches by similarity, preserving object structure and adding match info
      * @param {string} query - Query string
-     * @param {Array} candidates - Candidate objects with 'text' property
+     * @param {Array} candidates - Candidate objects with 'text' property and optional precomputed 'distance'
+     * @param {Object} options - Ranking options
+     * @param {boolean} options.keepOrder - Only add match info, keeping the candidates' order, e.g. when
+     *                                      a scorer that blends distance already ranked them
      * @returns {Array} - Ranked candidates with match info
      */
-    rankMatchesWithInfo(query, candidates) {
+    rankMatchesWithInfo(query, candidates, options = {}) {
         if (!query || !candidates || candidates.length === 0) {
             return [];
         }
         
-        // For each candidate, find the best matching variation
+        const queryLength = Math.max(1, [...this.normalize(query)].length);
         const withScores = candidates.map(candidate => {
             const text = candidate.text || candidate;
-            const variation = candidate.variation || query;
-            
-            // Find best matching variation (either the provided one or compute)
-            const matchInfo = this.findBestMatchingVariation(query, text);
-            const distance = matchInfo.distance;
-            const score = distance / Math.max(query.length, text.length);
+            const distance = this.rankingDistance(query, candidate);
             
             return {
                 ...candidate,
-                score,
-                matchInfo: {
-                    distance,
-                    matchedVariation: matchInfo.variation
-                }
+                // Edits per typed character; the untyped rest of the text costs nothing
+                score: distance / queryLength,
+                matchInfo: { distance }
             };
         });
         
+        if (options.keepOrder) {
+            return withScores;
+        }
+        
         // Sort by score (lower is better)
         return withScores.sort((a, b) => a.score - b.score);
     }
 
+    /**
+     * Prefix edit distance of a candidate, keeping any reduction a trie search applied to
+     * its distance (e.g. for sound-alike matches)
+     * @param {string} query - Query string
+     * @param {Object|string} candidate - Text, or result with text, optional distance and editDistance
+     * @returns {number} - Distance to rank by
+     */
+    rankingDistance(query, candidate) {
+        const text = candidate.text || candidate;
+        const distance = this.prefixEditDistance(query, text);
+        if (typeof candidate.distance !== 'number') return distance;
+        
+        const reduction = (candidate.editDistance ?? candidate.distance) - candidate.distance;
+        return Math.max(0, distance - reduction);
+    }
+
     /**
      * Rank matches by similarity
      * @param {string} query - Query string
@@ -226,10 +204,11 @@ export default class FuzzyMatcher {
             return [];
         }
         
-        // Calculate similarity for each candidate
+        // Compare the query with the closest beginning of each candidate
+        const queryLength = Math.max(1, [...this.normalize(query)].length);
         const withScores = candidates.map(candidate => ({
             text: candidate,
-            score: this.calculateSimilarity(query, candidate)
+            score: this.prefixEditDistance(query, candidate) / queryLength
         }));
         
         // Sort by score (lower is better)
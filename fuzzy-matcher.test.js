@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FuzzyMatcher from './fuzzy-matcher.js';
+
+test('osaDistance counts a transposition as one edit', () => {
+    const matcher = new FuzzyMatcher();
+    assert.equal(matcher.osaDistance('teh', 'the'), 1);
+    assert.equal(matcher.osaDistance('abcd', 'badc'), 2);
+    // No substring is edited twice, unlike unrestricted Damerau-Levenshtein
+    assert.equal(matcher.osaDistance('ca', 'abc'), 3);
+    assert.equal(matcher.osaDistance('', 'abc'), 3);
+    assert.equal(matcher.matches('recieve', 'receive'), true);
+});
+
+test('prefixEditDistance compares with the closest beginning of the text', () => {
+    const matcher = new FuzzyMatcher();
+    assert.equal(matcher.prefixEditDistance('teh qu', 'The quick brown fox'), 1);
+    assert.equal(matcher.prefixEditDistance('quick', 'The quick brown fox'), 4);
+    assert.equal(matcher.prefixEditDistance('the', 'th'), 1);
+});
+
+test('rankMatches does not penalize long completions', () => {
+    const matcher = new FuzzyMatcher();
+    const ranked = matcher.rankMatches('helo', ['hemp', 'hello and welcome to the show']);
+    assert.deepEqual(ranked, ['hello and welcome to the show', 'hemp']);
+});
+
+test('rankMatchesWithInfo scores edits per typed character', () => {
+    const matcher = new FuzzyMatcher();
+    const ranked = matcher.rankMatchesWithInfo('teh', [
+        { text: 'tab time', distance: 2 },
+        { text: 'the long and winding road', distance: 2 }
+    ]);
+    assert.deepEqual(ranked.map(result => result.text), ['the long and winding road', 'tab time']);
+    assert.equal(ranked[0].matchInfo.distance, 1);
+    assert.equal(ranked[0].score, 1 / 3);
+
+    // A reduction the search applied (a sound-alike match) carries over
+    const [phonetic] = matcher.rankMatchesWithInfo('fonetic', [
+        { text: 'phonetic', distance: 0, editDistance: 2 }
+    ]);
+    assert.equal(phonetic.matchInfo.distance, 0);
+});
@@ -0,0 +1,336 @@
+/**
+ * Importers - Turn CSV/TSV, JSON Lines, Markdown, HTML and plain text into weighted entries
+ *
+ * Every parser returns [{ text, weight, tags }] records (JSON Lines records may also carry a payload)
+ * ready for EnhancedTrie.insert(text, { weight, tags, payload }).
+ */
+import { splitTextIntoSentences } from './sentence-splitter.js';
+import { normalizeWeight } from './enhanced-trie.js';
+
+export const IMPORT_FORMATS = ['text', 'csv', 'tsv', 'jsonl', 'markdown', 'html'];
+
+const EXTENSIONS = {
+    txt: 'text',
+    text: 'text',
+    csv: 'csv',
+    tsv: 'tsv',
+    tab: 'tsv',
+    jsonl: 'jsonl',
+    ndjson: 'jsonl',
+    md: 'markdown',
+    markdown: 'markdown',
+    html: 'html',
+    htm: 'html'
+};
+
+const TEXT_COLUMNS = ['phrase', 'text', 'sentence', 'entry'];
+const WEIGHT_COLUMNS = ['weight', 'frequency', 'count'];
+
+/**
+ * Build a record, dropping empty text and invalid weights
+ * @param {string} text - Entry text
+ * @param {*} weight - Weight, made a whole count with normalizeWeight
+ * @param {Array|string} tags - Tags, as an array or a ';' / '|' separated string
+ * @param {*} payload - Data to attach to the entry, if any
+ * @returns {Object|null} - { text, weight, tags, payload? }, or null if the text is empty
+ */
+function toRecord(text, weight, tags, payload) {
+    const trimmed = typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '';
+    if (!trimmed) return null;
+
+    const tagList = Array.isArray(tags)
+        ? tags.map(String)
+        : String(tags || '').split(/[;|]/);
+
+    const record = {
+        text: trimmed,
+        weight: normalizeWeight(weight),
+        tags: tagList.map(tag => tag.trim()).filter(Boolean)
+    };
+    if (payload !== undefined) {
+        record.payload = payload;
+    }
+    return record;
+}
+
+/**
+ * Split delimited text into rows of fields, honouring double-quoted fields
+ * @param {string} text - CSV or TSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array} - Rows, each an array of field strings
+ */
+function parseDelimitedRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Parse "phrase,weight,tags" rows; a header row may name the columns in any order
+ * @param {string} text - CSV or TSV text
+ * @param {string} delimiter - ',' for CSV, '\t' for TSV
+ * @returns {Array} - Records
+ */
+export function parseDelimited(text, delimiter = ',') {
+    const rows = parseDelimitedRows(text, delimiter);
+    if (rows.length === 0) return [];
+
+    let columns = { text: 0, weight: 1, tags: 2 };
+    const header = rows[0].map(name => name.trim().toLowerCase());
+    if (header.some(name => TEXT_COLUMNS.includes(name))) {
+        columns = {
+            text: header.findIndex(name => TEXT_COLUMNS.includes(name)),
+            weight: header.findIndex(name => WEIGHT_COLUMNS.includes(name)),
+            tags: header.indexOf('tags')
+        };
+        rows.shift();
+    }
+
+    return rows
+        .map(row => toRecord(row[columns.text], row[columns.weight], row[columns.tags]))
+        .filter(Boolean);
+}
+
+/**
+ * Parse JSON Lines: each line is a string or an object with text/phrase, weight/frequency, tags and payload
+ * @param {string} text - JSON Lines text
+ * @returns {Array} - Records
+ */
+export function parseJSONLines(text) {
+    return text.split(/\r?\n/)
+        .map((line, index) => {
+            if (!line.trim()) return null;
+
+            let value;
+            try {
+                value = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+            }
+
+            if (typeof value === 'string') return toRecord(value);
+            if (!value || typeof value !== 'object') return null;
+            return toRecord(
+                value.text ?? value.phrase ?? value.sentence,
+                value.weight ?? value.frequency,
+                value.tags,
+                value.payload
+            );
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Remove inline Markdown formatting
+ * @param {string} text - Markdown text
+ * @returns {string} - Plain text
+ */
+function stripInlineMarkdown(text) {
+    return text
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/(\*\*|__)(.*?)\1/g, '$2')
+        .replace(/(\*|_)(.*?)\1/g, '$2')
+        .replace(/~~(.*?)~~/g, '$1');
+}
+
+/**
+ * Parse Markdown: headings and list items become entries, paragraphs are split into sentences
+ * @param {string} text - Markdown text
+ * @returns {Array} - Records
+ */
+export function parseMarkdown(text) {
+    const records = [];
+    let paragraph = [];
+    let inFence = false;
+
+    const flushParagraph = () => {
+        splitTextIntoSentences(stripInlineMarkdown(paragraph.join('\n')))
+            .forEach(sentence => records.push(toRecord(sentence)));
+        paragraph = [];
+    };
+
+    for (const line of text.split(/\r?\n/)) {
+        // Code blocks are not prose
+        if (/^\s*(```|~~~)/.test(line)) {
+            flushParagraph();
+            inFence = !inFence;
+            continue;
+        }
+        if (inFence) continue;
+
+        const heading = /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/.exec(line);
+        const item = /^\s*(?:[-*+]|\d{1,3}[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/.exec(line);
+
+        if (heading || item) {
+            flushParagraph();
+            records.push(toRecord(stripInlineMarkdown((heading || item)[1])));
+        } else if (!line.trim() || /^\s*(?:[-*_]\s*){3,}$/.test(line)) {
+            flushParagraph();
+        } else {
+            paragraph.push(line.replace(/^\s*>\s?/, ''));
+        }
+    }
+    flushParagraph();
+
+    return records.filter(Boolean);
+}
+
+/**
+ * Decode the HTML entities that commonly appear in text
+ * @param {string} text - Text with entities
+ * @returns {string} - Decoded text
+ */
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            // Numbers past the last code point are left as written
+            return Number.isFinite(value) && value <= 0x10FFFF ? String.fromCodePoint(value) : entity;
+        }
+        return named[code.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Parse HTML: headings and list items become entries, other text is split into sentences
+ * @param {string} text - HTML text
+ * @returns {Array} - Records
+ */
+export function parseHTML(text) {
+    const records = [];
+    // Block-level tags become paragraph breaks below, so the remaining tags are inline. They still
+    // separate words ("a</span><span>b"), except right before punctuation ("<em>chips</em>!")
+    const toText = html => decodeEntities(html
+        .replace(/<[^>]*>(?=[.,;:!?)\]])/g, '')
+        .replace(/<[^>]*>/g, ' '));
+
+    // Drop what is never shown as text
+    let html = text
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<(script|style|noscript|template|head)\b[\s\S]*?<\/\1\s*>/gi, ' ');
+
+    // Headings and list items are entries on their own, so take them out of the prose. A list item
+    // ends at the next list tag, so an item holding a nested list keeps only its own text
+    const entries = /<(h[1-6]|caption|th|td)\b[^>]*>([\s\S]*?)<\/\1\s*>|<(?:li|dt|dd)\b[^>]*>([\s\S]*?)(?=<\/?(?:li|dt|dd|ul|ol|dl)\b|$)/gi;
+    html = html.replace(entries, (match, tag, content, item) => {
+        records.push(toRecord(toText(tag ? content : item)));
+        return '\n\n';
+    });
+
+    // Block elements, and the list item ends left above, end paragraphs
+    html = html.replace(/<\/?(p|div|section|article|header|footer|main|aside|nav|blockquote|pre|ul|ol|dl|li|dt|dd|table|tr|br|hr)\b[^>]*>/gi, '\n\n');
+
+    splitTextIntoSentences(toText(html)).forEach(sentence => records.push(toRecord(sentence)));
+
+    return records.filter(Boolean);
+}
+
+/**
+ * Guess a format from a file name, falling back to the start of the content
+ * @param {string} name - File name (may be empty)
+ * @param {string} sample - Beginning of the file
+ * @returns {string} - One of IMPORT_FORMATS
+ */
+export function detectFormat(name = '', sample = '') {
+    const extension = /\.([^.\\/]+)$/.exec(name);
+    if (extension && EXTENSIONS[extension[1].toLowerCase()]) {
+        return EXTENSIONS[extension[1].toLowerCase()];
+    }
+
+    const head = sample.trimStart();
+    const lines = sample.split(/\r?\n/).filter(line => line.trim()).slice(0, 20);
+    // The last line of a sample may be cut short
+    const complete = lines.length > 1 ? lines.slice(0, -1) : lines;
+
+    if (/^(<!doctype html|<html|<body|<(p|div|h[1-6]|ul|ol)\b)/i.test(head)) {
+        return 'html';
+    }
+    if (complete.length > 0 && complete.every(line => {
+        try {
+            const value = JSON.parse(line);
+            return typeof value === 'string' || (value && typeof value === 'object' && !Array.isArray(value));
+        } catch (error) {
+            return false;
+        }
+    })) {
+        return 'jsonl';
+    }
+    if (complete.some(line => /^\s{0,3}#{1,6}\s/.test(line) || /^\s*[-*+]\s/.test(line))) {
+        return 'markdown';
+    }
+
+    // Delimited files have the same number of fields on every line, and weights in the second column
+    for (const [delimiter, format] of [['\t', 'tsv'], [',', 'csv']]) {
+        const rows = parseDelimitedRows(complete.join('\n'), delimiter);
+        const counts = new Set(rows.map(row => row.length));
+        if (rows.length > 1 && counts.size === 1 && !counts.has(1)
+            && rows.slice(1).every(row => !row[1].trim() || Number.isFinite(Number(row[1])))) {
+            return format;
+        }
+    }
+
+    return 'text';
+}
+
+/**
+ * Parse text in a given format
+ * @param {string} text - File content
+ * @param {string} format - One of IMPORT_FORMATS
+ * @returns {Array} - Records
+ */
+export function parseEntries(text, format) {
+    switch (format) {
+        case 'csv':
+            return parseDelimited(text, ',');
+        case 'tsv':
+            return parseDelimited(text, '\t');
+        case 'jsonl':
+            return parseJSONLines(text);
+        case 'markdown':
+            return parseMarkdown(text);
+        case 'html':
+            return parseHTML(text);
+        case 'text':
+            return splitTextIntoSentences(text).map(sentence => toRecord(sentence)).filter(Boolean);
+        default:
+            throw new Error(`Unknown import format: ${format}`);
+    }
+}
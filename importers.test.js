@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectFormat, parseEntries } from './importers.js';
+import EnhancedTrie from './enhanced-trie.js';
+import AutocompleteEngine from './autocomplete-engine.js';
+
+test('CSV and TSV rows give weighted, tagged entries', () => {
+    const csv = 'phrase,weight,tags\n"Hello, world",5,greeting;common\nGood morning,2\nNo weight,,x\n';
+    assert.deepEqual(parseEntries(csv, 'csv'), [
+        { text: 'Hello, world', weight: 5, tags: ['greeting', 'common'] },
+        { text: 'Good morning', weight: 2, tags: [] },
+        { text: 'No weight', weight: 1, tags: ['x'] }
+    ]);
+
+    const tsv = 'tags\tphrase\tcount\nfood\tpizza "al taglio"\t3\n';
+    assert.deepEqual(parseEntries(tsv, 'tsv'), [{ text: 'pizza "al taglio"', weight: 3, tags: ['food'] }]);
+});
+
+test('JSON Lines accepts strings and objects and reports bad lines', () => {
+    const jsonl = '"plain entry"\n{"text":"weighted","weight":4,"tags":["a"],"payload":{"id":7}}\n\n{"phrase":"alias","frequency":2}\n';
+    assert.deepEqual(parseEntries(jsonl, 'jsonl'), [
+        { text: 'plain entry', weight: 1, tags: [] },
+        { text: 'weighted', weight: 4, tags: ['a'], payload: { id: 7 } },
+        { text: 'alias', weight: 2, tags: [] }
+    ]);
+    assert.throws(() => parseEntries('"ok"\n{oops', 'jsonl'), /Invalid JSON on line 2/);
+});
+
+test('Markdown headings and list items are entries, paragraphs are split', () => {
+    const markdown = [
+        '# Getting **started**',
+        '',
+        'Install it first. Then run [the tool](https://example.com).',
+        '',
+        '- [x] Read the `docs`',
+        '2. Second step',
+        '```',
+        'const ignored = true;',
+        '```'
+    ].join('\n');
+
+    assert.deepEqual(parseEntries(markdown, 'markdown').map(record => record.text), [
+        'Getting started',
+        'Install it first.',
+        'Then run the tool.',
+        'Read the docs',
+        'Second step'
+    ]);
+});
+
+test('HTML is stripped, with headings and list items as entries', () => {
+    const html = `<!doctype html><html><head><title>x</title><style>p{}</style></head><body>
+        <h1>Fish &amp; <em>chips</em></h1>
+        <p>Served hot. Eat it fast!</p>
+        <ul><li>Salt</li><li>Vinegar&nbsp;please</li></ul>
+        <script>ignored()</script>
+    </body></html>`;
+
+    assert.deepEqual(parseEntries(html, 'html').map(record => record.text), [
+        'Fish & chips',
+        'Salt',
+        'Vinegar please',
+        'Served hot.',
+        'Eat it fast!'
+    ]);
+});
+
+test('HTML tags separate words, nested lists keep their items apart and bad entities stay as written', () => {
+    const html = `<h2>Tips<br>and tricks</h2>
+        <ul><li>Outer item<ul><li>Inner <b>one</b>!</li><li>Inner two</li></ul></li><li>Last</li></ul>
+        <p>Caf&#xE9; <span>open</span><span>late</span>. Code &#99999999; and &#x110000; stay.</p>`;
+
+    assert.deepEqual(parseEntries(html, 'html').map(record => record.text), [
+        'Tips and tricks',
+        'Outer item',
+        'Inner one!',
+        'Inner two',
+        'Last',
+        'Café open late.',
+        'Code &#99999999; and &#x110000; stay.'
+    ]);
+});
+
+test('format is detected from the extension, then the content', () => {
+    assert.equal(detectFormat('list.TSV', ''), 'tsv');
+    assert.equal(detectFormat('notes.md', 'whatever'), 'markdown');
+    assert.equal(detectFormat('', '<html><body>hi</body></html>'), 'html');
+    assert.equal(detectFormat('', '{"text":"a"}\n"b"\n'), 'jsonl');
+    assert.equal(detectFormat('', '# Title\n\nSome text.\n'), 'markdown');
+    assert.equal(detectFormat('', 'hello,3\nworld,4\nagain,5\n'), 'csv');
+    assert.equal(detectFormat('', 'Well, this is prose. It has commas, too.\nAnd more, here.\n'), 'text');
+});
+
+test('weights add to the trie frequency', () => {
+    const trie = new EnhancedTrie();
+    parseEntries('alpha,3\nalphabet,1\n', 'csv')
+        .forEach(record => trie.insert(record.text, { weight: record.weight }));
+    trie.insert('alphabet', { weight: 4 });
+
+    assert.equal(trie.getFrequency('alpha'), 3);
+    assert.equal(trie.getFrequency('alphabet'), 5);
+    assert.deepEqual(trie.autocomplete('alp'), ['alphabet', 'alpha']);
+});
+
+test('weights are whole counts, the same in records, the trie and the n-gram model', () => {
+    const records = parseEntries('good morning,2.6\ngood night,0.2\ngood day,abc\ngood grief,-4\ngood luck,Infinity\n', 'csv');
+    assert.deepEqual(records.map(record => record.weight), [3, 1, 1, 1, 1]);
+
+    const engine = new AutocompleteEngine();
+    engine.insertBatch([{ text: 'good morning', weight: 2.6 }, { text: 'good night', weight: 0.2 }]);
+    assert.equal(engine.trie.getFrequency('good morning'), 3);
+    assert.equal(engine.trie.getFrequency('good night'), 1);
+    assert.deepEqual(engine.predict('good ', { limit: 2 }).map(prediction => prediction.text), ['morning', 'night']);
+    assert.equal(engine.ngrams.totals.get('good'), 4);
+});
@@ -0,0 +1,166 @@
+/**
+ * Match spans - Which characters of a suggestion matched the query, for highlighting
+ *
+ * The query and the suggestion are normalized the way the trie keys them, aligned with the
+ * same edit operations fuzzy search uses, and the aligned characters are mapped back to
+ * ranges of the original suggestion text. Spans are { start, end, edit } with start/end as
+ * string indices into the suggestion; edit is true where the text differs from what was typed.
+ */
+import { UNIT_COSTS } from './edit-costs.js';
+
+/**
+ * Split a string into code points, remembering each one's index
+ * @param {string} text - Text to split
+ * @returns {Array} - [{ char, at }]
+ */
+function codePoints(text) {
+    const points = [];
+    let at = 0;
+    for (const char of text) {
+        points.push({ char, at });
+        at += char.length;
+    }
+    return points;
+}
+
+/**
+ * Align a query with the closest beginning of a text
+ * @param {Array} query - Query characters
+ * @param {Array} text - Text characters
+ * @param {EditCosts} costs - Cost of each edit
+ * @returns {Array} - One { index, edit } per text character taking part in the match
+ */
+export function alignPrefix(query, text, costs = UNIT_COSTS) {
+    const m = query.length;
+    // Past three characters per typed one, insertions alone cost more than deleting the whole query
+    const n = Math.min(text.length, 3 * m + 1);
+
+    const dp = Array(m + 1).fill().map(() => Array(n + 1).fill(0));
+    for (let i = 1; i <= m; i++) dp[i][0] = dp[i - 1][0] + costs.deletion(query[i - 1], query[i - 2]);
+    for (let j = 1; j <= n; j++) dp[0][j] = dp[0][j - 1] + costs.insertion(text[j - 1], text[j - 2]);
+
+    const transposed = (i, j) => i > 1 && j > 1 && query[i - 1] === text[j - 2] &&
+        query[i - 2] === text[j - 1] && query[i - 1] !== query[i - 2];
+
+    for (let i = 1; i <= m; i++) {
+        for (let j = 1; j <= n; j++) {
+            dp[i][j] = Math.min(
+                dp[i - 1][j] + costs.deletion(query[i - 1], query[i - 2]),
+                dp[i][j - 1] + costs.insertion(text[j - 1], text[j - 2]),
+                dp[i - 1][j - 1] + costs.substitution(query[i - 1], text[j - 1])
+            );
+            if (transposed(i, j)) {
+                dp[i][j] = Math.min(dp[i][j], dp[i - 2][j - 2] + costs.transposition(query[i - 2], query[i - 1]));
+            }
+        }
+    }
+
+    // The longest beginning of the text at the smallest distance, so a skipped letter
+    // counts as part of the match rather than a substitution
+    let j = 0;
+    for (let k = 1; k <= n; k++) {
+        if (dp[m][k] <= dp[m][j]) j = k;
+    }
+
+    // Walk back, preferring matches so exact prefixes highlight as one span
+    const aligned = [];
+    let i = m;
+    const close = (a, b) => Math.abs(a - b) < 1e-9;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && close(dp[i][j], dp[i - 1][j - 1] + costs.substitution(query[i - 1], text[j - 1]))) {
+            aligned.push({ index: j - 1, edit: query[i - 1] !== text[j - 1] });
+            i--;
+            j--;
+        } else if (transposed(i, j) && close(dp[i][j], dp[i - 2][j - 2] + costs.transposition(query[i - 2], query[i - 1]))) {
+            aligned.push({ index: j - 1, edit: true }, { index: j - 2, edit: true });
+            i -= 2;
+            j -= 2;
+        } else if (j > 0 && close(dp[i][j], dp[i][j - 1] + costs.insertion(text[j - 1], text[j - 2]))) {
+            // A character the query skipped
+            aligned.push({ index: j - 1, edit: true });
+            j--;
+        } else {
+            // A typed character the text does not have
+            i--;
+        }
+    }
+
+    return aligned.reverse();
+}
+
+/**
+ * Find the spans of a text that match a query
+ * @param {TextNormalizer} normalizer - Normalizer the trie keys entries with
+ * @param {string} query - Text typed so far
+ * @param {string} text - Suggestion
+ * @param {Object} options - Options
+ * @param {number} options.offset - Where the match starts in the normalized text (infix matches)
+ * @param {EditCosts} options.costs - Edit costs to align with
+ * @returns {Array} - [{ start, end, edit }] ranges of text, in order
+ */
+export function findMatchSpans(normalizer, query, text, options = {}) {
+    if (!query || !text) return [];
+    const { offset = 0, costs } = options;
+
+    const normalizedQuery = codePoints(normalizer.normalize(query));
+    const normalized = normalizer.normalizeWithOffsets(text);
+    const textPoints = codePoints(normalized.text).filter(point => point.at >= offset);
+
+    const aligned = alignPrefix(
+        normalizedQuery.map(point => point.char),
+        textPoints.map(point => point.char),
+        costs || UNIT_COSTS
+    );
+
+    // A normalized character covers the original text up to where the next one starts
+    const originalRange = (at) => {
+        const start = normalized.offsets[at];
+        let next = at + 1;
+        while (next < normalized.offsets.length - 1 && normalized.offsets[next] <= start) next++;
+        return [start, Math.max(start + 1, normalized.offsets[next])];
+    };
+
+    const spans = [];
+    for (const { index, edit } of aligned) {
+        const [start, end] = originalRange(textPoints[index].at);
+        const last = spans[spans.length - 1];
+        if (last && last.edit === edit && last.end >= start) {
+            last.end = Math.max(last.end, end);
+        } else if (last && last.end > start) {
+            // Normalization merged characters; the first span keeps them
+            if (end > last.end) spans.push({ start: last.end, end, edit });
+        } else {
+            spans.push({ start, end, edit });
+        }
+    }
+
+    return spans;
+}
+
+/**
+ * Append text to an element, wrapping matched spans in highlight elements.
+ * Only text nodes are created, so suggestion text is never parsed as HTML.
+ * @param {Element} parent - Element to append to
+ * @param {string} text - Suggestion text
+ * @param {Array} spans - [{ start, end, edit }] from findMatchSpans
+ */
+export function appendHighlightedText(parent, text, spans = []) {
+    const document = parent.ownerDocument;
+    let position = 0;
+
+    for (const { start, end, edit } of spans) {
+        if (start < position || end > text.length) continue;
+        if (start > position) {
+            parent.appendChild(document.createTextNode(text.slice(position, start)));
+        }
+        const highlight = document.createElement('span');
+        highlight.className = edit ? 'highlight highlight-edit' : 'highlight';
+        highlight.textContent = text.slice(start, end);
+        parent.appendChild(highlight);
+        position = end;
+    }
+
+    if (position < text.length) {
+        parent.appendChild(document.createTextNode(text.slice(position)));
+    }
+}
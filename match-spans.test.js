@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { alignPrefix, findMatchSpans, appendHighlightedText } from './match-spans.js';
+import TextNormalizer from './text-normalizer.js';
+import EnhancedTrie from './enhanced-trie.js';
+import AutocompleteEngine from './autocomplete-engine.js';
+
+const spanText = (text, spans) => spans.map(span => (span.edit ? '~' : '') + text.slice(span.start, span.end));
+
+test('alignPrefix marks substitutions, skipped characters and transpositions', () => {
+    assert.deepEqual(alignPrefix([...'cat'], [...'cart']), [
+        { index: 0, edit: false },
+        { index: 1, edit: false },
+        { index: 2, edit: true },
+        { index: 3, edit: false }
+    ]);
+    assert.deepEqual(alignPrefix([...'teh'], [...'the end']).map(step => step.edit), [false, true, true]);
+});
+
+test('spans map back to the original text through normalization', () => {
+    const normalizer = new TextNormalizer();
+    const text = 'Café  au  Lait';
+    const spans = findMatchSpans(normalizer, 'cafe au l', text);
+    assert.deepEqual(spans, [{ start: 0, end: 11, edit: false }]);
+    assert.deepEqual(spanText(text, spans), ['Café  au  L']);
+});
+
+test('spans start at the offset of infix matches', () => {
+    const trie = new EnhancedTrie({ infix: true });
+    trie.insert('The quick brown fox');
+    const [result] = trie.infixAutocomplete('BROWN');
+    assert.deepEqual(spanText(result.text, result.spans), ['brown']);
+});
+
+test('fuzzy and phonetic results carry the edited characters', () => {
+    const trie = new EnhancedTrie({ phonetic: true });
+    trie.insert('Receive the parcel');
+    trie.insert('Phonetic algorithms');
+
+    const [fuzzy] = trie.fuzzySearch('recieve');
+    assert.deepEqual(spanText(fuzzy.text, fuzzy.spans), ['Rec', '~ei', 've']);
+
+    const [phonetic] = trie.phoneticSearch('fonetic');
+    assert.deepEqual(spanText(phonetic.text, phonetic.spans), ['~Ph', 'onetic']);
+});
+
+test('engine results keep their spans through fuzzy ranking', () => {
+    const engine = new AutocompleteEngine();
+    engine.insertBatch(['Hello world']);
+    const [result] = engine.query('helo w', { mode: 'fuzzy' });
+    assert.deepEqual(spanText(result.text, result.spans), ['He', '~l', 'lo w']);
+    assert.deepEqual(spanText(result.text, engine.query('hello', { mode: 'exact' })[0].spans), ['Hello']);
+});
+
+test('appendHighlightedText builds text nodes and highlight elements only', () => {
+    const document = {
+        createTextNode: text => ({ text }),
+        createElement: tag => ({ tag, className: '', textContent: '' })
+    };
+    const parent = { ownerDocument: document, children: [], appendChild(child) { this.children.push(child); } };
+
+    appendHighlightedText(parent, '<b>bold</b> text', [{ start: 0, end: 3, edit: false }, { start: 3, end: 5, edit: true }]);
+    assert.deepEqual(parent.children, [
+        { tag: 'span', className: 'highlight', textContent: '<b>' },
+        { tag: 'span', className: 'highlight highlight-edit', textContent: 'bo' },
+        { text: 'ld</b> text' }
+    ]);
+});
@@ -0,0 +1,146 @@
+/**
+ * NGramModel - Word n-gram counts for next-word prediction
+ *
+ * Counts every word after each of its preceding contexts (up to order - 1 words, with a
+ * sentence-start marker), and predicts with "stupid backoff": the longest context that has
+ * been seen scores count / context total, shorter contexts are discounted by backoff per step.
+ */
+
+const SENTENCE_START = '<s>';
+const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+export default class NGramModel {
+    /**
+     * Constructor
+     * @param {Object} options - Model options
+     * @param {number} options.order - Longest n-gram counted (3 for trigrams)
+     * @param {number} options.backoff - Score multiplier for each step down to a shorter context
+     */
+    constructor(options = {}) {
+        this.order = options.order || 3;
+        this.backoff = options.backoff || 0.4;
+        // context ("" for unigrams, words joined by spaces otherwise) -> Map of next word -> count
+        this.counts = new Map();
+        this.totals = new Map();
+    }
+
+    /**
+     * Split text into lowercase words
+     * @param {string} text - Text to split
+     * @returns {Array} - Words
+     */
+    tokenize(text) {
+        return (text.toLowerCase().match(WORD) || []).map(word => word.replace(/’/g, "'"));
+    }
+
+    /**
+     * Count the n-grams of a sentence
+     * @param {string} sentence - Sentence to learn from
+     * @param {number} weight - How many times to count it
+     */
+    addSentence(sentence, weight = 1) {
+        const tokens = [SENTENCE_START, ...this.tokenize(sentence)];
+
+        for (let i = 1; i < tokens.length; i++) {
+            for (let n = 1; n <= this.order && i - n + 1 >= 0; n++) {
+                const context = tokens.slice(i - n + 1, i).join(' ');
+                this.count(context, tokens[i], weight);
+            }
+        }
+    }
+
+    count(context, word, amount) {
+        if (!this.counts.has(context)) {
+            this.counts.set(context, new Map());
+        }
+        const next = this.counts.get(context);
+        next.set(word, (next.get(word) || 0) + amount);
+        this.totals.set(context, (this.totals.get(context) || 0) + amount);
+    }
+
+    /**
+     * Score candidate next words for a context, backing off to shorter contexts
+     * @param {Array} history - Preceding words, sentence-start marker included
+     * @param {string} partial - Beginning of the word being typed ('' for a new word)
+     * @returns {Map} - word -> score
+     */
+    scoreNext(history, partial = '') {
+        const scores = new Map();
+        let discount = 1;
+
+        for (let n = Math.min(this.order, history.length + 1); n >= 1; n--) {
+            const context = history.slice(history.length - (n - 1)).join(' ');
+            const next = this.counts.get(context);
+
+            if (next) {
+                const total = this.totals.get(context);
+                for (const [word, count] of next) {
+                    if (!word.startsWith(partial) || word === partial) continue;
+                    const score = discount * count / total;
+                    if (score > (scores.get(word) || 0)) {
+                        scores.set(word, score);
+                    }
+                }
+                discount *= this.backoff;
+            }
+        }
+
+        return scores;
+    }
+
+    /**
+     * Predict what comes after the text typed so far. If the text does not end in whitespace
+     * its last word is treated as unfinished and predictions complete it.
+     * @param {string} text - Text of the current sentence
+     * @param {Object} options - Prediction options
+     * @param {number} options.limit - Maximum number of predictions
+     * @param {number} options.words - Words per prediction; later words follow the most likely path
+     * @returns {Array} - [{ text, score, partial }] best first; partial is the unfinished word being replaced
+     */
+    predict(text = '', options = {}) {
+        const { limit = 5, words = 1 } = options;
+        const tokens = this.tokenize(text);
+        const partial = tokens.length > 0 && !/[\s\p{P}]$/u.test(text) ? tokens.pop() : '';
+        const history = [SENTENCE_START, ...tokens];
+
+        return [...this.scoreNext(history, partial)]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, limit)
+            .map(([word, score]) => {
+                const phrase = [word];
+                while (phrase.length < words) {
+                    const [best] = [...this.scoreNext([...history, ...phrase])].sort((a, b) => b[1] - a[1]);
+                    if (!best) break;
+                    phrase.push(best[0]);
+                }
+                return { text: phrase.join(' '), score, partial };
+            });
+    }
+
+    /**
+     * Serializable form of the counts
+     * @returns {Object} - { order, backoff, counts: { context: { word: count } } }
+     */
+    toJSON() {
+        const counts = {};
+        for (const [context, next] of this.counts) {
+            counts[context] = Object.fromEntries(next);
+        }
+        return { order: this.order, backoff: this.backoff, counts };
+    }
+
+    /**
+     * Rebuild a model saved with toJSON
+     * @param {Object} data - Output of toJSON
+     * @returns {NGramModel} - Model
+     */
+    static fromJSON(data) {
+        const model = new NGramModel(data || {});
+        for (const [context, next] of Object.entries((data && data.counts) || {})) {
+            for (const [word, count] of Object.entries(next)) {
+                model.count(context, word, count);
+            }
+        }
+        return model;
+    }
+}
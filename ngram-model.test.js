@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import NGramModel from './ngram-model.js';
+
+function buildModel() {
+    const model = new NGramModel();
+    [
+        'The cat sat on the mat.',
+        'The cat sat on the sofa.',
+        'The dog sat on the mat.',
+        'A dog barked at the cat.'
+    ].forEach(sentence => model.addSentence(sentence));
+    return model;
+}
+
+test('predicts from the longest seen context', () => {
+    const predictions = buildModel().predict('the cat sat on the ');
+    assert.deepEqual(predictions.slice(0, 2).map(prediction => prediction.text), ['mat', 'sofa']);
+    assert.equal(predictions[0].partial, '');
+});
+
+test('backs off to shorter contexts for unseen histories', () => {
+    const model = buildModel();
+    // "purple cat" was never seen, so "cat" alone predicts, then single words at a discount
+    const predictions = model.predict('A purple cat ');
+    assert.equal(predictions[0].text, 'sat');
+    assert.equal(predictions[0].score, 1);
+    assert.ok(predictions[1].score < 0.4);
+    // Nothing typed: sentence starts
+    assert.equal(model.predict('')[0].text, 'the');
+});
+
+test('completes an unfinished last word and extends to several words', () => {
+    const model = buildModel();
+    const [first] = model.predict('the cat s');
+    assert.equal(first.text, 'sat');
+    assert.equal(first.partial, 's');
+
+    assert.equal(model.predict('the dog ', { words: 3 })[0].text, 'sat on the');
+});
+
+test('weights and serialization', () => {
+    const model = new NGramModel();
+    model.addSentence('good morning', 1);
+    model.addSentence('good night', 5);
+
+    const restored = NGramModel.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+    assert.deepEqual(restored.predict('good ', { limit: 2 }).map(prediction => prediction.text), ['night', 'morning']);
+});
@@ -0,0 +1,169 @@
+/**
+ * Operation journal - Incremental persistence for dictionaries
+ *
+ * Instead of re-serializing the whole trie after every change, each change is recorded as an
+ * operation and appended to the dictionary's journal in small batches:
+ *
+ *   { seq, at, op: 'insert', text, weight, tags, payload }
+ *   { seq, at, op: 'select', text }
+ *   { seq, at, op: 'remove', text }
+ *   { seq, at, op: 'decrement', text, n }
+ *   { seq, at, op: 'update', text, to }
+ *
+ * seq numbers every operation of a dictionary in order. A dictionary record stores a full
+ * snapshot of the trie together with journalSeq, the last operation it includes; loading replays
+ * the operations after it. Compaction writes a new snapshot and drops the operations it covers.
+ */
+
+/**
+ * Apply one journal operation to a trie
+ * @param {EnhancedTrie} trie - Trie to change
+ * @param {Object} operation - Journal operation
+ */
+export function applyOperation(trie, operation) {
+    const { op, text } = operation;
+
+    switch (op) {
+        case 'insert':
+            trie.insert(text, { weight: operation.weight, tags: operation.tags, payload: operation.payload });
+            break;
+        case 'select':
+            trie.recordSelection(text);
+            break;
+        case 'remove':
+            trie.remove(text);
+            return;
+        case 'decrement':
+            trie.decrement(text, operation.n ?? 1);
+            return;
+        case 'update':
+            trie.update(text, operation.to);
+            return;
+        default:
+            throw new Error(`Unknown journal operation: ${op}`);
+    }
+
+    // Keep the time of the original operation rather than of the replay
+    const path = operation.at ? trie.findPath(text) : null;
+    if (path) {
+        path[path.length - 1].node.lastUsed = operation.at;
+    }
+}
+
+/**
+ * Replay journal operations on a trie
+ * @param {EnhancedTrie} trie - Trie to change
+ * @param {Array} operations - Operations, oldest first
+ * @returns {EnhancedTrie} - The trie
+ */
+export function replayOperations(trie, operations) {
+    operations.forEach(operation => applyOperation(trie, operation));
+    if (operations.length > 0) {
+        // Replayed timestamps can reorder recency-ranked completions
+        trie.rebuildCaches();
+    }
+    return trie;
+}
+
+export default class OperationJournal {
+    /**
+     * Constructor
+     * @param {Object} options - Journal options
+     * @param {DataManager} options.dataManager - Persists the batches
+     * @param {string} options.dictionaryId - Dictionary the operations belong to
+     * @param {number} options.seq - Last sequence number already used, from DataManager.openDictionary
+     * @param {number} options.compactedSeq - Last operation included in the stored snapshot (journalSeq)
+     * @param {number} options.batchSize - Operations buffered before a batch is written
+     * @param {number} options.flushDelay - Milliseconds a smaller batch waits for more operations
+     * @param {number} options.compactThreshold - Operations since the last snapshot after which onCompact is called
+     * @param {Function} options.onCompact - Writes a full snapshot, see DataManager.compactDictionary;
+     *                                       resolves to the last sequence number the snapshot covers
+     */
+    constructor(options = {}) {
+        this.dataManager = options.dataManager;
+        this.dictionaryId = options.dictionaryId;
+        this.seq = options.seq || 0;
+        this.compactedSeq = options.compactedSeq || 0;
+        this.batchSize = options.batchSize || 200;
+        this.flushDelay = options.flushDelay ?? 1000;
+        this.compactThreshold = options.compactThreshold || 5000;
+        this.onCompact = options.onCompact || null;
+
+        this.buffer = [];
+        this.timer = null;
+        // Batches are written one after another so they land in sequence order
+        this.writing = Promise.resolve();
+        this.compacting = null;
+    }
+
+    /**
+     * Record an operation; it is written with the next batch
+     * @param {Object} operation - { op, text, ... } without seq and at
+     * @returns {number} - The operation's sequence number
+     */
+    record(operation) {
+        this.seq++;
+        this.buffer.push({ ...operation, seq: this.seq, at: Date.now() });
+
+        if (this.buffer.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushDelay);
+        }
+        return this.seq;
+    }
+
+    /**
+     * Write the buffered operations, compacting once enough have piled up
+     * @returns {Promise} - Promise resolving when everything recorded so far is stored
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (this.buffer.length > 0) {
+            const operations = this.buffer;
+            this.buffer = [];
+            this.writing = this.writing
+                .then(() => this.dataManager.appendOperations(this.dictionaryId, operations))
+                .catch(error => {
+                    console.error('Error writing journal:', error);
+                    // Keep the operations for the next attempt
+                    this.buffer = [...operations, ...this.buffer];
+                });
+        }
+
+        return this.writing.then(() => {
+            if (this.seq - this.compactedSeq >= this.compactThreshold && this.onCompact) {
+                return this.compact();
+            }
+        });
+    }
+
+    /**
+     * Write a full snapshot through onCompact
+     * @returns {Promise} - Promise resolving when the snapshot is stored
+     */
+    compact() {
+        if (!this.onCompact) return Promise.resolve();
+        if (!this.compacting) {
+            this.compacting = Promise.resolve(this.onCompact())
+                .then(seq => {
+                    this.compactedSeq = Math.max(this.compactedSeq, seq || 0);
+                })
+                .finally(() => {
+                    this.compacting = null;
+                });
+        }
+        return this.compacting;
+    }
+
+    /**
+     * Stop the flush timer, writing what is buffered
+     * @returns {Promise} - Promise resolving when the buffer is stored
+     */
+    close() {
+        this.onCompact = null;
+        return this.flush();
+    }
+}
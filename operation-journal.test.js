@@ -0,0 +1,206 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import EnhancedTrie from './enhanced-trie.js';
+import DataManager from './data-manager.js';
+import AutocompleteEngine from './autocomplete-engine.js';
+import OperationJournal, { applyOperation, replayOperations } from './operation-journal.js';
+
+const entries = trie => {
+    const found = [];
+    trie.forEachEntry(node => found.push([node.fullSentence, node.frequency]));
+    return found.sort(([a], [b]) => a.localeCompare(b));
+};
+
+const createDictionary = async (dataManager, sentences) => {
+    const trie = new EnhancedTrie();
+    sentences.forEach(sentence => trie.insert(sentence));
+    await dataManager.saveDictionary({
+        id: 'd1',
+        name: 'Test',
+        data: dataManager.serializeTrie(trie),
+        wordCount: sentences.length
+    });
+};
+
+test('replayOperations applies every kind of operation', () => {
+    const trie = replayOperations(new EnhancedTrie(), [
+        { op: 'insert', text: 'alpha', at: 1000 },
+        { op: 'insert', text: 'beta', weight: 3 },
+        { op: 'select', text: 'alpha', at: 2000 },
+        { op: 'insert', text: 'gamma' },
+        { op: 'decrement', text: 'beta', n: 2 },
+        { op: 'remove', text: 'gamma' },
+        { op: 'update', text: 'alpha', to: 'delta' }
+    ]);
+    assert.deepEqual(entries(trie), [['beta', 1], ['delta', 2]]);
+
+    const selected = replayOperations(new EnhancedTrie(), [
+        { op: 'insert', text: 'x', at: 1000 },
+        { op: 'select', text: 'x', at: 1234 }
+    ]);
+    const path = selected.findPath('x');
+    assert.equal(path[path.length - 1].node.lastUsed, 1234);
+
+    assert.throws(() => applyOperation(new EnhancedTrie(), { op: 'rename', text: 'x' }), /Unknown journal operation: rename/);
+});
+
+test('journal writes operations in batches that opening the dictionary replays', async () => {
+    const dataManager = new DataManager({ storage: 'memory', preferenceStorage: 'memory' });
+    await createDictionary(dataManager, ['hello world']);
+
+    const journal = new OperationJournal({ dataManager, dictionaryId: 'd1', batchSize: 2, flushDelay: 60000 });
+    journal.record({ op: 'insert', text: 'help desk' });
+    journal.record({ op: 'select', text: 'hello world' });
+    assert.equal(journal.record({ op: 'insert', text: 'helium' }), 3);
+    await journal.close();
+
+    const batches = await dataManager.loadJournal('d1');
+    assert.deepEqual(batches.map(batch => [batch.firstSeq, batch.lastSeq]), [[1, 2], [3, 3]]);
+
+    const opened = await dataManager.openDictionary('d1');
+    assert.equal(opened.seq, 3);
+    assert.equal(opened.operations.length, 3);
+    assert.deepEqual(entries(opened.trie), [['helium', 1], ['hello world', 2], ['help desk', 1]]);
+
+    // A journal picks up numbering where the stored one ends
+    const reopened = new OperationJournal({ dataManager, dictionaryId: 'd1', seq: opened.seq });
+    assert.equal(reopened.record({ op: 'remove', text: 'helium' }), 4);
+    await reopened.close();
+    assert.equal((await dataManager.openDictionary('d1')).trie.countUniqueEntries(), 2);
+});
+
+test('compaction stores a full save and skips the operations it covers', async () => {
+    const dataManager = new DataManager({ storage: 'memory', preferenceStorage: 'memory' });
+    await createDictionary(dataManager, ['one']);
+
+    let opened = await dataManager.openDictionary('d1');
+    const journal = new OperationJournal({
+        dataManager,
+        dictionaryId: 'd1',
+        batchSize: 1,
+        compactThreshold: 3,
+        onCompact: async () => {
+            const seq = journal.seq;
+            await dataManager.compactDictionary(opened.dictionary, opened.trie, seq, { reason: 'compaction' });
+            return seq;
+        }
+    });
+    const record = operation => {
+        applyOperation(opened.trie, operation);
+        journal.record(operation);
+    };
+
+    record({ op: 'insert', text: 'two' });
+    record({ op: 'insert', text: 'three' });
+    await journal.flush();
+    assert.equal(journal.compactedSeq, 0);
+
+    record({ op: 'insert', text: 'four' });
+    await journal.flush();
+    assert.equal(journal.compactedSeq, 3);
+    assert.deepEqual(await dataManager.loadJournal('d1'), []);
+
+    const stored = await dataManager.loadDictionary('d1');
+    assert.equal(stored.journalSeq, 3);
+    assert.equal(stored.wordCount, 4);
+    const [snapshot] = await dataManager.listSnapshots('d1');
+    assert.deepEqual([snapshot.reason, snapshot.wordCount], ['compaction', 1]);
+
+    // Operations left from before the compaction are not applied twice
+    await dataManager.appendOperations('d1', [{ seq: 2, op: 'insert', text: 'two' }]);
+    record({ op: 'insert', text: 'five' });
+    await journal.close();
+    opened = await dataManager.openDictionary('d1');
+    assert.deepEqual(opened.operations.map(operation => operation.seq), [4]);
+    assert.equal(opened.trie.countUniqueEntries(), 5);
+    assert.deepEqual(entries(opened.trie).find(([text]) => text === 'two'), ['two', 1]);
+});
+
+test('compactions during a large upload keep the version from before it in the history', async () => {
+    const dataManager = new DataManager({ storage: 'memory', preferenceStorage: 'memory', historyLimit: 2 });
+    await createDictionary(dataManager, ['one']);
+    const opened = await dataManager.openDictionary('d1');
+    const journal = new OperationJournal({
+        dataManager,
+        dictionaryId: 'd1',
+        batchSize: 2,
+        compactThreshold: 4,
+        onCompact: async () => {
+            const seq = journal.seq;
+            await dataManager.compactDictionary(opened.dictionary, opened.trie, seq, { snapshot: false });
+            return seq;
+        }
+    });
+
+    // As AppManager.processFiles does: one snapshot at the start, then journaled inserts
+    await dataManager.addSnapshot({
+        ...opened.dictionary,
+        data: dataManager.serializeTrie(opened.trie),
+        wordCount: opened.trie.countUniqueEntries()
+    }, 'file upload');
+    for (let i = 0; i < 20; i++) {
+        const operation = { op: 'insert', text: `sentence ${i}` };
+        applyOperation(opened.trie, operation);
+        journal.record(operation);
+        await journal.flush();
+    }
+    await journal.close();
+
+    assert.ok(journal.compactedSeq >= 16);
+    const snapshots = await dataManager.listSnapshots('d1');
+    assert.deepEqual(snapshots.map(snapshot => [snapshot.reason, snapshot.wordCount]), [['file upload', 1]]);
+
+    await dataManager.restoreSnapshot(snapshots[0].id);
+    assert.deepEqual(entries((await dataManager.openDictionary('d1')).trie), [['one', 1]]);
+});
+
+test('restoring keeps journaled changes in the history and can discard them', async () => {
+    const dataManager = new DataManager({ storage: 'memory', preferenceStorage: 'memory' });
+    await createDictionary(dataManager, ['one']);
+    await createDictionary(dataManager, ['one', 'two']);
+    await dataManager.appendOperations('d1', [{ seq: 1, op: 'insert', text: 'three' }]);
+
+    const diff = await dataManager.compareJournal('d1');
+    assert.deepEqual(diff.added.map(entry => entry.text), ['three']);
+
+    // Discarding goes back to the full save, and the journaled version can be restored
+    await dataManager.discardJournal('d1');
+    let opened = await dataManager.openDictionary('d1');
+    assert.equal(opened.trie.countUniqueEntries(), 2);
+    assert.equal(opened.seq, 1);
+    const [discarded] = await dataManager.listSnapshots('d1');
+    assert.equal(discarded.wordCount, 3);
+
+    await dataManager.appendOperations('d1', [{ seq: 2, op: 'insert', text: 'four' }]);
+    await dataManager.restoreSnapshot(discarded.id);
+    opened = await dataManager.openDictionary('d1');
+    assert.deepEqual(entries(opened.trie).map(([text]) => text), ['one', 'three', 'two']);
+
+    // The version replaced by the restore includes the journaled sentence
+    const [replaced] = await dataManager.listSnapshots('d1');
+    assert.deepEqual([replaced.reason, replaced.wordCount], ['restore', 3]);
+    const restoredDiff = await dataManager.compareSnapshots(replaced.id);
+    assert.deepEqual(restoredDiff.removed.map(entry => entry.text), ['four']);
+
+    await dataManager.deleteDictionary('d1');
+    assert.deepEqual(await dataManager.loadJournal('d1'), []);
+});
+
+test('journal queries only read the dictionary\'s own batches', async () => {
+    const dataManager = new DataManager({ storage: 'memory', preferenceStorage: 'memory' });
+    await dataManager.appendOperations('d1', [{ seq: 1, op: 'insert', text: 'one' }]);
+    await dataManager.appendOperations('d10', [{ seq: 1, op: 'insert', text: 'ten' }]);
+
+    dataManager.storage.getAll = () => assert.fail('every journal batch was read');
+    assert.deepEqual((await dataManager.loadJournal('d1')).map(batch => batch.dictionaryId), ['d1']);
+    await dataManager.deleteJournal('d1');
+    assert.deepEqual(await dataManager.loadJournal('d1'), []);
+    assert.equal((await dataManager.loadJournal('d10')).length, 1);
+});
+
+test('engine learns journaled sentences for prediction', () => {
+    const engine = new AutocompleteEngine();
+    assert.equal(engine.trainNGrams(['the quick fox', { text: 'the quick dog', weight: 2 }, '  ']), 2);
+    assert.equal(engine.predict('the quick ')[0].text, 'dog');
+    assert.equal(engine.trie.countUniqueEntries(), 0);
+});
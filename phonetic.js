@@ -0,0 +1,490 @@
+/**
+ * Phonetic encodings - Soundex and Double Metaphone codes for sound-alike matching
+ */
+
+const SOUNDEX_CODES = {
+    b: '1', f: '1', p: '1', v: '1',
+    c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+    d: '3', t: '3',
+    l: '4',
+    m: '5', n: '5',
+    r: '6'
+};
+
+/**
+ * American Soundex code of a word, e.g. "Robert" -> "R163"
+ * @param {string} word - Word to encode
+ * @returns {string} - Four-character code, or '' if the word has no letters
+ */
+export function soundex(word) {
+    const letters = word.normalize('NFD').toLowerCase().replace(/[^a-z]/g, '');
+    if (!letters) return '';
+
+    let code = letters[0].toUpperCase();
+    let previous = SOUNDEX_CODES[letters[0]] || '';
+
+    for (let i = 1; i < letters.length && code.length < 4; i++) {
+        const letter = letters[i];
+        const digit = SOUNDEX_CODES[letter] || '';
+
+        if (digit && digit !== previous) {
+            code += digit;
+        }
+        // h and w do not separate letters with the same code; vowels do
+        if (letter !== 'h' && letter !== 'w') {
+            previous = digit;
+        }
+    }
+
+    return code.padEnd(4, '0');
+}
+
+const VOWELS = new Set(['A', 'E', 'I', 'O', 'U', 'Y']);
+
+/**
+ * Double Metaphone codes of a word (Lawrence Philips' algorithm)
+ * @param {string} word - Word to encode
+ * @returns {Array} - [primary, alternate]; the two are equal when the word has one likely pronunciation
+ */
+export function doubleMetaphone(word) {
+    const value = word.normalize('NFD').replace(/[̀-ͯ]/g, '').toUpperCase().replace(/[^A-Z]/g, '');
+    if (!value) return ['', ''];
+
+    const length = value.length;
+    const last = length - 1;
+    const padded = value + '     ';
+    const slavoGermanic = /W|K|CZ|WITZ/.test(value);
+    const germanic = /^(VAN|VON|SCH)/.test(value);
+    let primary = '';
+    let secondary = '';
+    let index = 0;
+
+    const at = (position, ...options) => {
+        if (position < 0) return false;
+        return options.some(option => padded.substr(position, option.length) === option);
+    };
+    const isVowel = position => position >= 0 && VOWELS.has(padded[position]);
+    const add = (main, alternate = main) => {
+        primary += main;
+        secondary += alternate;
+    };
+
+    // Silent first letters
+    if (at(0, 'GN', 'KN', 'PN', 'WR', 'PS')) index++;
+    // "X" at the start sounds like "S" (Xavier)
+    if (value[0] === 'X') {
+        add('S');
+        index++;
+    }
+
+    while (index < length) {
+        const char = padded[index];
+
+        if (VOWELS.has(char)) {
+            // Only a leading vowel is encoded
+            if (index === 0) add('A');
+            index++;
+            continue;
+        }
+
+        switch (char) {
+            case 'B':
+                add('P');
+                index += padded[index + 1] === 'B' ? 2 : 1;
+                break;
+
+            case 'C':
+                // Various Germanic: "bacher", "macher"
+                if (index > 1 && !isVowel(index - 2) && at(index - 1, 'ACH') &&
+                    padded[index + 2] !== 'I' && (padded[index + 2] !== 'E' || at(index - 2, 'BACHER', 'MACHER'))) {
+                    add('K');
+                    index += 2;
+                } else if (index === 0 && at(index, 'CAESAR')) {
+                    add('S');
+                    index += 2;
+                } else if (at(index, 'CHIA')) {
+                    add('K');
+                    index += 2;
+                } else if (at(index, 'CH')) {
+                    if (index > 0 && at(index, 'CHAE')) {
+                        add('K', 'X');
+                    } else if (index === 0 && (at(index + 1, 'HARAC', 'HARIS', 'HOR', 'HYM', 'HIA', 'HEM')) && !at(0, 'CHORE')) {
+                        // Greek roots: "chemistry", "chorus"
+                        add('K');
+                    } else if (germanic || at(index - 2, 'ORCHES', 'ARCHIT', 'ORCHID') || at(index + 2, 'T', 'S') ||
+                        ((index === 0 || at(index - 1, 'A', 'O', 'U', 'E')) &&
+                            at(index + 2, 'L', 'R', 'N', 'M', 'B', 'H', 'F', 'V', 'W', ' '))) {
+                        add('K');
+                    } else if (index > 0) {
+                        add(at(0, 'MC') ? 'K' : 'X', 'K');
+                    } else {
+                        add('X');
+                    }
+                    index += 2;
+                } else if (at(index, 'CZ') && !at(index - 2, 'WICZ')) {
+                    // "Czerny"
+                    add('S', 'X');
+                    index += 2;
+                } else if (at(index + 1, 'CIA')) {
+                    // "focaccia"
+                    add('X');
+                    index += 3;
+                } else if (at(index, 'CC') && !(index === 1 && value[0] === 'M')) {
+                    // "bellocchio", but not "bacchus"
+                    if (at(index + 2, 'I', 'E', 'H') && !at(index + 2, 'HU')) {
+                        // "accident", "accede", "succeed"
+                        if ((index === 1 && value[0] === 'A') || at(index - 1, 'UCCEE', 'UCCES')) {
+                            add('KS');
+                        } else {
+                            add('X');
+                        }
+                        index += 3;
+                    } else {
+                        add('K');
+                        index += 2;
+                    }
+                } else if (at(index, 'CK', 'CG', 'CQ')) {
+                    add('K');
+                    index += 2;
+                } else if (at(index, 'CI', 'CE', 'CY')) {
+                    // Italian vs. English
+                    add('S', at(index, 'CIO', 'CIE', 'CIA') ? 'X' : 'S');
+                    index += 2;
+                } else {
+                    add('K');
+                    if (at(index + 1, ' C', ' Q', ' G')) {
+                        index += 3;
+                    } else if (at(index + 1, 'C', 'K', 'Q') && !at(index + 1, 'CE', 'CI')) {
+                        index += 2;
+                    } else {
+                        index++;
+                    }
+                }
+                break;
+
+            case 'D':
+                if (at(index, 'DG')) {
+                    if (at(index + 2, 'I', 'E', 'Y')) {
+                        // "edge"
+                        add('J');
+                        index += 3;
+                    } else {
+                        // "edgar"
+                        add('TK');
+                        index += 2;
+                    }
+                } else if (at(index, 'DT', 'DD')) {
+                    add('T');
+                    index += 2;
+                } else {
+                    add('T');
+                    index++;
+                }
+                break;
+
+            case 'F':
+                add('F');
+                index += padded[index + 1] === 'F' ? 2 : 1;
+                break;
+
+            case 'G':
+                if (padded[index + 1] === 'H') {
+                    if (index > 0 && !isVowel(index - 1)) {
+                        add('K');
+                        index += 2;
+                    } else if (index === 0) {
+                        // "ghislane", "ghiradelli"
+                        add(padded[index + 2] === 'I' ? 'J' : 'K');
+                        index += 2;
+                    } else if ((index > 1 && at(index - 2, 'B', 'H', 'D')) ||
+                        (index > 2 && at(index - 3, 'B', 'H', 'D')) ||
+                        (index > 3 && at(index - 4, 'B', 'H'))) {
+                        // "hugh", "bough", "broughton": silent
+                        index += 2;
+                    } else {
+                        // "laugh", "McLaughlin", "cough", "gough", "rough", "tough"
+                        if (index > 2 && padded[index - 1] === 'U' && at(index - 3, 'C', 'G', 'L', 'R', 'T')) {
+                            add('F');
+                        } else if (index > 0 && padded[index - 1] !== 'I') {
+                            add('K');
+                        }
+                        index += 2;
+                    }
+                } else if (padded[index + 1] === 'N') {
+                    if (index === 1 && isVowel(0) && !slavoGermanic) {
+                        add('KN', 'N');
+                    } else if (!at(index + 2, 'EY') && padded[index + 1] !== 'Y' && !slavoGermanic) {
+                        add('N', 'KN');
+                    } else {
+                        add('KN');
+                    }
+                    index += 2;
+                } else if (at(index + 1, 'LI') && !slavoGermanic) {
+                    // "tagliaro"
+                    add('KL', 'L');
+                    index += 2;
+                } else if (index === 0 && (padded[index + 1] === 'Y' ||
+                    at(index + 1, 'ES', 'EP', 'EB', 'EL', 'EY', 'IB', 'IL', 'IN', 'IE', 'EI', 'ER'))) {
+                    // -ges-, -gep-, -gel-, -gie- at the beginning
+                    add('K', 'J');
+                    index += 2;
+                } else if ((at(index + 1, 'ER') || padded[index + 1] === 'Y') &&
+                    !at(0, 'DANGER', 'RANGER', 'MANGER') && !at(index - 1, 'E', 'I') && !at(index - 1, 'RGY', 'OGY')) {
+                    // -ger-, -gy-
+                    add('K', 'J');
+                    index += 2;
+                } else if (at(index + 1, 'E', 'I', 'Y') || at(index - 1, 'AGGI', 'OGGI')) {
+                    // Italian "biaggi"
+                    if (germanic || at(index + 1, 'ET')) {
+                        add('K');
+                    } else if (at(index + 1, 'IER ')) {
+                        add('J');
+                    } else {
+                        add('J', 'K');
+                    }
+                    index += 2;
+                } else {
+                    add('K');
+                    index += padded[index + 1] === 'G' ? 2 : 1;
+                }
+                break;
+
+            case 'H':
+                // Only kept between vowels or at the start before a vowel
+                if ((index === 0 || isVowel(index - 1)) && isVowel(index + 1)) {
+                    add('H');
+                    index += 2;
+                } else {
+                    index++;
+                }
+                break;
+
+            case 'J':
+                if (at(index, 'JOSE') || at(0, 'SAN ')) {
+                    // Spanish "Jose", "San Jacinto"
+                    if ((index === 0 && padded[index + 4] === ' ') || at(0, 'SAN ')) {
+                        add('H');
+                    } else {
+                        add('J', 'H');
+                    }
+                } else if (index === 0 && !at(index, 'JOSE')) {
+                    // "Yankelovich", "Jankelowicz"
+                    add('J', 'A');
+                } else if (isVowel(index - 1) && !slavoGermanic && (padded[index + 1] === 'A' || padded[index + 1] === 'O')) {
+                    // Spanish pronunciation of "bajador"
+                    add('J', 'H');
+                } else if (index === last) {
+                    add('J', '');
+                } else if (!at(index + 1, 'L', 'T', 'K', 'S', 'N', 'M', 'B', 'Z') && !at(index - 1, 'S', 'K', 'L')) {
+                    add('J');
+                }
+                index += padded[index + 1] === 'J' ? 2 : 1;
+                break;
+
+            case 'K':
+                add('K');
+                index += padded[index + 1] === 'K' ? 2 : 1;
+                break;
+
+            case 'L':
+                if (padded[index + 1] === 'L') {
+                    // Spanish "cabrillo", "gallegos"
+                    if ((index === length - 3 && at(index - 1, 'ILLO', 'ILLA', 'ALLE')) ||
+                        ((at(last - 1, 'AS', 'OS') || at(last, 'A', 'O')) && at(index - 1, 'ALLE'))) {
+                        add('L', '');
+                    } else {
+                        add('L');
+                    }
+                    index += 2;
+                } else {
+                    add('L');
+                    index++;
+                }
+                break;
+
+            case 'M':
+                add('M');
+                // "dumb", "thumb"
+                if ((at(index - 1, 'UMB') && (index + 1 === last || at(index + 2, 'ER'))) || padded[index + 1] === 'M') {
+                    index += 2;
+                } else {
+                    index++;
+                }
+                break;
+
+            case 'N':
+                add('N');
+                index += padded[index + 1] === 'N' ? 2 : 1;
+                break;
+
+            case 'P':
+                if (padded[index + 1] === 'H') {
+                    add('F');
+                    index += 2;
+                } else {
+                    // "campbell", "raspberry"
+                    add('P');
+                    index += at(index + 1, 'P', 'B') ? 2 : 1;
+                }
+                break;
+
+            case 'Q':
+                add('K');
+                index += padded[index + 1] === 'Q' ? 2 : 1;
+                break;
+
+            case 'R':
+                // French "rogier", but not "hochmeier"
+                if (index === last && !slavoGermanic && at(index - 2, 'IE') && !at(index - 4, 'ME', 'MA')) {
+                    add('', 'R');
+                } else {
+                    add('R');
+                }
+                index += padded[index + 1] === 'R' ? 2 : 1;
+                break;
+
+            case 'S':
+                if (at(index - 1, 'ISL', 'YSL')) {
+                    // "island", "isle", "carlisle", "carlysle"
+                    index++;
+                } else if (index === 0 && at(index, 'SUGAR')) {
+                    add('X', 'S');
+                    index++;
+                } else if (at(index, 'SH')) {
+                    // Germanic "holm"
+                    add(at(index + 1, 'HEIM', 'HOEK', 'HOLM', 'HOLZ') ? 'S' : 'X');
+                    index += 2;
+                } else if (at(index, 'SIO', 'SIA', 'SIAN')) {
+                    // Italian and Armenian
+                    add('S', slavoGermanic ? 'S' : 'X');
+                    index += 3;
+                } else if ((index === 0 && at(index + 1, 'M', 'N', 'L', 'W')) || padded[index + 1] === 'Z') {
+                    // German and Anglicisation: "smith" / "schmidt", "snider" / "schneider"
+                    add('S', 'X');
+                    index += padded[index + 1] === 'Z' ? 2 : 1;
+                } else if (at(index, 'SC')) {
+                    if (padded[index + 2] === 'H') {
+                        if (at(index + 3, 'OO', 'ER', 'EN', 'UY', 'ED', 'EM')) {
+                            // Dutch "school", "schooner", "schermerhorn"
+                            add(at(index + 3, 'ER', 'EN') ? 'X' : 'SK', 'SK');
+                        } else if (index === 0 && !isVowel(3) && padded[3] !== 'W') {
+                            add('X', 'S');
+                        } else {
+                            add('X');
+                        }
+                    } else if (at(index + 2, 'I', 'E', 'Y')) {
+                        add('S');
+                    } else {
+                        add('SK');
+                    }
+                    index += 3;
+                } else {
+                    // French "resnais", "artois"
+                    if (index === last && at(index - 2, 'AI', 'OI')) {
+                        add('', 'S');
+                    } else {
+                        add('S');
+                    }
+                    index += at(index + 1, 'S', 'Z') ? 2 : 1;
+                }
+                break;
+
+            case 'T':
+                if (at(index, 'TION', 'TIA', 'TCH')) {
+                    add('X');
+                    index += 3;
+                } else if (at(index, 'TH', 'TTH')) {
+                    // "thomas", "thames"
+                    if (at(index + 2, 'OM', 'AM') || germanic) {
+                        add('T');
+                    } else {
+                        add('0', 'T');
+                    }
+                    index += 2;
+                } else {
+                    add('T');
+                    index += at(index + 1, 'T', 'D') ? 2 : 1;
+                }
+                break;
+
+            case 'V':
+                add('F');
+                index += padded[index + 1] === 'V' ? 2 : 1;
+                break;
+
+            case 'W':
+                if (at(index, 'WR')) {
+                    add('R');
+                    index += 2;
+                    break;
+                }
+                if (index === 0 && (isVowel(index + 1) || at(index, 'WH'))) {
+                    // "Wasserman" should match "Vasserman"
+                    add('A', isVowel(index + 1) ? 'F' : 'A');
+                }
+                if ((index === last && isVowel(index - 1)) || at(index - 1, 'EWSKI', 'EWSKY', 'OWSKI', 'OWSKY') || at(0, 'SCH')) {
+                    // "Arnow" should match "Arnoff"
+                    add('', 'F');
+                } else if (at(index, 'WICZ', 'WITZ')) {
+                    // Polish "filipowicz"
+                    add('TS', 'FX');
+                    index += 4;
+                    break;
+                }
+                index++;
+                break;
+
+            case 'X':
+                // French "breaux"
+                if (!(index === last && (at(index - 3, 'IAU', 'EAU') || at(index - 2, 'AU', 'OU')))) {
+                    add('KS');
+                }
+                index += at(index + 1, 'C', 'X') ? 2 : 1;
+                break;
+
+            case 'Z':
+                if (padded[index + 1] === 'H') {
+                    // Chinese "zhao"
+                    add('J');
+                    index += 2;
+                } else {
+                    if (at(index + 1, 'ZO', 'ZI', 'ZA') || (slavoGermanic && index > 0 && padded[index - 1] !== 'T')) {
+                        add('S', 'TS');
+                    } else {
+                        add('S');
+                    }
+                    index += padded[index + 1] === 'Z' ? 2 : 1;
+                }
+                break;
+
+            default:
+                index++;
+        }
+    }
+
+    return [primary, secondary];
+}
+
+/**
+ * Every phonetic code of a word, tagged by algorithm so codes from different algorithms never collide
+ * @param {string} word - Word to encode
+ * @returns {Array} - Codes such as "S:P532" (Soundex) and "M:FNTK" (Double Metaphone)
+ */
+export function phoneticCodes(word) {
+    const codes = new Set();
+    const soundexCode = soundex(word);
+    if (soundexCode) codes.add(`S:${soundexCode}`);
+    doubleMetaphone(word).forEach(code => {
+        if (code) codes.add(`M:${code}`);
+    });
+    return [...codes];
+}
+
+/**
+ * Split text into the words that get phonetic codes
+ * @param {string} text - Text to split
+ * @returns {Array} - Words
+ */
+export function phoneticWords(text) {
+    return text.normalize('NFD').replace(/[̀-ͯ]/g, '').match(/[\p{L}]+/gu) || [];
+}
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { soundex, doubleMetaphone, phoneticCodes } from './phonetic.js';
+import EnhancedTrie from './enhanced-trie.js';
+import AutocompleteEngine from './autocomplete-engine.js';
+
+test('soundex encodes the standard examples', () => {
+    assert.equal(soundex('Robert'), 'R163');
+    assert.equal(soundex('Rupert'), 'R163');
+    assert.equal(soundex('Ashcraft'), 'A261');
+    assert.equal(soundex('Tymczak'), 'T522');
+    assert.equal(soundex('Pfister'), 'P236');
+    assert.equal(soundex('Lee'), 'L000');
+    assert.equal(soundex('123'), '');
+});
+
+test('double metaphone gives primary and alternate codes', () => {
+    assert.deepEqual(doubleMetaphone('phonetic'), ['FNTK', 'FNTK']);
+    assert.deepEqual(doubleMetaphone('fonetic'), ['FNTK', 'FNTK']);
+    assert.deepEqual(doubleMetaphone('Smith'), ['SM0', 'XMT']);
+    assert.deepEqual(doubleMetaphone('Schmidt'), ['XMT', 'SMT']);
+    assert.deepEqual(doubleMetaphone('knight'), doubleMetaphone('nite'));
+    assert.equal(doubleMetaphone('knowledge')[0], doubleMetaphone('nolij')[0]);
+});
+
+test('phonetic codes are tagged by algorithm', () => {
+    assert.deepEqual(phoneticCodes('Smith'), ['S:S530', 'M:SM0', 'M:XMT']);
+    assert.deepEqual(phoneticCodes('!'), []);
+});
+
+test('phoneticSearch finds sound-alike entries that are too far in spelling', () => {
+    const trie = new EnhancedTrie({ phonetic: true });
+    ['Knowledge is power', 'Night owls stay up late', 'Photographs of the night'].forEach(sentence => trie.insert(sentence));
+
+    const [knowledge] = trie.phoneticSearch('nolij is', 2);
+    assert.equal(knowledge.text, 'Knowledge is power');
+    assert.equal(knowledge.phoneticScore, 1);
+    assert.equal(knowledge.distance, knowledge.editDistance - trie.phoneticWeight);
+    // Spelling alone does not find it
+    assert.deepEqual(trie.fuzzySearch('nolij is', 2), []);
+
+    // The last word can be unfinished
+    assert.equal(trie.phoneticSearch('nite ow')[0].text, 'Night owls stay up late');
+});
+
+test('phoneticSearch blends spelling matches with sound-alike ones', () => {
+    const trie = new EnhancedTrie({ phonetic: true });
+    trie.insert('Photographs of the night');
+    trie.insert('Phonetic algorithms', { weight: 5 });
+
+    const results = trie.phoneticSearch('phot', 1);
+    assert.deepEqual(results.map(result => result.text), ['Photographs of the night', 'Phonetic algorithms']);
+    assert.equal(results[1].phoneticScore, 0);
+    assert.equal(results[1].distance, 1);
+});
+
+test('the phonetic index follows removals and normalizer changes', () => {
+    const trie = new EnhancedTrie();
+    trie.insert('Knowledge is power');
+    assert.deepEqual(trie.phoneticSearch('nolij'), []);
+
+    trie.setPhoneticMatching(true);
+    assert.equal(trie.phoneticSearch('nolij').length, 1);
+
+    trie.setCaseSensitive(true);
+    assert.equal(trie.phoneticSearch('nolij').length, 1);
+
+    trie.remove('Knowledge is power');
+    assert.deepEqual(trie.phoneticSearch('nolij'), []);
+    assert.equal(trie.phoneticIndex.size, 0);
+});
+
+test('the engine answers phonetic queries once configured', () => {
+    const engine = new AutocompleteEngine();
+    engine.insertBatch(['Phonetic algorithms are fun']);
+    assert.deepEqual(engine.query('fonetic', { mode: 'phonetic' }), []);
+
+    engine.configure({ phonetic: true });
+    const [result] = engine.query('fonetic', { mode: 'phonetic' });
+    assert.equal(result.text, 'Phonetic algorithms are fun');
+    assert.equal(result.matchInfo.distance, 0);
+});
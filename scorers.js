@@ -0,0 +1,80 @@
+/**
+ * Scorers - Ranking functions for autocomplete suggestions
+ *
+ * A scorer is an object with:
+ *  - name: identifier used to register and select it
+ *  - score(candidate, context): higher is better. candidate has text, frequency, lastUsed,
+ *    distance (edits from the query, 0 for exact matches); context has query and now
+ *  - rankKey(entry) (optional): time-independent priority of a stored entry. When present the
+ *    trie serves short result lists from cached completions kept in this order, so it must rank
+ *    entries exactly as score() does for exact matches; scorers that cannot guarantee that leave it out
+ *  - blendsDistance (optional): true if score() already weighs edit distance, so fuzzy results
+ *    are ordered by score alone instead of closest-first
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Original ranking: raw frequency, with recency only breaking ties
+ */
+export const frequencyScorer = {
+    name: 'frequency',
+    score: candidate => candidate.frequency,
+    rankKey: entry => entry.frequency
+};
+
+/**
+ * Create a scorer that blends time-decayed popularity with edit distance and length
+ * @param {Object} options - Scorer options
+ * @param {number} options.halfLife - Milliseconds after which a use counts half as much
+ * @param {number} options.popularityWeight - Weight of log2(1 + decayed frequency)
+ * @param {number} options.distanceWeight - Penalty per edit
+ * @param {number} options.lengthWeight - Penalty per log2 of the text length
+ * @returns {Object} - Scorer
+ */
+export function createDecayScorer(options = {}) {
+    const {
+        halfLife = 30 * DAY,
+        popularityWeight = 1,
+        distanceWeight = 2,
+        lengthWeight = 0.25
+    } = options;
+
+    return {
+        name: 'decay',
+        halfLife,
+        blendsDistance: true,
+        score(candidate, context = {}) {
+            const now = context.now || Date.now();
+            const age = Math.max(0, now - (candidate.lastUsed || 0));
+            const decayed = candidate.frequency * Math.pow(2, -age / halfLife);
+            const length = candidate.text ? candidate.text.length : 0;
+
+            return popularityWeight * Math.log2(1 + decayed)
+                - distanceWeight * (candidate.distance || 0)
+                - lengthWeight * Math.log2(1 + length);
+        },
+        // frequency * 2^(-(now - lastUsed) / halfLife) keeps the same order as time passes,
+        // so its log, without the now term, can order cached completions. The length penalty
+        // weighs differently against popularity as entries age, so with it no cache order is right
+        rankKey: lengthWeight === 0
+            ? entry => Math.log2(entry.frequency) + entry.lastUsed / halfLife
+            : undefined
+    };
+}
+
+/**
+ * Turn a plain scoring function into a scorer object
+ * @param {string} name - Scorer name
+ * @param {Function|Object} scorer - Score function or scorer object
+ * @returns {Object} - Scorer
+ */
+export function toScorer(name, scorer) {
+    if (typeof scorer === 'function') {
+        return { name, score: scorer };
+    }
+    if (!scorer || typeof scorer.score !== 'function') {
+        throw new Error(`Scorer "${name}" must be a function or have a score() method`);
+    }
+    return { ...scorer, name };
+}
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import EnhancedTrie from './enhanced-trie.js';
+import FuzzyMatcher from './fuzzy-matcher.js';
+import { runQuery } from './autocomplete-engine.js';
+import { createDecayScorer } from './scorers.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('short lists from the completion cache match a full ranking', () => {
+    const now = Date.now();
+    const trie = new EnhancedTrie({ cacheSize: 5 });
+    trie.registerScorer('recency', createDecayScorer({ lengthWeight: 0 }));
+
+    // An old favourite and a recent, longer entry: with the length penalty the old one wins
+    trie.restoreEntry('a', 8, now - 60 * DAY);
+    trie.restoreEntry('a much longer and more recent entry', 3, now);
+    for (let i = 0; i < 20; i++) {
+        trie.restoreEntry(`a${i} entry`, 1 + (i * 7) % 11, now - ((i * 13) % 90) * DAY);
+    }
+
+    for (const scorer of ['decay', 'recency', 'frequency']) {
+        trie.setScorer(scorer);
+        const full = trie.autocomplete('a', 100);
+        for (const limit of [1, 3, 5]) {
+            assert.deepEqual(trie.autocomplete('a', limit), full.slice(0, limit), `${scorer}, limit ${limit}`);
+        }
+    }
+
+    trie.setScorer('decay');
+    const ranked = trie.autocomplete('a', 100);
+    assert.ok(ranked.indexOf('a') < ranked.indexOf('a much longer and more recent entry'));
+});
+
+test('fuzzy results keep the order of a scorer that blends distance', () => {
+    const trie = new EnhancedTrie({ scorer: 'decay' });
+    trie.insert('helo world', { weight: 100 });
+    trie.insert('hello world');
+
+    const ranked = trie.fuzzySearch('hello world', 1).map(result => result.text);
+    assert.deepEqual(ranked, ['helo world', 'hello world']);
+    assert.deepEqual(runQuery(trie, new FuzzyMatcher(1), 'hello world', { mode: 'fuzzy' }).map(result => result.text), ranked);
+
+    trie.setScorer('frequency');
+    assert.deepEqual(runQuery(trie, new FuzzyMatcher(1), 'hello world', { mode: 'fuzzy' }).map(result => result.text),
+        ['hello world', 'helo world']);
+});
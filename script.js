@@ -1,77 +1,12 @@
 // Import classes properly
-import FuzzyMatcher from './fuzzy-matcher.js';
-import EnhancedTrie from './enhanced-trie.js';
-
-/**
- * Combines EnhancedTrie and FuzzyMatcher for fuzzy autocomplete
- */
-class FuzzyTrieAutocomplete {
-  constructor(maxDistance = 2) {
-    this.fuzzyMatcher = new FuzzyMatcher(maxDistance);
-    this.trie = new EnhancedTrie();
-  }
-
-  insert(sentence) {
-    if (sentence && sentence.trim()) {
-      this.trie.insert(sentence);
-      return true;
-    }
-    return false;
-  }
-
-  autocomplete(query, limit = 10) {
-    if (!query) return [];
-
-    // Generate fuzzy variations of the query
-    const variations = this.fuzzyMatcher.getVariations(query);
-    const allSuggestions = [];
-
-    // Collect suggestions for each variation
-    variations.forEach(variation => {
-      const suggestions = this.trie.autocomplete(variation, limit);
-      
-      // Get frequency information for each suggestion
-      const suggestionsWithFrequency = suggestions.map(suggestion => {
-        const frequency = this.trie.getFrequency(suggestion);
-        return { text: suggestion, frequency, variation };
-      });
-      
-      allSuggestions.push(...suggestionsWithFrequency);
-    });
-
-    // De-duplicate by text
-    const uniqueMap = new Map();
-    allSuggestions.forEach(item => {
-      if (!uniqueMap.has(item.text) || uniqueMap.get(item.text).frequency < item.frequency) {
-        uniqueMap.set(item.text, item);
-      }
-    });
-    
-    const uniqueSuggestions = Array.from(uniqueMap.values());
-
-    // Rank final list by fuzzy similarity
-    const rankedSuggestions = this.fuzzyMatcher.rankMatchesWithInfo(query, uniqueSuggestions);
-
-    // Sort by frequency (descending), then distance (ascending)
-    rankedSuggestions.sort((a, b) => {
-      if (b.frequency !== a.frequency) {
-        return b.frequency - a.frequency; // Higher frequency first
-      }
-      return a.matchInfo?.distance - b.matchInfo?.distance; // Lower distance better
-    });
-    
-    return rankedSuggestions.slice(0, limit);
-    
-  }
-
-  recordSelection(sentence) {
-    this.trie.recordSelection(sentence);
-  }
-}
+import { createAutocomplete } from './autocomplete.js';
+import { ingestFiles } from './file-ingest.js';
+import { appendHighlightedText } from './match-spans.js';
 
 // --- Initialization & DOM Wiring ---
 document.addEventListener('DOMContentLoaded', () => {
-  const fuzzyAutocomplete = new FuzzyTrieAutocomplete(2);
+  // Fuzzy autocomplete backed by the trie engine running in a Web Worker
+  const autocomplete = createAutocomplete({ mode: 'fuzzy', maxDistance: 2, limit: 50 });
   let currentPage = 0;
   const resultsPerPage = 5;
 
@@ -81,6 +16,9 @@ document.addEventListener('DOMContentLoaded', () => {
   const prefixInput = document.getElementById('prefixInput');
   const resultsDiv = document.getElementById('results');
   const uploadStatus = document.getElementById('upload-status');
+  const cancelUploadBtn = document.getElementById('cancelUpload');
+  let uploadController = null;
+  let nextWords = [];
 
   // Initialize with some example data
   const exampleSentences = [
@@ -92,11 +30,11 @@ document.addEventListener('DOMContentLoaded', () => {
   ];
   
   exampleSentences.forEach(sentence => {
-    fuzzyAutocomplete.insert(sentence);
+    autocomplete.add(sentence);
   });
 
   // File upload handling
-  fileInput.addEventListener('change', event => {
+  fileInput.addEventListener('change', async event => {
     const files = Array.from(event.target.files);
     
     if (files.length === 0) {
@@ -104,114 +42,97 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
     
+    // A new selection replaces an upload still in progress
+    if (uploadController) uploadController.abort();
+    const controller = new AbortController();
+    uploadController = controller;
+
+    uploadStatus.classList.remove('d-none');
     uploadStatus.textContent = `Processing ${files.length} file(s)...`;
+    cancelUploadBtn.classList.remove('d-none');
     
     // Clear and update dropdown
     fileDropdown.innerHTML = '<option disabled selected>Uploaded files</option>';
-    
-    let totalSentences = 0;
-    let processedFiles = 0;
-    
     files.forEach(file => {
-      // Show in dropdown
       const opt = document.createElement('option');
       opt.textContent = file.name;
       fileDropdown.appendChild(opt);
-
-      // Read and insert sentences
-      const reader = new FileReader();
-      reader.onload = e => {
-        const content = e.target.result;
-        // Split by sentence endings
-        const sentences = content.split(/[.!?]/)
-          .map(s => s.trim())
-          .filter(s => s.length > 0)
-          .map(s => s + ".");
-        
-        // Insert each sentence
-        let insertedCount = 0;
-        sentences.forEach(s => {
-          if (fuzzyAutocomplete.insert(s)) {
-            insertedCount++;
-          }
-        });
-        
-        totalSentences += insertedCount;
-        processedFiles++;
-        
-        if (processedFiles === files.length) {
-          uploadStatus.textContent = `Processed ${totalSentences} sentences from ${files.length} file(s)`;
-          setTimeout(() => {
-            uploadStatus.textContent = "";
-          }, 3000);
-        }
-      };
-      reader.onerror = () => {
-        uploadStatus.textContent = `Error reading file: ${file.name}`;
-      };
-      reader.readAsText(file);
     });
-  });
 
-  // Highlight text based on fuzzy matching
-  function highlightFuzzyMatch(text, query, matchInfo) {
-    // If matchInfo includes the variation that matched, use it
-    const toMatch = matchInfo && matchInfo.matchedVariation ? matchInfo.matchedVariation : query;
-    
-    // If there's a perfect substring match, highlight it
-    const lowerText = text.toLowerCase();
-    const lowerQuery = toMatch.toLowerCase();
-    const index = lowerText.indexOf(lowerQuery);
-    
-    if (index !== -1) {
-      // Direct substring match
-      return text.substring(0, index) + 
-             '<span class="highlight">' + 
-             text.substring(index, index + toMatch.length) + 
-             '</span>' + 
-             text.substring(index + toMatch.length);
-    } else {
-      // Try to highlight similar parts using character matching
-      const characters = text.split('');
-      let highlightedText = '';
-      let currentHighlight = false;
-      let queryIndex = 0;
-      
-      for (let i = 0; i < characters.length; i++) {
-        const char = characters[i].toLowerCase();
-        if (queryIndex < lowerQuery.length && char === lowerQuery[queryIndex]) {
-          // This character matches the query
-          if (!currentHighlight) {
-            highlightedText += '<span class="highlight">';
-            currentHighlight = true;
-          }
-          highlightedText += characters[i];
-          queryIndex++;
-        } else {
-          // This character doesn't match
-          if (currentHighlight) {
-            highlightedText += '</span>';
-            currentHighlight = false;
-          }
-          highlightedText += characters[i];
+    // Stream sentences into the trie in batches so typing stays responsive
+    try {
+      const results = await ingestFiles(files, (s, options) => autocomplete.add(s, options), {
+        signal: controller.signal,
+        onProgress: ({ file, fileIndex, fileCount, bytesRead, totalBytes, sentences }) => {
+          const percent = totalBytes > 0 ? Math.round(bytesRead / totalBytes * 100) : 100;
+          uploadStatus.textContent = `${file.name} (${fileIndex + 1}/${fileCount}): ${percent}%, ${sentences} sentences`;
         }
-      }
-      
-      // Close any open highlight span
-      if (currentHighlight) {
-        highlightedText += '</span>';
-      }
-      
-      return highlightedText;
+      });
+      const totalSentences = results.reduce((sum, result) => sum + result.sentences, 0);
+      uploadStatus.textContent = `Processed ${totalSentences} sentences from ${files.length} file(s)`;
+    } catch (error) {
+      if (uploadController !== controller) return;
+      uploadStatus.textContent = error.name === 'AbortError'
+        ? 'Upload cancelled'
+        : `Error reading files: ${error.message}`;
     }
+
+    if (uploadController !== controller) return;
+    uploadController = null;
+    cancelUploadBtn.classList.add('d-none');
+    setTimeout(() => {
+      if (uploadController) return;
+      uploadStatus.textContent = "";
+      uploadStatus.classList.add('d-none');
+    }, 3000);
+  });
+
+  cancelUploadBtn.addEventListener('click', () => {
+    if (uploadController) uploadController.abort();
+  });
+
+  // Render next-word predictions as a row of chips
+  function displayNextWords() {
+    if (nextWords.length === 0) return;
+
+    const group = document.createElement('div');
+    group.className = 'next-word-group';
+
+    const label = document.createElement('span');
+    label.className = 'next-word-label';
+    label.textContent = 'Next word:';
+    group.appendChild(label);
+
+    nextWords.forEach(prediction => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'next-word btn btn-sm btn-outline-secondary';
+      chip.textContent = prediction.text;
+      chip.addEventListener('click', () => {
+        // Replace the unfinished word, if any, and leave the cursor ready for the next one
+        const value = prediction.partial
+          ? prefixInput.value.slice(0, prefixInput.value.length - prediction.partial.length)
+          : prefixInput.value.replace(/\S$/, '$& ');
+        prefixInput.value = `${value}${prediction.text} `;
+        prefixInput.focus();
+        prefixInput.dispatchEvent(new Event('input'));
+      });
+      group.appendChild(chip);
+    });
+
+    resultsDiv.appendChild(group);
   }
 
   // Render paginated suggestions
   function displaySuggestions(suggestions, query) {
     resultsDiv.innerHTML = '<h4>Suggestions</h4>';
+    displayNextWords();
     
     if (!suggestions || suggestions.length === 0) {
-      resultsDiv.innerHTML += '<p>No suggestions found.</p>';
+      // Appended rather than added to innerHTML, which would drop the next-word chips' listeners
+      const empty = document.createElement('p');
+      empty.textContent = 'No suggestions found.';
+      resultsDiv.appendChild(empty);
       return;
     }
     
@@ -236,12 +157,8 @@ document.addEventListener('DOMContentLoaded', () => {
       frequencyIndicator.innerHTML = `<span class="frequency-dot" style="opacity: ${Math.min(0.3 + frequency * 0.1, 1)}"></span>`;
       frequencyIndicator.title = `Used ${frequency} time${frequency !== 1 ? 's' : ''}`;
       
-      // Add the highlighted text
-      try {
-        textContainer.innerHTML = highlightFuzzyMatch(text, query, matchInfo);
-      } catch (e) {
-        textContainer.textContent = text; // Fallback if highlighting fails
-      }
+      // Add the text, highlighting the spans the engine matched (edits are marked separately)
+      appendHighlightedText(textContainer, text, suggestion.spans);
       
       // Add match quality indicator if available
       if (matchInfo && matchInfo.distance !== undefined) {
@@ -269,7 +186,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         // Record this selection to improve future suggestions
-        fuzzyAutocomplete.recordSelection(text);
+        autocomplete.recordSelection(text);
         resultsDiv.innerHTML = '<h4>Suggestions</h4>';
       });
       
@@ -318,7 +235,7 @@ document.addEventListener('DOMContentLoaded', () => {
   prefixInput.addEventListener('input', () => {
     clearTimeout(timeoutId);
     
-    timeoutId = setTimeout(() => {
+    timeoutId = setTimeout(async () => {
       const text = prefixInput.value;
       // Get the last partial sentence (after the last period)
       const lastSentence = text.includes('.') ? 
@@ -330,8 +247,26 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
       }
       
+      let suggestions, predictions;
+      try {
+        [suggestions, predictions] = await Promise.all([
+          autocomplete.search(lastSentence),
+          // Untrimmed, so a trailing space marks a finished word
+          autocomplete.predict(text.split(/[.!?]/).pop().trimStart(), { limit: 5 })
+        ]);
+      } catch (error) {
+        resultsDiv.innerHTML = '<h4>Suggestions</h4>';
+        const message = document.createElement('p');
+        message.textContent = `Error fetching suggestions: ${error.message}`;
+        resultsDiv.appendChild(message);
+        return;
+      }
+      // A newer keystroke already asked for fresh suggestions
+      if (!suggestions) return;
+
+      nextWords = predictions;
+
       currentPage = 0;
-      const suggestions = fuzzyAutocomplete.autocomplete(lastSentence, 50);
       displaySuggestions(suggestions, lastSentence);
     }, 300);
   });
@@ -0,0 +1,149 @@
+/**
+ * Sentence splitting shared by every ingest path (browser upload, worker and CLI)
+ *
+ * Sentences end at ., !, ?, … (or runs of them, followed by any closing quotes or brackets)
+ * when whitespace and a word that does not start in lowercase follow. Blank lines and bullet
+ * list items always start a new sentence; single newlines inside a paragraph are just spaces.
+ * Punctuation is kept as written.
+ */
+
+/**
+ * Lowercased abbreviations (without their final period) that do not end a sentence
+ */
+export const ABBREVIATIONS = new Set([
+    'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'rev', 'gen', 'col', 'lt', 'sgt', 'capt', 'gov', 'sen', 'rep',
+    'vs', 'cf', 'al', 'approx', 'ca', 'dept', 'est', 'inc', 'ltd', 'co', 'corp',
+    'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+]);
+
+/**
+ * Abbreviations that only stay inside the sentence when a number follows ("No. 5", but "I said no.")
+ */
+export const NUMBER_ABBREVIATIONS = new Set(['no', 'nos', 'p', 'pp', 'vol', 'fig', 'figs', 'ch', 'sec']);
+
+// Terminators, then closing quotes/brackets, then whitespace or the end of the text
+const TERMINATOR = /[.!?…]+["'”’»)\]]*(?=\s|$)/g;
+// "- ", "* ", "• ", "1. ", "2) ", "a) " at the start of a line
+const BULLET = /^[ \t]*(?:[-*•‣◦▪–]|\d{1,3}[.)]|[a-z]\))[ \t]+/;
+
+/**
+ * Decide whether a terminator ends a sentence
+ * @param {string} text - Full text
+ * @param {number} start - Index of the terminator
+ * @param {number} end - Index just after the terminator and any closing quotes
+ * @returns {boolean} - Whether a sentence ends at end
+ */
+function endsSentence(text, start, end) {
+    // Quoted speech and mid-sentence abbreviations are followed by lowercase: "Stop!" she said.
+    const next = /^\s*(\S?)/.exec(text.slice(end, end + 64))[1];
+    if (next && /\p{Ll}/u.test(next)) return false;
+
+    // Only a single period can belong to an abbreviation; "..." or "?" always ends a sentence
+    if (text[start] !== '.' || text[start + 1] === '.') return true;
+
+    const word = (/(\S+)$/.exec(text.slice(Math.max(0, start - 32), start)) || ['', ''])[1]
+        .replace(/^["'“‘«(\[]+/, '');
+    if (ABBREVIATIONS.has(word.toLowerCase())) return false;
+    if (NUMBER_ABBREVIATIONS.has(word.toLowerCase()) && /\d/.test(next)) return false;
+    // List numbers ("1. First item")
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    if (/^\d{1,3}$/.test(word) && !text.slice(lineStart, start - word.length).trim()) return false;
+    // Initials ("J. Smith") and dotted abbreviations ("e.g.", "U.S.")
+    if (/^\p{Lu}$/u.test(word) || /^(?:\p{L}\.)+\p{L}$/u.test(word)) return false;
+
+    return true;
+}
+
+/**
+ * Find where each sentence starts and ends
+ * @param {string} text - Raw text
+ * @returns {Array} - [{ start, end }] ranges in text, possibly containing only whitespace
+ */
+function findSegments(text) {
+    const segments = [];
+    let start = 0;
+    const cut = (end) => {
+        if (end > start) segments.push({ start, end });
+        start = end;
+    };
+
+    let inBullet = false;
+    let lineStart = 0;
+    while (lineStart < text.length) {
+        const newline = text.indexOf('\n', lineStart);
+        const lineEnd = newline === -1 ? text.length : newline + 1;
+        const line = text.slice(lineStart, lineEnd);
+
+        if (!line.trim()) {
+            cut(lineStart);
+            inBullet = false;
+        } else {
+            const bullet = BULLET.test(line);
+            const indented = /^[ \t]/.test(line);
+            // A list item starts a sentence, and so does an unindented line after the list
+            if (bullet || (inBullet && !indented)) {
+                cut(lineStart);
+            }
+            if (bullet || !indented) {
+                inBullet = bullet;
+            }
+
+            TERMINATOR.lastIndex = 0;
+            let match;
+            while ((match = TERMINATOR.exec(line)) !== null) {
+                const end = lineStart + match.index + match[0].length;
+                if (endsSentence(text, lineStart + match.index, end)) {
+                    cut(end);
+                }
+            }
+        }
+        lineStart = lineEnd;
+    }
+    cut(text.length);
+
+    return segments;
+}
+
+/**
+ * Turn a segment into a sentence: drop the bullet marker and collapse whitespace
+ * @param {string} segment - Raw segment text
+ * @returns {string} - Sentence, or '' if the segment was only whitespace
+ */
+function cleanSegment(segment) {
+    return segment.trimStart().replace(BULLET, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - Raw text
+ * @returns {Array} - Sentences, trimmed, without empty entries; a final sentence without
+ *                    punctuation is kept
+ */
+export function splitTextIntoSentences(text) {
+    if (!text) return [];
+    return findSegments(text)
+        .map(segment => cleanSegment(text.slice(segment.start, segment.end)))
+        .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Split the complete sentences off the front of a chunk of streamed text
+ * @param {string} text - Text read so far that has not been split yet
+ * @returns {Object} - { sentences, remainder } where remainder is the last, possibly unfinished,
+ *                     sentence to prepend to the next chunk
+ */
+export function splitCompleteSentences(text) {
+    // Only a segment with text after it is known to be finished
+    const segments = findSegments(text).filter(segment => text.slice(segment.start, segment.end).trim());
+    if (segments.length === 0) {
+        return { sentences: [], remainder: text };
+    }
+
+    const last = segments.pop();
+    return {
+        sentences: segments
+            .map(segment => cleanSegment(text.slice(segment.start, segment.end)))
+            .filter(sentence => sentence.length > 0),
+        remainder: text.slice(last.start)
+    };
+}
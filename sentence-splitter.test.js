@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitTextIntoSentences, splitCompleteSentences } from './sentence-splitter.js';
+
+test('keeps original punctuation and a final unpunctuated sentence', () => {
+    assert.deepEqual(splitTextIntoSentences('Is it done? Yes! It is. And one more'), [
+        'Is it done?',
+        'Yes!',
+        'It is.',
+        'And one more'
+    ]);
+});
+
+test('does not split abbreviations, initials or decimals', () => {
+    assert.deepEqual(splitTextIntoSentences(
+        'Dr. Smith met J. R. Jones at 3.14 p.m. yesterday. Use tools, e.g. hammers. See No. 5 on p. 12. I said no. Fine.'
+    ), [
+        'Dr. Smith met J. R. Jones at 3.14 p.m. yesterday.',
+        'Use tools, e.g. hammers.',
+        'See No. 5 on p. 12.',
+        'I said no.',
+        'Fine.'
+    ]);
+});
+
+test('handles quoted speech and ellipses', () => {
+    assert.deepEqual(splitTextIntoSentences('"Stop!" she said. He replied, "Why?" Then... nothing. Wait... Really?'), [
+        '"Stop!" she said.',
+        'He replied, "Why?"',
+        'Then... nothing.',
+        'Wait...',
+        'Really?'
+    ]);
+});
+
+test('splits on blank lines and bullet items but joins wrapped lines', () => {
+    const text = [
+        'Shopping list',
+        '',
+        '- Fresh bread',
+        '- Milk that is',
+        '  not expired',
+        '1. First step',
+        '2) Second step',
+        'This paragraph wraps',
+        'onto a second line. Done.'
+    ].join('\n');
+
+    assert.deepEqual(splitTextIntoSentences(text), [
+        'Shopping list',
+        'Fresh bread',
+        'Milk that is not expired',
+        'First step',
+        'Second step',
+        'This paragraph wraps onto a second line.',
+        'Done.'
+    ]);
+});
+
+test('streaming keeps the last sentence back until more text arrives', () => {
+    const first = splitCompleteSentences('One. Dr');
+    assert.deepEqual(first, { sentences: ['One.'], remainder: ' Dr' });
+
+    const second = splitCompleteSentences(first.remainder + '. Who arrived. Two');
+    assert.deepEqual(second.sentences, ['Dr. Who arrived.']);
+    assert.equal(second.remainder, ' Two');
+});
+
+test('streaming chunk by chunk matches splitting the whole text', () => {
+    const text = 'Mr. Brown said "hi." Then he left!\n\n- item one\n- item two\nThe end. 3.5 percent';
+    for (const size of [1, 3, 7]) {
+        const sentences = [];
+        let pending = '';
+        for (let i = 0; i < text.length; i += size) {
+            const result = splitCompleteSentences(pending + text.slice(i, i + size));
+            sentences.push(...result.sentences);
+            pending = result.remainder;
+        }
+        sentences.push(...splitTextIntoSentences(pending));
+        assert.deepEqual(sentences, splitTextIntoSentences(text), `chunk size ${size}`);
+    }
+});
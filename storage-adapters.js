@@ -0,0 +1,239 @@
+/**
+ * Storage adapters - Interchangeable key/value backends for DataManager
+ *
+ * Every adapter implements the same asynchronous interface, grouping records into named stores:
+ *  - get(store, key): resolves to the stored value, or undefined
+ *  - put(store, key, value): stores the value, resolves to it
+ *  - delete(store, key): removes the value, resolves to true
+ *  - getAll(store): resolves to an array of every value in the store
+ *  - getAllWithPrefix(store, prefix): resolves to an array of the values whose key starts with prefix,
+ *    without reading the rest of the store
+ */
+
+/**
+ * IndexedDB backend for browsers and workers
+ */
+export class IndexedDBStorage {
+    /**
+     * Constructor
+     * @param {Object} options - Adapter options
+     * @param {string} options.dbName - Database name
+     * @param {number} options.version - Database version
+     * @param {Object} options.stores - Map of store name to { keyPath, indexes: [{ name, keyPath, unique }] }
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'trieAutocompleteDB';
+        this.version = options.version || 1;
+        this.stores = options.stores || {};
+        // Opened on first use so constructing the adapter never touches IndexedDB
+        this.dbPromise = null;
+    }
+
+    /**
+     * Get a database connection, creating missing object stores on upgrade
+     * @returns {Promise} - Promise resolving to database connection
+     */
+    getDB() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                for (const [name, definition] of Object.entries(this.stores)) {
+                    if (db.objectStoreNames.contains(name)) continue;
+
+                    const store = db.createObjectStore(name, definition.keyPath ? { keyPath: definition.keyPath } : undefined);
+                    (definition.indexes || []).forEach(index => {
+                        store.createIndex(index.name, index.keyPath || index.name, { unique: Boolean(index.unique) });
+                    });
+                }
+            };
+
+            request.onsuccess = (event) => resolve(event.target.result);
+            request.onerror = (event) => {
+                console.error('IndexedDB error:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against an object store
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Called with the store, returns an IDBRequest
+     * @returns {Promise} - Promise resolving to the request result once the transaction completes
+     */
+    async request(storeName, mode, makeRequest) {
+        const db = await this.getDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = (event) => reject(event.target.error);
+            transaction.onabort = (event) => reject(event.target.error);
+        });
+    }
+
+    async get(store, key) {
+        return this.request(store, 'readonly', objectStore => objectStore.get(key));
+    }
+
+    async put(store, key, value) {
+        // Stores with a keyPath take the key from the value itself
+        const inlineKey = this.stores[store] && this.stores[store].keyPath;
+        await this.request(store, 'readwrite', objectStore =>
+            inlineKey ? objectStore.put(value) : objectStore.put(value, key));
+        return value;
+    }
+
+    async delete(store, key) {
+        await this.request(store, 'readwrite', objectStore => objectStore.delete(key));
+        return true;
+    }
+
+    async getAll(store) {
+        return this.request(store, 'readonly', objectStore => objectStore.getAll());
+    }
+
+    async getAllWithPrefix(store, prefix) {
+        // Every string key starting with prefix sorts between prefix and prefix + the highest code unit
+        const range = IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+        return this.request(store, 'readonly', objectStore => objectStore.getAll(range));
+    }
+}
+
+/**
+ * localStorage backend; values are stored as JSON under "<prefix><store>/<key>"
+ */
+export class LocalStorageStorage {
+    /**
+     * Constructor
+     * @param {Object} options - Adapter options
+     * @param {string} options.prefix - Prefix for every item key
+     * @param {Storage} options.storage - Storage object to use instead of window.localStorage
+     */
+    constructor(options = {}) {
+        this.prefix = options.prefix || '';
+        this.storage = options.storage || null;
+    }
+
+    /**
+     * Resolve the underlying Storage lazily so the adapter can be built before it exists
+     * @returns {Storage} - The storage object
+     */
+    getStorage() {
+        return this.storage || localStorage;
+    }
+
+    itemKey(store, key) {
+        return `${this.prefix}${store}/${key}`;
+    }
+
+    async get(store, key) {
+        const item = this.getStorage().getItem(this.itemKey(store, key));
+        return item === null ? undefined : JSON.parse(item);
+    }
+
+    async put(store, key, value) {
+        this.getStorage().setItem(this.itemKey(store, key), JSON.stringify(value));
+        return value;
+    }
+
+    async delete(store, key) {
+        this.getStorage().removeItem(this.itemKey(store, key));
+        return true;
+    }
+
+    async getAll(store) {
+        return this.getAllWithPrefix(store, '');
+    }
+
+    async getAllWithPrefix(store, prefix) {
+        const storage = this.getStorage();
+        const storePrefix = this.itemKey(store, prefix);
+        const values = [];
+
+        for (let i = 0; i < storage.length; i++) {
+            const itemKey = storage.key(i);
+            if (itemKey && itemKey.startsWith(storePrefix)) {
+                values.push(JSON.parse(storage.getItem(itemKey)));
+            }
+        }
+        return values;
+    }
+}
+
+/**
+ * In-memory backend for tests and short-lived sessions
+ */
+export class MemoryStorage {
+    constructor() {
+        this.stores = new Map();
+    }
+
+    getStore(store) {
+        if (!this.stores.has(store)) {
+            this.stores.set(store, new Map());
+        }
+        return this.stores.get(store);
+    }
+
+    // Values are copied in and out so callers cannot mutate what is "persisted"
+    async get(store, key) {
+        const value = this.getStore(store).get(key);
+        return value === undefined ? undefined : structuredClone(value);
+    }
+
+    async put(store, key, value) {
+        this.getStore(store).set(key, structuredClone(value));
+        return value;
+    }
+
+    async delete(store, key) {
+        this.getStore(store).delete(key);
+        return true;
+    }
+
+    async getAll(store) {
+        return [...this.getStore(store).values()].map(value => structuredClone(value));
+    }
+
+    async getAllWithPrefix(store, prefix) {
+        return [...this.getStore(store)]
+            .filter(([key]) => String(key).startsWith(prefix))
+            .map(([, value]) => structuredClone(value));
+    }
+}
+
+/**
+ * Create a storage adapter by name
+ * @param {string} type - 'indexeddb', 'localstorage' or 'memory'; Node code can use FileSystemStorage
+ *                        from filesystem-storage.js
+ * @param {Object} options - Options passed to the adapter's constructor
+ * @returns {Object} - Storage adapter
+ */
+export function createStorage(type, options = {}) {
+    switch (type) {
+        case 'indexeddb':
+            return new IndexedDBStorage(options);
+        case 'localstorage':
+            return new LocalStorageStorage(options);
+        case 'memory':
+            return new MemoryStorage();
+        case 'filesystem':
+            // Kept in its own module so browser bundles never pull in Node's fs
+            throw new Error('Filesystem storage only runs in Node: pass a FileSystemStorage from filesystem-storage.js');
+        default:
+            throw new Error(`Unknown storage type: ${type}`);
+    }
+}
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MemoryStorage, LocalStorageStorage, createStorage } from './storage-adapters.js';
+import { FileSystemStorage } from './filesystem-storage.js';
+import DataManager from './data-manager.js';
+
+/**
+ * Minimal stand-in for window.localStorage
+ */
+class FakeLocalStorage {
+    constructor() { this.items = new Map(); }
+    get length() { return this.items.size; }
+    key(i) { return [...this.items.keys()][i] ?? null; }
+    getItem(key) { return this.items.has(key) ? this.items.get(key) : null; }
+    setItem(key, value) { this.items.set(key, String(value)); }
+    removeItem(key) { this.items.delete(key); }
+}
+
+/**
+ * Exercise the adapter interface shared by every backend
+ */
+async function checkAdapter(storage) {
+    assert.equal(await storage.get('dictionaries', 'missing'), undefined);
+
+    await storage.put('dictionaries', 'a', { id: 'a', name: 'First' });
+    await storage.put('dictionaries', 'b/2', { id: 'b/2', name: 'Second' });
+    await storage.put('other', 'a', { id: 'a', name: 'Elsewhere' });
+
+    assert.deepEqual(await storage.get('dictionaries', 'a'), { id: 'a', name: 'First' });
+    const names = (await storage.getAll('dictionaries')).map(item => item.name).sort();
+    assert.deepEqual(names, ['First', 'Second']);
+
+    await storage.put('dictionaries', 'b/20', { id: 'b/20', name: 'Third' });
+    const prefixed = (await storage.getAllWithPrefix('dictionaries', 'b/2')).map(item => item.name).sort();
+    assert.deepEqual(prefixed, ['Second', 'Third']);
+    assert.deepEqual(await storage.getAllWithPrefix('other', 'b'), []);
+    await storage.delete('dictionaries', 'b/20');
+
+    assert.equal(await storage.delete('dictionaries', 'a'), true);
+    assert.equal(await storage.get('dictionaries', 'a'), undefined);
+    assert.equal((await storage.getAll('dictionaries')).length, 1);
+}
+
+test('memory storage implements the adapter interface', async () => {
+    await checkAdapter(new MemoryStorage());
+});
+
+test('memory storage copies values', async () => {
+    const storage = new MemoryStorage();
+    const value = { id: 'a', tags: ['x'] };
+    await storage.put('store', 'a', value);
+    value.tags.push('y');
+
+    assert.deepEqual((await storage.get('store', 'a')).tags, ['x']);
+});
+
+test('localStorage adapter implements the adapter interface', async () => {
+    await checkAdapter(new LocalStorageStorage({ storage: new FakeLocalStorage(), prefix: 'trie:' }));
+});
+
+test('filesystem storage implements the adapter interface', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'trie-storage-'));
+    try {
+        await checkAdapter(new FileSystemStorage({ directory }));
+    } finally {
+        await rm(directory, { recursive: true, force: true });
+    }
+});
+
+test('createStorage rejects unknown types', () => {
+    assert.ok(createStorage('memory') instanceof MemoryStorage);
+    assert.throws(() => createStorage('floppy'), /Unknown storage type: floppy/);
+    assert.throws(() => createStorage('filesystem'), /only runs in Node/);
+});
+
+test('DataManager saves dictionaries and preferences through its adapters', async () => {
+    const dataManager = new DataManager({ storage: 'memory', preferenceStorage: 'memory' });
+
+    await dataManager.saveDictionary({ id: 'd1', name: 'Test', data: null });
+    assert.equal((await dataManager.loadDictionary('d1')).name, 'Test');
+    assert.equal((await dataManager.getAllDictionaries()).length, 1);
+    await dataManager.deleteDictionary('d1');
+    assert.deepEqual(await dataManager.getAllDictionaries(), []);
+
+    assert.equal((await dataManager.loadPreferences()).maxSuggestions, 5);
+    await dataManager.savePreferences({ ...(await dataManager.loadPreferences()), theme: 'dark' });
+    assert.equal((await dataManager.loadPreferences()).theme, 'dark');
+});
+
+test('DataManager moves preferences saved under the legacy localStorage key', async () => {
+    const storage = new FakeLocalStorage();
+    storage.setItem('userPreferences', JSON.stringify({ theme: 'dark', maxSuggestions: 8 }));
+    const dataManager = new DataManager({ storage: 'memory', preferenceStorage: new LocalStorageStorage({ storage }) });
+
+    const preferences = await dataManager.loadPreferences();
+    assert.equal(preferences.theme, 'dark');
+    assert.equal(preferences.maxSuggestions, 8);
+    assert.equal(storage.getItem('userPreferences'), null);
+    assert.equal(JSON.parse(storage.getItem('preferences/userPreferences')).theme, 'dark');
+});
@@ -0,0 +1,181 @@
+/**
+ * TextNormalizer - Configurable chain of text normalization steps
+ * Shared by the trie and fuzzy matcher so inserts, lookups and matching agree on keys
+ */
+
+/**
+ * Built-in option sets
+ */
+export const NORMALIZATION_PRESETS = {
+    // What processSentence did originally: lowercase only. Used for data saved before normalization was configurable
+    legacy: {
+        unicodeForm: null,
+        foldAccents: false,
+        normalizeQuotes: false,
+        normalizeDashes: false,
+        stripPunctuation: 'none',
+        collapseWhitespace: false,
+        caseSensitive: false
+    },
+    standard: {
+        unicodeForm: 'NFKC',
+        foldAccents: true,
+        normalizeQuotes: true,
+        // Off so dictionaries saved before the option existed keep their keys
+        normalizeDashes: false,
+        stripPunctuation: 'trailing',
+        collapseWhitespace: true,
+        caseSensitive: false
+    }
+};
+
+const QUOTE_MAP = {
+    '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'", '`': "'",
+    '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"', '«': '"', '»': '"'
+};
+
+// Hyphens, dashes and the minus sign
+const DASHES = /^[\u2010-\u2015\u2212\uFE58\uFE63\uFF0D]$/u;
+
+/**
+ * Normalization steps, applied in this order. Each takes and returns a list of
+ * { char, index } units so the position of every output character in the original
+ * text stays known.
+ */
+const STEPS = [
+    {
+        name: 'unicode',
+        enabled: options => Boolean(options.unicodeForm),
+        apply: (units, options) => units.map(unit => ({ ...unit, char: unit.char.normalize(options.unicodeForm) }))
+    },
+    {
+        name: 'foldAccents',
+        enabled: options => options.foldAccents,
+        apply: units => units
+            .map(unit => ({ ...unit, char: unit.char.normalize('NFD').replace(/[\u0300-\u036f]/g, '') }))
+            .filter(unit => unit.char.length > 0)
+    },
+    {
+        name: 'normalizeQuotes',
+        enabled: options => options.normalizeQuotes,
+        apply: units => units.map(unit => ({ ...unit, char: QUOTE_MAP[unit.char] || unit.char }))
+    },
+    {
+        name: 'normalizeDashes',
+        enabled: options => options.normalizeDashes,
+        apply: units => units.map(unit => (DASHES.test(unit.char) ? { ...unit, char: '-' } : unit))
+    },
+    {
+        name: 'stripPunctuation',
+        enabled: options => options.stripPunctuation === 'trailing' || options.stripPunctuation === 'all',
+        apply: (units, options) => {
+            if (options.stripPunctuation === 'all') {
+                return units.filter(unit => !/^\p{P}+$/u.test(unit.char));
+            }
+            let end = units.length;
+            while (end > 0 && /^[\p{P}\s]+$/u.test(units[end - 1].char)) end--;
+            return units.slice(0, end);
+        }
+    },
+    {
+        name: 'collapseWhitespace',
+        enabled: options => options.collapseWhitespace,
+        apply: units => {
+            const result = [];
+            for (const unit of units) {
+                if (/^\s+$/.test(unit.char)) {
+                    if (result.length > 0 && result[result.length - 1].char !== ' ') {
+                        result.push({ ...unit, char: ' ' });
+                    }
+                } else {
+                    result.push(unit);
+                }
+            }
+            if (result.length > 0 && result[result.length - 1].char === ' ') result.pop();
+            return result;
+        }
+    },
+    {
+        name: 'lowercase',
+        enabled: options => !options.caseSensitive,
+        apply: units => units.map(unit => ({ ...unit, char: unit.char.toLowerCase() }))
+    }
+];
+
+export default class TextNormalizer {
+    /**
+     * Constructor
+     * @param {Object} options - Normalization options, merged over the standard preset
+     * @param {string|null} options.unicodeForm - Unicode normalization form (e.g. 'NFKC'), or null to skip
+     * @param {boolean} options.foldAccents - Strip diacritics ("café" -> "cafe")
+     * @param {boolean} options.normalizeQuotes - Turn curly quotes and primes into straight quotes
+     * @param {boolean} options.normalizeDashes - Turn dashes and the minus sign into '-'
+     * @param {string} options.stripPunctuation - 'none', 'trailing' or 'all'
+     * @param {boolean} options.collapseWhitespace - Collapse whitespace runs and trim the ends
+     * @param {boolean} options.caseSensitive - Preserve case instead of lowercasing
+     * @param {Array} options.customSteps - Extra functions applied to the normalized string, in order
+     */
+    constructor(options = {}) {
+        const { customSteps = [], ...settings } = options;
+        this.options = { ...NORMALIZATION_PRESETS.standard, ...settings };
+        this.customSteps = customSteps;
+    }
+
+    /**
+     * Normalize text
+     * @param {string} text - Text to normalize
+     * @returns {string} - Normalized text
+     */
+    normalize(text) {
+        return this.normalizeWithOffsets(text).text;
+    }
+
+    /**
+     * Normalize text and report where each output character came from
+     * @param {string} text - Text to normalize
+     * @returns {Object} - { text, offsets } where offsets[i] is the index in the original text
+     *                     of normalized character i, with the original length appended at the end
+     */
+    normalizeWithOffsets(text) {
+        if (!text) return { text: '', offsets: [0] };
+
+        let units = [];
+        let index = 0;
+        for (const char of text) {
+            units.push({ char, index });
+            index += char.length;
+        }
+
+        for (const step of STEPS) {
+            if (step.enabled(this.options)) {
+                units = step.apply(units, this.options);
+            }
+        }
+
+        let normalized = '';
+        const offsets = [];
+        for (const unit of units) {
+            normalized += unit.char;
+            for (let i = 0; i < unit.char.length; i++) offsets.push(unit.index);
+        }
+        offsets.push(text.length);
+
+        // Custom steps work on plain strings, so offsets are only kept when they preserve length
+        for (const step of this.customSteps) {
+            normalized = step(normalized);
+        }
+        if (normalized.length !== offsets.length - 1) {
+            return { text: normalized, offsets: Array.from({ length: normalized.length + 1 }, (_, i) => Math.min(i, text.length)) };
+        }
+
+        return { text: normalized, offsets };
+    }
+
+    /**
+     * Serializable form of the configuration (custom steps are not included)
+     * @returns {Object} - Normalization options
+     */
+    toJSON() {
+        return { ...this.options };
+    }
+}
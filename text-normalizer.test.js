@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TextNormalizer, { NORMALIZATION_PRESETS } from './text-normalizer.js';
+
+test('the standard preset folds accents, quotes, case and trailing punctuation', () => {
+    const normalizer = new TextNormalizer();
+
+    assert.equal(normalizer.normalize('Café Crème Brûlée'), 'cafe creme brulee');
+    assert.equal(normalizer.normalize('“Don’t” ‘panic’ now'), '"don\'t" \'panic\' now');
+    assert.equal(normalizer.normalize('Hello, world?! '), 'hello, world');
+    // Full-width forms and ligatures fold under NFKC
+    assert.equal(normalizer.normalize('Ｆｕｌｌ ﬁle'), 'full file');
+    assert.equal(normalizer.normalize('!!!'), '');
+});
+
+test('dashes fold to a hyphen when asked to', () => {
+    const text = 'well‐known — 2–3 −1';
+    assert.equal(new TextNormalizer({ normalizeDashes: true }).normalize(text), 'well-known - 2-3 -1');
+    assert.equal(new TextNormalizer().normalize(text), text);
+});
+
+test('whitespace runs collapse to one space and the ends are trimmed', () => {
+    const normalizer = new TextNormalizer();
+    assert.equal(normalizer.normalize('  hello \t\n  world  '), 'hello world');
+
+    const kept = new TextNormalizer({ collapseWhitespace: false, stripPunctuation: 'none' });
+    assert.equal(kept.normalize(' a  b '), ' a  b ');
+});
+
+test('caseSensitive keeps case, and legacy only lowercases', () => {
+    assert.equal(new TextNormalizer({ caseSensitive: true }).normalize('Hello World.'), 'Hello World');
+    assert.equal(new TextNormalizer(NORMALIZATION_PRESETS.legacy).normalize('Café “Hi”!'), 'café “hi”!');
+});
+
+test('all punctuation can be stripped, and custom steps run last', () => {
+    const normalizer = new TextNormalizer({
+        stripPunctuation: 'all',
+        customSteps: [text => text.replace(/colour/g, 'color')]
+    });
+    assert.equal(normalizer.normalize('Colour-blind, (mostly).'), 'colorblind mostly');
+});
+
+test('offsets point at the original character of each normalized one', () => {
+    const { text, offsets } = new TextNormalizer().normalizeWithOffsets('  Héllo,  Wörld!');
+
+    assert.equal(text, 'hello, world');
+    assert.equal(offsets.length, text.length + 1);
+    assert.equal(offsets[0], 2);
+    assert.equal(offsets[text.indexOf('w')], 10);
+    assert.equal(offsets[offsets.length - 1], '  Héllo,  Wörld!'.length);
+});
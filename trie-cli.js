@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * trie - Command-line tool for building and querying autocomplete dictionaries
+ *
+ * Usage:
+ *   trie build <dictionary.json> <file...> [--compressed] [--name NAME] [--format FORMAT]
+ *   trie add <dictionary.json> <file...> [--format FORMAT]
+ *   trie query <dictionary.json> <prefix> [--fuzzy N] [--keyboard qwerty|azerty] [--limit K]
+ *   trie stats <dictionary.json>
+ *   trie repl <dictionary.json>
+ *
+ * Dictionary files use the same versioned record shape DataManager stores and exports
+ * (see dictionary-format.js), so they can be imported into the browser app. Input files may be plain text, CSV/TSV,
+ * JSON Lines, Markdown or HTML; the format is detected unless --format is given.
+ *
+ * The commands are exported so they can be used and tested without a process of their own.
+ */
+import { realpathSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { createInterface } from 'node:readline';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import EnhancedTrie from './enhanced-trie.js';
+import FuzzyMatcher from './fuzzy-matcher.js';
+import DataManager from './data-manager.js';
+import { detectFormat, parseEntries } from './importers.js';
+import { FORMAT_VERSION, parseDictionary } from './dictionary-format.js';
+
+const USAGE = `Usage:
+  trie build <dictionary.json> <file...> [--compressed] [--name NAME] [--format FORMAT]
+  trie add <dictionary.json> <file...> [--format FORMAT]
+  trie query <dictionary.json> <prefix> [--fuzzy N] [--keyboard qwerty|azerty] [--limit K]
+  trie stats <dictionary.json>
+  trie repl <dictionary.json>`;
+
+const dataManager = new DataManager();
+
+/**
+ * Load a dictionary file, migrating files written in an older format
+ * @param {string} path - Path to the dictionary JSON
+ * @returns {Promise} - Promise resolving to { dictionary, trie }
+ */
+export async function loadDictionary(path) {
+    let dictionary;
+    try {
+        dictionary = parseDictionary(await readFile(path, 'utf8'));
+    } catch (error) {
+        throw new Error(`${path}: ${error.message}`);
+    }
+    return { dictionary, trie: dataManager.deserializeTrie(dictionary.data) };
+}
+
+/**
+ * Write a dictionary file
+ * @param {string} path - Path to the dictionary JSON
+ * @param {Object} dictionary - Dictionary record
+ * @param {EnhancedTrie} trie - Trie to store in it
+ * @returns {Promise} - Promise resolving when written
+ */
+export async function saveDictionary(path, dictionary, trie) {
+    dictionary.data = dataManager.serializeTrie(trie);
+    dictionary.wordCount = trie.countUniqueEntries();
+    dictionary.lastModified = Date.now();
+    dictionary.formatVersion = FORMAT_VERSION;
+    await writeFile(path, JSON.stringify(dictionary));
+}
+
+/**
+ * Insert the entries of input files into a trie
+ * @param {EnhancedTrie} trie - Target trie
+ * @param {Array} files - Paths of input files
+ * @param {string} format - Import format, or undefined to detect it per file
+ * @returns {Promise} - Promise resolving to the number of entries inserted
+ */
+export async function ingestFiles(trie, files, format) {
+    let inserted = 0;
+    for (const file of files) {
+        const text = await readFile(file, 'utf8');
+        const fileFormat = format || detectFormat(file, text.slice(0, 4096));
+        const records = parseEntries(text, fileFormat);
+        records.forEach(({ text, ...entryOptions }) => trie.insert(text, entryOptions));
+        console.log(`${file}: ${records.length} entries (${fileFormat})`);
+        inserted += records.length;
+    }
+    return inserted;
+}
+
+/**
+ * Run a query and format the results as lines
+ * @param {EnhancedTrie} trie - Trie to search
+ * @param {string} prefix - Text typed so far
+ * @param {Object} options - { fuzzy, limit, keyboard }; keyboard names a layout for weighted edit costs
+ * @returns {Array} - Output lines
+ */
+export function runQuery(trie, prefix, { fuzzy = 0, limit = 10, keyboard = null }) {
+    if (fuzzy > 0) {
+        const editCosts = keyboard ? { layout: keyboard } : null;
+        const matcher = new FuzzyMatcher(fuzzy, trie.normalizer, editCosts);
+        trie.setEditCosts(editCosts);
+        return matcher.rankMatchesWithInfo(prefix, trie.fuzzySearch(prefix, matcher.maxDistance, limit))
+            .map(result => `${result.text}\t(frequency ${result.frequency}, distance ${+result.matchInfo.distance.toFixed(2)})`);
+    }
+
+    return trie.autocomplete(prefix, limit)
+        .map(text => `${text}\t(frequency ${trie.getFrequency(text)})`);
+}
+
+/**
+ * Format trie statistics as lines
+ * @param {EnhancedTrie} trie - Trie to describe
+ * @returns {Array} - Output lines
+ */
+export function formatStats(trie) {
+    const stats = trie.getStats();
+    return [
+        `Total insertions: ${stats.totalInsertions}`,
+        `Unique entries:   ${stats.uniqueEntries}`,
+        `Nodes:            ${trie.countTotalNodes()}${trie.compressed ? ' (compressed)' : ''}`,
+        `Memory estimate:  ${Math.round(stats.memoryEstimate / 1024)} KB`
+    ];
+}
+
+/**
+ * Interactive prompt: plain lines are queries, lines starting with ':' are commands
+ * @param {string} path - Dictionary file, used by :save
+ * @param {Object} dictionary - Dictionary record
+ * @param {EnhancedTrie} trie - Loaded trie
+ * @returns {Promise} - Promise resolving when the session ends
+ */
+function repl(path, dictionary, trie) {
+    const settings = { fuzzy: 0, limit: 10, keyboard: null };
+    const rl = createInterface({ input: process.stdin, output: process.stdout, prompt: 'trie> ' });
+
+    console.log('Type a prefix to query. Commands: :fuzzy N, :keyboard LAYOUT|off, :limit K, :add TEXT, :select TEXT, :stats, :save, :quit');
+    rl.prompt();
+
+    return new Promise(resolve => {
+        rl.on('line', async (line) => {
+            const input = line.trim();
+            const [command, ...rest] = input.split(' ');
+            const argument = rest.join(' ').trim();
+
+            try {
+                switch (input.startsWith(':') ? command : null) {
+                    case null:
+                        if (input) {
+                            const lines = runQuery(trie, input, settings);
+                            console.log(lines.length > 0 ? lines.join('\n') : 'No suggestions found');
+                        }
+                        break;
+                    case ':fuzzy':
+                        settings.fuzzy = parseInt(argument) || 0;
+                        break;
+                    case ':keyboard':
+                        settings.keyboard = argument && argument !== 'off' ? argument : null;
+                        break;
+                    case ':limit':
+                        settings.limit = parseInt(argument) || 10;
+                        break;
+                    case ':add':
+                        trie.insert(argument);
+                        break;
+                    case ':select':
+                        trie.recordSelection(argument);
+                        break;
+                    case ':stats':
+                        console.log(formatStats(trie).join('\n'));
+                        break;
+                    case ':save':
+                        await saveDictionary(path, dictionary, trie);
+                        console.log(`Saved ${path}`);
+                        break;
+                    case ':quit':
+                    case ':exit':
+                        rl.close();
+                        return;
+                    default:
+                        console.log(`Unknown command: ${command}`);
+                }
+            } catch (error) {
+                console.error(`Error: ${error.message}`);
+            }
+            rl.prompt();
+        });
+        rl.on('close', resolve);
+    });
+}
+
+/**
+ * Run a command
+ * @param {Array} argv - Command-line arguments after the script path
+ * @returns {Promise} - Promise resolving to the exit code
+ */
+export async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        options: {
+            fuzzy: { type: 'string' },
+            keyboard: { type: 'string' },
+            limit: { type: 'string' },
+            compressed: { type: 'boolean' },
+            name: { type: 'string' },
+            format: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        },
+        allowPositionals: true
+    });
+
+    const [command, path, ...rest] = positionals;
+    if (values.help || !command || !path) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    switch (command) {
+        case 'build': {
+            const trie = new EnhancedTrie({ compressed: values.compressed });
+            const dictionary = { id: Date.now().toString(), name: values.name || basename(path, '.json') };
+            const count = await ingestFiles(trie, rest, values.format);
+            await saveDictionary(path, dictionary, trie);
+            console.log(`Wrote ${path}: ${count} entries, ${trie.countUniqueEntries()} unique`);
+            return 0;
+        }
+        case 'add': {
+            const { dictionary, trie } = await loadDictionary(path);
+            const count = await ingestFiles(trie, rest, values.format);
+            await saveDictionary(path, dictionary, trie);
+            console.log(`Updated ${path}: ${count} entries added`);
+            return 0;
+        }
+        case 'query': {
+            const { trie } = await loadDictionary(path);
+            const lines = runQuery(trie, rest.join(' '), {
+                fuzzy: parseInt(values.fuzzy) || 0,
+                limit: parseInt(values.limit) || 10,
+                keyboard: values.keyboard
+            });
+            console.log(lines.length > 0 ? lines.join('\n') : 'No suggestions found');
+            return 0;
+        }
+        case 'stats': {
+            const { dictionary, trie } = await loadDictionary(path);
+            console.log([`Dictionary:       ${dictionary.name}`, ...formatStats(trie)].join('\n'));
+            return 0;
+        }
+        case 'repl': {
+            const { dictionary, trie } = await loadDictionary(path);
+            await repl(path, dictionary, trie);
+            return 0;
+        }
+        default:
+            console.error(`Unknown command: ${command}\n${USAGE}`);
+            return 1;
+    }
+}
+
+// Only run when started as a script (the npm bin link is a symlink to this file), not when imported
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(error => {
+            console.error(`Error: ${error.message}`);
+            process.exitCode = 1;
+        });
+}
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import EnhancedTrie from './enhanced-trie.js';
+import { parseDictionary } from './dictionary-format.js';
+import { main, loadDictionary, ingestFiles, runQuery, formatStats } from './trie-cli.js';
+
+const withDirectory = async (callback) => {
+    const directory = await mkdtemp(join(tmpdir(), 'trie-cli-'));
+    try {
+        await callback(directory);
+    } finally {
+        await rm(directory, { recursive: true, force: true });
+    }
+};
+
+test('build, add and query round-trip through a dictionary file', async (t) => {
+    const output = t.mock.method(console, 'log', () => {});
+
+    await withDirectory(async (directory) => {
+        const dictionaryPath = join(directory, 'words.json');
+        await writeFile(join(directory, 'notes.txt'), 'Hello world. Help is on the way.');
+        await writeFile(join(directory, 'more.md'), '# Helping hands\n\n- Hello again\n');
+
+        assert.equal(await main(['build', dictionaryPath, join(directory, 'notes.txt'), '--compressed', '--name', 'Words']), 0);
+        assert.equal(await main(['add', dictionaryPath, join(directory, 'more.md')]), 0);
+
+        // The file is a current dictionary record, as the app imports it
+        const record = parseDictionary(await readFile(dictionaryPath, 'utf8'));
+        assert.equal(record.name, 'Words');
+        assert.equal(record.wordCount, 4);
+        assert.equal(record.data.compressed, true);
+
+        output.mock.resetCalls();
+        assert.equal(await main(['query', dictionaryPath, 'hel', '--limit', '2']), 0);
+        assert.equal(output.mock.calls[0].arguments[0].split('\n').length, 2);
+
+        const { trie } = await loadDictionary(dictionaryPath);
+        assert.deepEqual(runQuery(trie, 'hello', {}).sort(), [
+            'Hello again\t(frequency 1)',
+            'Hello world.\t(frequency 1)'
+        ]);
+        const fuzzyTexts = options => runQuery(trie, 'hwlp', options).map(line => line.split('\t')[0]).sort();
+        assert.deepEqual(fuzzyTexts({ fuzzy: 1 }), ['Help is on the way.', 'Helping hands']);
+        // w and p are next to e and l on the keyboard, so "hell" is within one edit too
+        assert.deepEqual(fuzzyTexts({ fuzzy: 1, keyboard: 'qwerty' }),
+            ['Hello again', 'Hello world.', 'Help is on the way.', 'Helping hands']);
+        assert.equal(formatStats(trie)[1], 'Unique entries:   4');
+    });
+});
+
+test('input formats are detected per file unless one is given', async (t) => {
+    const output = t.mock.method(console, 'log', () => {});
+
+    await withDirectory(async (directory) => {
+        // No known extension, so the content decides
+        const phrases = join(directory, 'phrases.dat');
+        await writeFile(phrases, 'phrase,weight\nGood morning,3\nGood night,1\n');
+        const page = join(directory, 'page.htm');
+        await writeFile(page, '<h1>Good evening</h1>');
+
+        const trie = new EnhancedTrie();
+        assert.equal(await ingestFiles(trie, [phrases, page]), 3);
+        assert.deepEqual(output.mock.calls.map(call => call.arguments[0]), [
+            `${phrases}: 2 entries (csv)`,
+            `${page}: 1 entries (html)`
+        ]);
+        assert.equal(trie.getFrequency('Good morning'), 3);
+
+        const plain = new EnhancedTrie();
+        await ingestFiles(plain, [phrases], 'text');
+        assert.equal(plain.getFrequency('Good morning'), 0);
+    });
+});
+
+test('missing arguments print the usage and fail', async (t) => {
+    const output = t.mock.method(console, 'log', () => {});
+    assert.equal(await main(['query']), 1);
+    assert.match(output.mock.calls[0].arguments[0], /^Usage:/);
+    assert.equal(await main(['--help']), 0);
+});
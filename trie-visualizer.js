@@ -15,6 +15,7 @@ class TrieVisualizer {
             horizontalSpacing: 40,
             maxDepth: 8,
             maxWidth: 1000,
+            maxLabelLength: 6,
             colors: {
                 node: '#ff6347',
                 endNode: '#ff4500',
@@ -222,21 +223,29 @@ class TrieVisualizer {
      */
     calculateLayout(root, highlight = '') {
         const layout = [];
-        const highlightChars = highlight.toLowerCase().split('');
+        const highlightText = highlight.toLowerCase();
         
         // Process nodes level by level (breadth-first)
-        const processLevel = (node, x, y, level, path = '', parentLayout = null, isHighlighted = false) => {
+        const processLevel = (node, x, y, level, path = '', parentLayout = null, edge = '') => {
             if (level > this.options.maxDepth) return;
             
+            // Edges may hold several characters in a compressed trie; highlight every
+            // node whose edge overlaps the highlighted prefix
+            const parentPath = path.slice(0, path.length - edge.length);
+            const isHighlighted = highlightText.length > 0 &&
+                (level === 0 || (parentPath.length < highlightText.length &&
+                 (highlightText.startsWith(path) || path.startsWith(highlightText))));
+            
             // Create layout info for this node
             const nodeLayout = {
                 x,
                 y,
-                char: path.slice(-1) || 'root',
+                char: level === 0 ? 'root' : this.formatEdgeLabel(edge),
+                edge,
                 isEnd: node.isEndOfWord,
+                frequency: node.frequency,
                 parent: parentLayout,
-                isHighlighted: isHighlighted && (level <= highlightChars.length) && 
-                               (level === 0 || path[level-1] === highlightChars[level-1])
+                isHighlighted
             };
             
             layout.push(nodeLayout);
@@ -252,25 +261,19 @@ class TrieVisualizer {
                 const startX = Math.max(0, x - totalWidth / 2);
                 const spacing = totalWidth / children.length;
                 
-                children.forEach((char, index) => {
+                children.forEach((edgeLabel, index) => {
                     const childX = startX + index * spacing + spacing / 2;
                     const childY = y + this.options.levelHeight;
-                    const childPath = path + char;
-                    
-                    // Check if this path is part of the highlight
-                    let childHighlighted = isHighlighted;
-                    if (level < highlightChars.length && char === highlightChars[level]) {
-                        childHighlighted = true;
-                    }
+                    const childPath = path + edgeLabel;
                     
                     processLevel(
-                        node.children[char], 
+                        node.children[edgeLabel], 
                         childX, 
                         childY, 
                         level + 1, 
                         childPath, 
                         nodeLayout,
-                        childHighlighted
+                        edgeLabel
                     );
                 });
             }
@@ -280,11 +283,23 @@ class TrieVisualizer {
         const startX = this.options.maxWidth / 2;
         const startY = this.options.nodeRadius + 10;
         
-        processLevel(root, startX, startY, 0, '', null, highlight.length > 0);
+        processLevel(root, startX, startY, 0);
         
         return layout;
     }
     
+    /**
+     * Shorten an edge label so it fits inside a node
+     * @param {string} edge - Edge label (one character, or several in a compressed trie)
+     * @returns {string} - Display label
+     */
+    formatEdgeLabel(edge) {
+        if (edge.length <= this.options.maxLabelLength) {
+            return edge;
+        }
+        return edge.slice(0, this.options.maxLabelLength - 1) + '…';
+    }
+    
     /**
      * Draw a node on the visualization
      * @param {Object} node - Layout info for the node
@@ -313,6 +328,13 @@ class TrieVisualizer {
         text.setAttribute("font-size", "12px");
         text.textContent = node.char;
         
+        // Show the full label on hover when a compressed edge was shortened
+        if (node.edge && node.edge !== node.char) {
+            const title = document.createElementNS(this.svgNS, "title");
+            title.textContent = node.edge;
+            text.appendChild(title);
+        }
+        
         this.nodesGroup.appendChild(text);
         
         // Add frequency indicator if this is an end node
@@ -363,4 +385,6 @@ class TrieVisualizer {
         this.linesGroup.innerHTML = '';
         this.nodesGroup.innerHTML = '';
     }
-}
\ No newline at end of file
+}
+
+export default TrieVisualizer;
\ No newline at end of file